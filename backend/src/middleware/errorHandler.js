@@ -1,3 +1,5 @@
+const logger = require('../utils/logger');
+
 /**
  * Global error handling middleware for NASA Mission Control API
  */
@@ -6,13 +8,12 @@ const errorHandler = (err, req, res, next) => {
   error.message = err.message;
 
   // Log error for debugging
-  console.error('API Error:', {
-    message: err.message,
-    stack: err.stack,
+  logger.error('API Error', {
+    error: err,
     url: req.originalUrl,
     method: req.method,
     ip: req.ip,
-    userAgent: req.get('User-Agent')
+    user_agent: req.get('User-Agent')
   });
 
   // NASA API specific errors
@@ -33,6 +34,18 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Circuit breaker open for one NASA product: fail fast
+  if (err.code === 'CIRCUIT_OPEN') {
+    res.set('Retry-After', String(err.retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: 'Service unavailable',
+      message: err.message,
+      service: err.service,
+      retryAfter: err.retryAfter
+    });
+  }
+
   if (err.message.includes('NASA API is currently unavailable')) {
     return res.status(503).json({
       success: false,
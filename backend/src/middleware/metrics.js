@@ -0,0 +1,47 @@
+const metrics = require('../services/metrics');
+
+// Polling and scraping the metrics themselves would drown out real traffic,
+// and event streams stay open for hours, which would swamp the latency figures
+const IGNORED_PATHS = ['/api/metrics', '/metrics', '/api/stream'];
+
+/**
+ * Route pattern a request was handled by, e.g. /api/mars/photos/:rover.
+ * Express resets req.baseUrl before app-level error handlers run, so when
+ * it is gone the mount path is rebuilt from the URL: the route pattern
+ * accounts for the trailing segments, everything before it is the mount.
+ */
+function routePattern(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const routePath = req.route.path === '/' ? '' : req.route.path;
+  if (req.baseUrl) {
+    return `${req.baseUrl}${routePath}` || '/';
+  }
+
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = routePath.split('/').filter(Boolean).length;
+  const mount = segments.slice(0, segments.length - routeSegments).join('/');
+  return `/${mount}${routePath}`;
+}
+
+/**
+ * Request metrics middleware for NASA Mission Control API
+ */
+const metricsMiddleware = (req, res, next) => {
+  if (IGNORED_PATHS.some(path => req.originalUrl.startsWith(path))) {
+    return next();
+  }
+
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    metrics.recordRequest(req.method, routePattern(req), res.statusCode, durationMs);
+  });
+
+  next();
+};
+
+module.exports = metricsMiddleware;
\ No newline at end of file
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context for NASA Mission Control API
+ *
+ * Carries the request's correlation ID and lets the service layer report
+ * back to the route how each upstream lookup was served without threading
+ * extra values everywhere.
+ */
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requestContext = (req, res, next) => {
+  // Keep the caller's ID so their logs line up with ours; otherwise mint one
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  storage.run({ requestId, cacheStatuses: [] }, () => next());
+};
+
+/**
+ * Get the context of the request currently being handled
+ * @returns {object|null} - Context store, or null outside a request
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record how an upstream lookup was served: fresh, cached or stale
+ * @param {string} status - Cache status of the lookup
+ */
+function recordCacheStatus(status) {
+  const context = getRequestContext();
+  if (context) {
+    context.cacheStatuses.push(status);
+  }
+}
+
+/**
+ * Summarise the cache status of the current request for response meta.
+ * Any stale lookup makes the response stale; otherwise any upstream
+ * fetch makes it fresh.
+ * @returns {object} - cached, cache_status and stale meta fields
+ */
+function getCacheMeta() {
+  const statuses = getRequestContext()?.cacheStatuses || [];
+
+  let status = 'cached';
+  if (statuses.includes('stale')) {
+    status = 'stale';
+  } else if (statuses.includes('fresh')) {
+    status = 'fresh';
+  }
+
+  return {
+    cached: status !== 'fresh',
+    cache_status: status,
+    stale: status === 'stale'
+  };
+}
+
+module.exports = requestContext;
+module.exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+module.exports.getRequestContext = getRequestContext;
+module.exports.recordCacheStatus = recordCacheStatus;
+module.exports.getCacheMeta = getCacheMeta;
\ No newline at end of file
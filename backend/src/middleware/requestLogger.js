@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+
+/**
+ * Access log for NASA Mission Control API: one structured entry per request
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+
+    logger[level]('Request completed', {
+      request_id: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      duration_ms: Math.round(durationMs * 10) / 10,
+      content_length: res.get('Content-Length'),
+      ip: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+  });
+
+  next();
+};
+
+module.exports = requestLogger;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const express = require('express');
+const prewarm = require('../services/prewarm');
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/status
+ * @desc    Background job status: each pre-warm job's schedule, next run and
+ *          last run (duration and outcome)
+ * @access  Public
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scheduler: {
+        enabled: prewarm.enabled,
+        ...prewarm.scheduler.getStatus()
+      }
+    },
+    meta: {
+      endpoint: 'admin/status',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   POST /api/admin/scheduler/:job/run
+ * @desc    Run a pre-warm job now, outside its schedule (development only)
+ * @access  Public (should be protected in production)
+ */
+router.post('/scheduler/:job/run', async (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Running scheduled jobs on demand is not allowed in production'
+    });
+  }
+
+  try {
+    const run = await prewarm.scheduler.runNow(req.params.job);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No scheduled job named ${req.params.job}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run,
+      meta: {
+        endpoint: 'admin/scheduler/run',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,8 +1,13 @@
 const express = require('express');
 const nasaApi = require('../services/nasaApi');
-const { validateDate, validateCount } = require('../utils/validators');
+const { getCacheMeta } = require('../middleware/requestContext');
+const { APOD_FIRST_DATE, validateDate, validateAPODDate, validateCount } = require('../utils/validators');
+const { MEDIA_TYPES } = require('../utils/apodMedia');
+const { createApodIndexFromEnv } = require('../services/apodIndex');
 const router = express.Router();
 
+const apodIndex = createApodIndexFromEnv();
+
 /**
  * @route   GET /api/apod
  * @desc    Get Astronomy Picture of the Day
@@ -46,6 +51,10 @@ router.get('/', async (req, res, next) => {
       });
     }
 
+    if ([date, start_date, end_date].some(value => value && !validateAPODDate(value))) {
+      return res.status(400).json(beforeFirstApod());
+    }
+
     // Validate date range
     if (start_date && end_date && new Date(start_date) > new Date(end_date)) {
       return res.status(400).json({
@@ -56,13 +65,14 @@ router.get('/', async (req, res, next) => {
     }
 
     const data = await nasaApi.getAPOD(date, count, start_date, end_date);
+    indexApod(data);
 
     res.json({
       success: true,
       data: data,
       meta: {
         endpoint: 'apod',
-        cached: true, // This will be determined by the service layer
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -80,6 +90,7 @@ router.get('/today', async (req, res, next) => {
   try {
     const today = new Date().toISOString().split('T')[0];
     const data = await nasaApi.getAPOD(today);
+    indexApod(data);
 
     res.json({
       success: true,
@@ -87,7 +98,7 @@ router.get('/today', async (req, res, next) => {
       meta: {
         endpoint: 'apod/today',
         date: today,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -115,6 +126,7 @@ router.get('/random', async (req, res, next) => {
     }
 
     const data = await nasaApi.getAPOD(null, count);
+    indexApod(data);
 
     res.json({
       success: true,
@@ -122,7 +134,7 @@ router.get('/random', async (req, res, next) => {
       meta: {
         endpoint: 'apod/random',
         count: count,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -157,6 +169,10 @@ router.get('/range', async (req, res, next) => {
       });
     }
 
+    if (!validateAPODDate(start_date)) {
+      return res.status(400).json(beforeFirstApod());
+    }
+
     if (new Date(start_date) > new Date(end_date)) {
       return res.status(400).json({
         success: false,
@@ -176,6 +192,7 @@ router.get('/range', async (req, res, next) => {
     }
 
     const data = await nasaApi.getAPOD(null, null, start_date, end_date);
+    indexApod(data);
 
     res.json({
       success: true,
@@ -185,7 +202,7 @@ router.get('/range', async (req, res, next) => {
         start_date,
         end_date,
         days: daysDiff + 1,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -194,4 +211,90 @@ router.get('/range', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/apod/search
+ * @desc    Full-text search over indexed APOD titles, explanations and
+ *          copyright. Only days the server has fetched are indexed.
+ * @access  Public
+ * @params  q, start_date, end_date, media_type (image|video|other), page (default: 1), limit (1-100, default: 20)
+ */
+router.get('/search', (req, res) => {
+  const { q = '', start_date, end_date, media_type } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  if (typeof q !== 'string' || q.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: 'q must be at most 200 characters'
+    });
+  }
+
+  if ((start_date && !validateDate(start_date)) || (end_date && !validateDate(end_date))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date format',
+      message: 'Dates must be in YYYY-MM-DD format'
+    });
+  }
+
+  if (start_date && end_date && start_date > end_date) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date range',
+      message: 'Start date must be before end date'
+    });
+  }
+
+  if (media_type && !MEDIA_TYPES.includes(media_type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid media type',
+      message: `media_type must be one of: ${MEDIA_TYPES.join(', ')}`
+    });
+  }
+
+  if (page < 1 || !validateCount(limit, 1, 100)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid pagination',
+      message: 'page must be at least 1 and limit between 1 and 100'
+    });
+  }
+
+  const data = apodIndex.search({ q, start_date, end_date, media_type, page, limit });
+
+  res.json({
+    success: true,
+    data,
+    meta: {
+      endpoint: 'apod/search',
+      query: q,
+      filters: {
+        start_date: start_date || null,
+        end_date: end_date || null,
+        media_type: media_type || null
+      },
+      index: apodIndex.getStats(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+function beforeFirstApod() {
+  return {
+    success: false,
+    error: 'Date out of range',
+    message: `APOD dates start at ${APOD_FIRST_DATE}, the first Astronomy Picture of the Day`
+  };
+}
+
+/**
+ * Add fetched APODs to the search index
+ */
+function indexApod(data) {
+  apodIndex.addAll(Array.isArray(data) ? data : [data]);
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,171 @@
+const express = require('express');
+const { createCollectionsStoreFromEnv } = require('../services/collectionsStore');
+const { megabytesFromEnv } = require('../services/cache');
+const { sanitizeItems } = require('../utils/libraryItems');
+const router = express.Router();
+
+const store = createCollectionsStoreFromEnv();
+const PROFILE_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+const MAX_ITEMS = 5000;
+const MAX_COLLECTIONS = 200;
+const LIBRARY_VERSION = 1;
+// Largest library one profile may store, measured after sanitising
+const MAX_LIBRARY_BYTES = megabytesFromEnv('COLLECTIONS_MAX_PROFILE_SIZE_MB', 1);
+
+/**
+ * @route   GET /api/collections/:profile
+ * @desc    Favourites and collections saved under a profile name
+ * @access  Public
+ */
+router.get('/:profile', (req, res) => {
+  const { profile } = req.params;
+
+  if (!PROFILE_PATTERN.test(profile)) {
+    return res.status(400).json(invalidProfile());
+  }
+
+  const library = store.get(profile);
+  if (!library) {
+    return res.status(404).json({
+      success: false,
+      error: 'Profile not found',
+      message: `Nothing has been saved for ${profile} yet`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: library,
+    meta: {
+      endpoint: `collections/${profile}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   PUT /api/collections/:profile
+ * @desc    Save favourites and collections under a profile name, replacing
+ *          whatever was saved there before. The first save creates the
+ *          profile and returns its owner token; later saves need it.
+ * @access  Public to create, X-Profile-Token to overwrite
+ * @body    items, favourites, collections (the dashboard's export format)
+ */
+router.put('/:profile', (req, res) => {
+  const { profile } = req.params;
+
+  if (!PROFILE_PATTERN.test(profile)) {
+    return res.status(400).json(invalidProfile());
+  }
+
+  const validationError = validateLibrary(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid library',
+      message: validationError
+    });
+  }
+
+  if (!store.canWrite(profile, req.get('X-Profile-Token'))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `${profile} belongs to someone else; send its owner token to overwrite it, or save under a new name`
+    });
+  }
+
+  if (!store.has(profile) && store.isFull()) {
+    return res.status(507).json({
+      success: false,
+      error: 'Storage full',
+      message: 'No more profiles can be saved on this server; overwrite one you own instead'
+    });
+  }
+
+  const { favourites, collections } = req.body;
+  const items = sanitizeItems(req.body.items);
+  const hasItem = (key) => Object.prototype.hasOwnProperty.call(items, key);
+
+  const cleanLibrary = {
+    version: LIBRARY_VERSION,
+    items,
+    favourites: favourites.filter(hasItem),
+    collections: collections.map(collection => ({
+      id: String(collection.id || collection.name),
+      name: collection.name,
+      items: collection.items.filter(hasItem),
+      created_at: typeof collection.created_at === 'string' ? collection.created_at : null
+    })),
+    updated_at: typeof req.body.updated_at === 'string' ? req.body.updated_at : null
+  };
+
+  if (Buffer.byteLength(JSON.stringify(cleanLibrary)) > MAX_LIBRARY_BYTES) {
+    return res.status(413).json({
+      success: false,
+      error: 'Library too large',
+      message: `A saved library can be at most ${MAX_LIBRARY_BYTES / (1024 * 1024)} MB`
+    });
+  }
+
+  const { library, token } = store.put(profile, cleanLibrary);
+
+  res.status(token ? 201 : 200).json({
+    success: true,
+    data: {
+      profile,
+      items: Object.keys(library.items).length,
+      favourites: library.favourites.length,
+      collections: library.collections.length,
+      saved_at: library.saved_at,
+      ...(token && { token })
+    },
+    meta: {
+      endpoint: `collections/${profile}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * Check a library document
+ * @returns {string|null} - Message for the first problem
+ */
+function validateLibrary(body) {
+  if (!body || typeof body !== 'object') {
+    return 'Body must be a JSON library';
+  }
+
+  const { items, favourites, collections } = body;
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+    return 'items must be an object of saved images by key';
+  }
+  if (Object.keys(items).length > MAX_ITEMS) {
+    return `A library can hold at most ${MAX_ITEMS} images`;
+  }
+  if (!Array.isArray(favourites) || favourites.some(key => typeof key !== 'string')) {
+    return 'favourites must be an array of item keys';
+  }
+  if (!Array.isArray(collections) || collections.length > MAX_COLLECTIONS) {
+    return `collections must be an array of at most ${MAX_COLLECTIONS} collections`;
+  }
+
+  const badCollection = collections.find(collection =>
+    !collection || typeof collection.name !== 'string' || !Array.isArray(collection.items)
+  );
+  if (badCollection !== undefined) {
+    return 'Each collection needs a name and an items array';
+  }
+
+  return null;
+}
+
+function invalidProfile() {
+  return {
+    success: false,
+    error: 'Invalid profile',
+    message: 'Profile names are 1-64 letters, numbers, dashes or underscores'
+  };
+}
+
+module.exports = router;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const express = require('express');
 const nasaApi = require('../services/nasaApi');
+const { getCacheMeta } = require('../middleware/requestContext');
 const { validateDate } = require('../utils/validators');
 const router = express.Router();
 
@@ -51,8 +52,8 @@ router.get('/images', async (req, res, next) => {
     // Enhance data with image URLs
     const enhancedData = data.map(image => ({
       ...image,
-      image_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`,
-      thumbnail_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`,
+      image_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${nasaApi.getImageApiKey()}`,
+      thumbnail_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${nasaApi.getImageApiKey()}`,
       metadata: {
         sun_j2000_position: image.sun_j2000_position,
         lunar_j2000_position: image.lunar_j2000_position,
@@ -69,7 +70,7 @@ router.get('/images', async (req, res, next) => {
         date: targetDate,
         type: type.toLowerCase(),
         count: enhancedData.length,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -114,8 +115,8 @@ router.get('/latest', async (req, res, next) => {
     // Enhance data with image URLs
     const enhancedData = data.map(image => ({
       ...image,
-      image_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`,
-      thumbnail_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`
+      image_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${nasaApi.getImageApiKey()}`,
+      thumbnail_url: `https://api.nasa.gov/EPIC/archive/${type.toLowerCase()}/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${nasaApi.getImageApiKey()}`
     }));
 
     res.json({
@@ -126,7 +127,7 @@ router.get('/latest', async (req, res, next) => {
         date: latestDate,
         type: type.toLowerCase(),
         count: enhancedData.length,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -177,7 +178,7 @@ router.get('/dates', async (req, res, next) => {
           earliest: processedDates[processedDates.length - 1]?.date,
           latest: processedDates[0]?.date
         },
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -198,8 +199,8 @@ router.get('/enhanced', async (req, res, next) => {
 
     const enhancedData = data.map(image => ({
       ...image,
-      image_url: `https://api.nasa.gov/EPIC/archive/enhanced/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`,
-      thumbnail_url: `https://api.nasa.gov/EPIC/archive/enhanced/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`
+      image_url: `https://api.nasa.gov/EPIC/archive/enhanced/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${nasaApi.getImageApiKey()}`,
+      thumbnail_url: `https://api.nasa.gov/EPIC/archive/enhanced/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${nasaApi.getImageApiKey()}`
     }));
 
     res.json({
@@ -210,7 +211,7 @@ router.get('/enhanced', async (req, res, next) => {
         date: today,
         type: 'enhanced',
         count: enhancedData.length,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -231,8 +232,8 @@ router.get('/natural', async (req, res, next) => {
 
     const enhancedData = data.map(image => ({
       ...image,
-      image_url: `https://api.nasa.gov/EPIC/archive/natural/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`,
-      thumbnail_url: `https://api.nasa.gov/EPIC/archive/natural/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${process.env.NASA_API_KEY || 'DEMO_KEY'}`
+      image_url: `https://api.nasa.gov/EPIC/archive/natural/${image.date.split(' ')[0].replace(/-/g, '/')}/png/${image.image}.png?api_key=${nasaApi.getImageApiKey()}`,
+      thumbnail_url: `https://api.nasa.gov/EPIC/archive/natural/${image.date.split(' ')[0].replace(/-/g, '/')}/thumbs/${image.image}.jpg?api_key=${nasaApi.getImageApiKey()}`
     }));
 
     res.json({
@@ -243,7 +244,7 @@ router.get('/natural', async (req, res, next) => {
         date: today,
         type: 'natural',
         count: enhancedData.length,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -1,5 +1,6 @@
 const express = require('express');
 const nasaApi = require('../services/nasaApi');
+const { buildHealthReport } = require('../services/health');
 const router = express.Router();
 
 /**
@@ -9,37 +10,7 @@ const router = express.Router();
  */
 router.get('/', async (req, res) => {
   try {
-    const healthData = {
-      status: 'operational',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      environment: process.env.NODE_ENV || 'development',
-      version: '1.0.0',
-      services: {
-        api: 'operational',
-        cache: 'operational',
-        nasa_api: 'checking...'
-      }
-    };
-
-    // Test NASA API connectivity
-    try {
-      await nasaApi.getAPOD();
-      healthData.services.nasa_api = 'operational';
-    } catch (error) {
-      healthData.services.nasa_api = 'degraded';
-      healthData.warnings = ['NASA API connectivity issues detected'];
-    }
-
-    // Get cache statistics
-    const cacheStats = nasaApi.getCacheStats();
-    healthData.cache = {
-      status: 'operational',
-      keys: cacheStats.keys,
-      hits: cacheStats.stats.hits,
-      misses: cacheStats.stats.misses,
-      hitRate: cacheStats.stats.hits / (cacheStats.stats.hits + cacheStats.stats.misses) || 0
-    };
+    const healthData = await buildHealthReport();
 
     res.json({
       success: true,
@@ -60,7 +31,7 @@ router.get('/', async (req, res) => {
  * @desc    Clear API cache (development only)
  * @access  Public (should be protected in production)
  */
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', async (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({
       success: false,
@@ -70,7 +41,7 @@ router.post('/cache/clear', (req, res) => {
   }
 
   try {
-    nasaApi.clearCache();
+    await nasaApi.clearCache();
     res.json({
       success: true,
       message: 'Cache cleared successfully'
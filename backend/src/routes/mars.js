@@ -1,5 +1,6 @@
 const express = require('express');
 const nasaApi = require('../services/nasaApi');
+const { getCacheMeta } = require('../middleware/requestContext');
 const { validateDate, validateSol, validateCamera } = require('../utils/validators');
 const router = express.Router();
 
@@ -11,6 +12,9 @@ const VALID_CAMERAS = {
   perseverance: ['EDL_RUCAM', 'EDL_RDCAM', 'EDL_DDCAM', 'EDL_PUCAM1', 'EDL_PUCAM2', 'NAVCAM_LEFT', 'NAVCAM_RIGHT', 'MCZ_LEFT', 'MCZ_RIGHT', 'FRONT_HAZCAM_LEFT_A', 'FRONT_HAZCAM_RIGHT_A', 'REAR_HAZCAM_LEFT', 'REAR_HAZCAM_RIGHT', 'SKYCAM', 'SHERLOC_WATSON']
 };
 
+const DEFAULT_ACTIVITY_WINDOW = 60;
+const MAX_ACTIVITY_WINDOW = 1000;
+
 /**
  * @route   GET /api/mars/rovers
  * @desc    Get list of available Mars rovers
@@ -55,7 +59,77 @@ router.get('/:rover/manifest', async (req, res, next) => {
       meta: {
         endpoint: `mars/${rover}/manifest`,
         rover: rover.toLowerCase(),
-        cached: true,
+        ...getCacheMeta(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/mars/:rover/activity
+ * @desc    Get per-sol imaging activity condensed from the rover manifest
+ * @access  Public
+ * @params  start_sol, end_sol (defaults to the last 60 sols)
+ */
+router.get('/:rover/activity', async (req, res, next) => {
+  try {
+    const { rover } = req.params;
+    const { start_sol, end_sol } = req.query;
+
+    if (!VALID_ROVERS.includes(rover.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rover',
+        message: `Rover must be one of: ${VALID_ROVERS.join(', ')}`
+      });
+    }
+
+    if ((start_sol && !validateSol(start_sol)) || (end_sol && !validateSol(end_sol))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sol',
+        message: 'start_sol and end_sol must be positive integers'
+      });
+    }
+
+    const manifest = await nasaApi.getMarsRoverManifest(rover.toLowerCase());
+    const maxSol = manifest.photo_manifest.max_sol;
+
+    const endSol = end_sol ? Math.min(parseInt(end_sol), maxSol) : maxSol;
+    const startSol = start_sol
+      ? parseInt(start_sol)
+      : Math.max(0, endSol - DEFAULT_ACTIVITY_WINDOW + 1);
+
+    if (startSol > endSol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sol range',
+        message: 'start_sol must be less than or equal to end_sol'
+      });
+    }
+
+    if (endSol - startSol + 1 > MAX_ACTIVITY_WINDOW) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sol range too large',
+        message: `Sol range cannot exceed ${MAX_ACTIVITY_WINDOW} sols`
+      });
+    }
+
+    const activity = condenseManifest(manifest.photo_manifest, startSol, endSol, VALID_CAMERAS[rover.toLowerCase()]);
+
+    res.json({
+      success: true,
+      data: activity,
+      meta: {
+        endpoint: `mars/${rover}/activity`,
+        rover: rover.toLowerCase(),
+        start_sol: startSol,
+        end_sol: endSol,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -148,7 +222,7 @@ router.get('/:rover/photos', async (req, res, next) => {
         earth_date: earth_date || null,
         camera: camera?.toUpperCase() || null,
         page: pageNum,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -205,7 +279,7 @@ router.get('/:rover/latest', async (req, res, next) => {
         rover: rover.toLowerCase(),
         latest_sol: latestSol,
         camera: camera?.toUpperCase() || null,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -214,4 +288,59 @@ router.get('/:rover/latest', async (req, res, next) => {
   }
 });
 
+// Helper function to condense a rover manifest into a per-sol activity series
+function condenseManifest(photoManifest, startSol, endSol, knownCameras = []) {
+  const sols = photoManifest.photos
+    .filter(entry => entry.sol >= startSol && entry.sol <= endSol)
+    .map(entry => ({
+      sol: entry.sol,
+      earth_date: entry.earth_date,
+      total_photos: entry.total_photos,
+      cameras: entry.cameras
+    }))
+    .sort((a, b) => a.sol - b.sol);
+
+  // Keep the known camera order, then append anything the manifest adds
+  const activeCameras = new Set(sols.flatMap(entry => entry.cameras));
+  const cameras = [
+    ...knownCameras.filter(camera => activeCameras.has(camera)),
+    ...[...activeCameras].filter(camera => !knownCameras.includes(camera))
+  ];
+
+  const cameraActivity = Object.fromEntries(cameras.map(camera => [camera, 0]));
+  let busiestSol = null;
+  let totalPhotos = 0;
+
+  sols.forEach(entry => {
+    totalPhotos += entry.total_photos;
+    entry.cameras.forEach(camera => { cameraActivity[camera]++; });
+
+    if (!busiestSol || entry.total_photos > busiestSol.total_photos) {
+      busiestSol = { sol: entry.sol, earth_date: entry.earth_date, total_photos: entry.total_photos };
+    }
+  });
+
+  return {
+    rover: photoManifest.name,
+    status: photoManifest.status,
+    max_sol: photoManifest.max_sol,
+    max_date: photoManifest.max_date,
+    window: {
+      start_sol: startSol,
+      end_sol: endSol
+    },
+    cameras,
+    // Cameras /photos accepts as a filter; manifests also list some it doesn't (e.g. SUPERCAM_RMI)
+    filterable_cameras: cameras.filter(camera => knownCameras.includes(camera)),
+    sols,
+    summary: {
+      active_sols: sols.length,
+      total_photos: totalPhotos,
+      max_photos_per_sol: busiestSol?.total_photos || 0,
+      busiest_sol: busiestSol,
+      camera_active_sols: cameraActivity
+    }
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const metrics = require('../services/metrics');
+const router = express.Router();
+
+/**
+ * @route   GET /api/metrics
+ * @desc    Request counts, errors, status codes and latency per API route and per NASA endpoint
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      uptime: process.uptime(),
+      ...metrics.getSnapshot()
+    },
+    meta: {
+      endpoint: 'metrics',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
\ No newline at end of file
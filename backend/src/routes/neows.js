@@ -1,8 +1,28 @@
 const express = require('express');
 const nasaApi = require('../services/nasaApi');
+const { getCacheMeta } = require('../middleware/requestContext');
 const { validateDate } = require('../utils/validators');
+const { createRiskScorerFromConfig } = require('../services/riskScoring');
 const router = express.Router();
 
+const riskScorer = createRiskScorerFromConfig();
+
+// Longest range /feed will stitch together from 7-day NASA feed windows
+const MAX_FEED_DAYS = parseInt(process.env.NEO_FEED_MAX_DAYS) || 90;
+
+// NASA's browse API serves at most 20 objects per page
+const BROWSE_PAGE_SIZE = 20;
+// Catalogue pages a filtered browse request may read looking for matches
+const MAX_BROWSE_SCAN_PAGES = parseInt(process.env.NEO_BROWSE_MAX_SCAN_PAGES) || 10;
+
+const ORBIT_CLASSES = {
+  APO: { name: 'Apollo', description: 'Earth-crossing orbits with semi-major axes larger than Earth\'s' },
+  ATE: { name: 'Aten', description: 'Earth-crossing orbits with semi-major axes smaller than Earth\'s' },
+  AMO: { name: 'Amor', description: 'Earth-approaching orbits outside Earth\'s, inside Mars\'' },
+  IEO: { name: 'Atira', description: 'Orbits contained entirely within Earth\'s orbit' },
+  MCA: { name: 'Mars-crosser', description: 'Orbits crossing Mars\' orbit' }
+};
+
 /**
  * @route   GET /api/neows/feed
  * @desc    Get Near Earth Objects feed for date range
@@ -44,64 +64,33 @@ router.get('/feed', async (req, res, next) => {
       });
     }
 
-    // Limit range to 7 days (NASA API limitation)
+    // Ranges beyond one NASA feed call (7 days) are fetched in windows
     const daysDiff = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
-    if (daysDiff > 7) {
+    if (daysDiff + 1 > MAX_FEED_DAYS) {
       return res.status(400).json({
         success: false,
         error: 'Date range too large',
-        message: 'Date range cannot exceed 7 days'
+        message: `Date range cannot exceed ${MAX_FEED_DAYS} days`
       });
     }
 
-    const data = await nasaApi.getNearEarthObjects(startDate, endDate, detailed === 'true');
+    let data;
+    let windows = null;
+    if (daysDiff > 7) {
+      ({ data, windows } = await nasaApi.getNearEarthObjectsRange(startDate, endDate, detailed === 'true'));
+    } else {
+      data = await nasaApi.getNearEarthObjects(startDate, endDate, detailed === 'true');
+    }
+
+    const failedWindows = (windows || []).filter(window => window.status === 'failed');
 
     // Process data to add risk assessment
+    const scoredData = withRiskScores(data);
     const processedData = {
-      ...data,
-      risk_summary: {
-        total_objects: data.element_count,
-        potentially_hazardous: 0,
-        close_approaches: 0,
-        largest_object: null,
-        closest_approach: null
-      }
+      ...scoredData,
+      risk_summary: buildRiskSummary(scoredData)
     };
 
-    // Analyze objects for risk assessment
-    Object.values(data.near_earth_objects).flat().forEach(obj => {
-      if (obj.is_potentially_hazardous_asteroid) {
-        processedData.risk_summary.potentially_hazardous++;
-      }
-
-      obj.close_approach_data.forEach(approach => {
-        processedData.risk_summary.close_approaches++;
-
-        // Track closest approach
-        const distance = parseFloat(approach.miss_distance.kilometers);
-        if (!processedData.risk_summary.closest_approach || 
-            distance < processedData.risk_summary.closest_approach.distance) {
-          processedData.risk_summary.closest_approach = {
-            object_name: obj.name,
-            distance: distance,
-            date: approach.close_approach_date,
-            velocity: parseFloat(approach.relative_velocity.kilometers_per_hour)
-          };
-        }
-      });
-
-      // Track largest object
-      const diameter = obj.estimated_diameter.kilometers.estimated_diameter_max;
-      if (!processedData.risk_summary.largest_object || 
-          diameter > processedData.risk_summary.largest_object.diameter) {
-        processedData.risk_summary.largest_object = {
-          name: obj.name,
-          diameter: diameter,
-          is_hazardous: obj.is_potentially_hazardous_asteroid
-        };
-      }
-    });
-
     res.json({
       success: true,
       data: processedData,
@@ -111,7 +100,10 @@ router.get('/feed', async (req, res, next) => {
         end_date: endDate,
         days: daysDiff + 1,
         detailed: detailed === 'true',
-        cached: true,
+        windows: windows ? windows.length : 1,
+        partial: failedWindows.length > 0,
+        failed_windows: failedWindows,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -128,7 +120,7 @@ router.get('/feed', async (req, res, next) => {
 router.get('/today', async (req, res, next) => {
   try {
     const today = new Date().toISOString().split('T')[0];
-    const data = await nasaApi.getNearEarthObjects(today, today, false);
+    const data = withRiskScores(await nasaApi.getNearEarthObjects(today, today, false));
 
     // Quick stats for today
     const todayObjects = data.near_earth_objects[today] || [];
@@ -144,12 +136,13 @@ router.get('/today', async (req, res, next) => {
       success: true,
       data: {
         ...data,
-        daily_stats: stats
+        daily_stats: stats,
+        risk_summary: buildRiskSummary(data)
       },
       meta: {
         endpoint: 'neows/today',
         date: today,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -178,8 +171,10 @@ router.get('/object/:id', async (req, res, next) => {
     const data = await nasaApi.getNearEarthObjectById(id);
 
     // Add enhanced analysis
+    const risk = riskScorer.scoreObject(data);
     const analysis = {
-      risk_level: data.is_potentially_hazardous_asteroid ? 'HIGH' : 'LOW',
+      risk_level: risk ? risk.level : null,
+      risk,
       size_category: categorizeSize(data.estimated_diameter.kilometers.estimated_diameter_max),
       next_approach: null,
       approach_count: data.close_approach_data.length
@@ -208,7 +203,7 @@ router.get('/object/:id', async (req, res, next) => {
       meta: {
         endpoint: `neows/object/${id}`,
         asteroid_id: id,
-        cached: true,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -239,9 +234,10 @@ router.get('/hazardous', async (req, res, next) => {
           date: approach.close_approach_date,
           distance_km: parseFloat(approach.miss_distance.kilometers),
           velocity_kmh: parseFloat(approach.relative_velocity.kilometers_per_hour)
-        }))
+        })),
+        risk: scoreFeedObject(obj)
       }))
-      .sort((a, b) => b.diameter_km - a.diameter_km); // Sort by size, largest first
+      .sort((a, b) => (b.risk?.score || 0) - (a.risk?.score || 0)); // Sort by risk, highest first
 
     res.json({
       success: true,
@@ -253,7 +249,116 @@ router.get('/hazardous', async (req, res, next) => {
       meta: {
         endpoint: 'neows/hazardous',
         date: today,
-        cached: true,
+        ...getCacheMeta(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/neows/browse
+ * @desc    Page through the whole Near Earth Object catalogue with optional filters
+ * @access  Public
+ * @params  page, offset, size, hazardous, min_diameter, max_diameter, orbit_class, min_magnitude, max_magnitude
+ */
+router.get('/browse', async (req, res, next) => {
+  try {
+    const startPage = parseInt(req.query.page || 1);
+    const startOffset = parseInt(req.query.offset || 0);
+    const pageSize = parseInt(req.query.size || BROWSE_PAGE_SIZE);
+
+    if (isNaN(startPage) || startPage < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid page',
+        message: 'Page must be a positive number'
+      });
+    }
+
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > BROWSE_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid size',
+        message: `Size must be between 1 and ${BROWSE_PAGE_SIZE}`
+      });
+    }
+
+    if (isNaN(startOffset) || startOffset < 0 || startOffset >= pageSize) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid offset',
+        message: `Offset must be between 0 and ${pageSize - 1}`
+      });
+    }
+
+    const { filters, error } = parseBrowseFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filter',
+        message: error
+      });
+    }
+
+    // Without filters one catalogue page is one result page. With filters,
+    // keep reading catalogue pages until the page fills or the scan budget
+    // runs out. The cursor (page and offset into that catalogue page) points
+    // just past the last object looked at, so nothing is skipped when a page
+    // fills partway through a catalogue page.
+    const filtered = Object.keys(filters).length > 0;
+    const objects = [];
+    let catalogue;
+    let cursor = { page: startPage, offset: startOffset };
+    let pagesScanned = 0;
+
+    do {
+      catalogue = await nasaApi.browseNearEarthObjects(cursor.page - 1, pageSize);
+      pagesScanned++;
+
+      const rows = catalogue.near_earth_objects;
+      let index = cursor.offset;
+      for (; index < rows.length && objects.length < pageSize; index++) {
+        if (matchesBrowseFilters(rows[index], filters)) {
+          objects.push(summarizeObject(rows[index]));
+        }
+      }
+
+      cursor = index < rows.length
+        ? { page: cursor.page, offset: index }
+        : { page: cursor.page + 1, offset: 0 };
+    } while (
+      filtered &&
+      objects.length < pageSize &&
+      pagesScanned < MAX_BROWSE_SCAN_PAGES &&
+      cursor.page <= catalogue.page.total_pages
+    );
+
+    const more = cursor.page <= catalogue.page.total_pages;
+
+    res.json({
+      success: true,
+      data: {
+        objects,
+        count: objects.length,
+        filters,
+        pagination: {
+          page: startPage,
+          offset: startOffset,
+          size: pageSize,
+          next_page: more ? cursor.page : null,
+          next_offset: more ? cursor.offset : null,
+          pages_scanned: pagesScanned,
+          total_pages: catalogue.page.total_pages,
+          total_elements: catalogue.page.total_elements
+        }
+      },
+      meta: {
+        endpoint: 'neows/browse',
+        filtered,
+        ...getCacheMeta(),
         timestamp: new Date().toISOString()
       }
     });
@@ -262,6 +367,211 @@ router.get('/hazardous', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/neows/browse/orbit-classes
+ * @desc    Orbit classes accepted by the browse orbit_class filter
+ * @access  Public
+ */
+router.get('/browse/orbit-classes', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      orbit_classes: Object.entries(ORBIT_CLASSES).map(([code, orbitClass]) => ({ code, ...orbitClass }))
+    },
+    meta: {
+      endpoint: 'neows/browse/orbit-classes',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * Risk score for a feed object. Feed entries carry the one approach that put
+ * them on that date, so that is the approach scored.
+ */
+function scoreFeedObject(obj) {
+  const approach = obj.close_approach_data[0];
+  return approach ? riskScorer.score(obj, approach) : null;
+}
+
+/**
+ * Copy of a feed with a risk score on every object. Feeds may come straight
+ * from the cache, so objects are copied rather than annotated in place.
+ */
+function withRiskScores(data) {
+  const nearEarthObjects = {};
+  Object.entries(data.near_earth_objects).forEach(([date, objects]) => {
+    nearEarthObjects[date] = objects.map(obj => ({ ...obj, risk: scoreFeedObject(obj) }));
+  });
+
+  return { ...data, near_earth_objects: nearEarthObjects };
+}
+
+/**
+ * Summarise risk across every object in a scored feed: hazardous count,
+ * close approaches, risk levels, the highest risk object, the largest
+ * object and the closest approach
+ */
+function buildRiskSummary(data) {
+  const summary = {
+    total_objects: data.element_count,
+    potentially_hazardous: 0,
+    close_approaches: 0,
+    risk_levels: Object.fromEntries(riskScorer.getModel().levels.map(({ level }) => [level, 0])),
+    highest_risk: null,
+    largest_object: null,
+    closest_approach: null,
+    risk_model: riskScorer.getModel()
+  };
+
+  // Analyze objects for risk assessment
+  Object.values(data.near_earth_objects).flat().forEach(obj => {
+    if (obj.is_potentially_hazardous_asteroid) {
+      summary.potentially_hazardous++;
+    }
+
+    if (obj.risk) {
+      summary.risk_levels[obj.risk.level]++;
+
+      if (!summary.highest_risk || obj.risk.score > summary.highest_risk.score) {
+        summary.highest_risk = {
+          id: obj.id,
+          name: obj.name,
+          score: obj.risk.score,
+          level: obj.risk.level,
+          approach_date: obj.risk.approach_date
+        };
+      }
+    }
+
+    obj.close_approach_data.forEach(approach => {
+      summary.close_approaches++;
+
+      // Track closest approach
+      const distance = parseFloat(approach.miss_distance.kilometers);
+      if (!summary.closest_approach || distance < summary.closest_approach.distance) {
+        summary.closest_approach = {
+          object_name: obj.name,
+          distance: distance,
+          date: approach.close_approach_date,
+          velocity: parseFloat(approach.relative_velocity.kilometers_per_hour)
+        };
+      }
+    });
+
+    // Track largest object
+    const diameter = obj.estimated_diameter.kilometers.estimated_diameter_max;
+    if (!summary.largest_object || diameter > summary.largest_object.diameter) {
+      summary.largest_object = {
+        name: obj.name,
+        diameter: diameter,
+        is_hazardous: obj.is_potentially_hazardous_asteroid
+      };
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Read browse filters from the query string
+ * @returns {object} - { filters } or { error } describing the first bad value
+ */
+function parseBrowseFilters(query) {
+  const filters = {};
+
+  if (query.hazardous !== undefined) {
+    if (!['true', 'false'].includes(query.hazardous)) {
+      return { error: 'hazardous must be true or false' };
+    }
+    filters.hazardous = query.hazardous === 'true';
+  }
+
+  const numericFilters = ['min_diameter', 'max_diameter', 'min_magnitude', 'max_magnitude'];
+  for (const name of numericFilters) {
+    if (query[name] === undefined || query[name] === '') continue;
+
+    const value = parseFloat(query[name]);
+    if (isNaN(value) || (name.endsWith('diameter') && value < 0)) {
+      return { error: `${name} must be a ${name.endsWith('diameter') ? 'non-negative ' : ''}number` };
+    }
+    filters[name] = value;
+  }
+
+  if (query.orbit_class) {
+    // Accept codes (APO) or names (Apollo), comma separated
+    const codes = query.orbit_class.split(',').map(value => {
+      const wanted = value.trim().toUpperCase();
+      return Object.keys(ORBIT_CLASSES).find(code =>
+        code === wanted || ORBIT_CLASSES[code].name.toUpperCase() === wanted
+      ) || value.trim();
+    });
+
+    const unknown = codes.filter(code => !ORBIT_CLASSES[code]);
+    if (unknown.length > 0) {
+      return { error: `Unknown orbit_class: ${unknown.join(', ')}. Expected one of: ${Object.keys(ORBIT_CLASSES).join(', ')}` };
+    }
+    filters.orbit_class = codes;
+  }
+
+  return { filters };
+}
+
+/**
+ * Whether a catalogue object passes every browse filter. Diameter filters
+ * match when NASA's estimated diameter range overlaps the requested one.
+ */
+function matchesBrowseFilters(obj, filters) {
+  const diameter = obj.estimated_diameter.kilometers;
+
+  if (filters.hazardous !== undefined && obj.is_potentially_hazardous_asteroid !== filters.hazardous) return false;
+  if (filters.min_diameter !== undefined && diameter.estimated_diameter_max < filters.min_diameter) return false;
+  if (filters.max_diameter !== undefined && diameter.estimated_diameter_min > filters.max_diameter) return false;
+  if (filters.min_magnitude !== undefined && obj.absolute_magnitude_h < filters.min_magnitude) return false;
+  if (filters.max_magnitude !== undefined && obj.absolute_magnitude_h > filters.max_magnitude) return false;
+  if (filters.orbit_class && !filters.orbit_class.includes(obj.orbital_data?.orbit_class?.orbit_class_type)) return false;
+
+  return true;
+}
+
+/**
+ * Trim a catalogue object to what the browse table needs; the full close
+ * approach history is available from /object/:id
+ */
+function summarizeObject(obj) {
+  const today = new Date().toISOString().split('T')[0];
+  const nextApproach = (obj.close_approach_data || [])
+    .filter(approach => approach.orbiting_body === 'Earth' && approach.close_approach_date >= today)
+    .sort((a, b) => a.close_approach_date.localeCompare(b.close_approach_date))[0];
+  const orbitClass = obj.orbital_data?.orbit_class;
+
+  return {
+    id: obj.id,
+    name: obj.name,
+    designation: obj.designation,
+    nasa_jpl_url: obj.nasa_jpl_url,
+    absolute_magnitude_h: obj.absolute_magnitude_h,
+    diameter_km: {
+      min: obj.estimated_diameter.kilometers.estimated_diameter_min,
+      max: obj.estimated_diameter.kilometers.estimated_diameter_max
+    },
+    is_potentially_hazardous_asteroid: obj.is_potentially_hazardous_asteroid,
+    is_sentry_object: obj.is_sentry_object,
+    orbit_class: orbitClass ? {
+      code: orbitClass.orbit_class_type,
+      name: ORBIT_CLASSES[orbitClass.orbit_class_type]?.name || orbitClass.orbit_class_type,
+      description: orbitClass.orbit_class_description
+    } : null,
+    first_observation_date: obj.orbital_data?.first_observation_date || null,
+    last_observation_date: obj.orbital_data?.last_observation_date || null,
+    next_approach: nextApproach ? {
+      date: nextApproach.close_approach_date,
+      distance_km: parseFloat(nextApproach.miss_distance.kilometers),
+      velocity_kmh: parseFloat(nextApproach.relative_velocity.kilometers_per_hour)
+    } : null
+  };
+}
+
 // Helper function to categorize asteroid size
 function categorizeSize(diameterKm) {
   if (diameterKm < 0.001) return 'TINY';
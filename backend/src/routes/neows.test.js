@@ -0,0 +1,88 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const express = require('express');
+const request = require('supertest');
+const nasaApi = require('../services/nasaApi');
+const neowsRouter = require('./neows');
+
+const CATALOGUE_PAGES = 6;
+
+/**
+ * Catalogue object; every third one is hazardous
+ */
+const catalogueObject = (id) => ({
+  id: String(id),
+  name: `(Object ${id})`,
+  absolute_magnitude_h: 20,
+  estimated_diameter: { kilometers: { estimated_diameter_min: 0.1, estimated_diameter_max: 0.2 } },
+  is_potentially_hazardous_asteroid: id % 3 === 0,
+  is_sentry_object: false,
+  close_approach_data: []
+});
+
+describe('GET /browse', () => {
+  let app;
+  let browse;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/', neowsRouter);
+    browse = jest.spyOn(nasaApi, 'browseNearEarthObjects').mockImplementation(async (page, size) => ({
+      near_earth_objects: Array.from({ length: size }, (_, index) => catalogueObject(page * size + index)),
+      page: { number: page, size, total_pages: CATALOGUE_PAGES, total_elements: CATALOGUE_PAGES * size }
+    }));
+  });
+
+  afterEach(() => {
+    browse.mockRestore();
+  });
+
+  const ids = (response) => response.body.data.objects.map(obj => Number(obj.id));
+
+  it('maps one catalogue page to one result page without filters', async () => {
+    const response = await request(app).get('/browse?page=2&size=5');
+
+    expect(ids(response)).toEqual([5, 6, 7, 8, 9]);
+    expect(response.body.data.pagination).toMatchObject({ next_page: 3, next_offset: 0, pages_scanned: 1 });
+  });
+
+  it('fills a filtered page to size and stops partway through a catalogue page', async () => {
+    const response = await request(app).get('/browse?size=5&hazardous=true');
+
+    expect(ids(response)).toEqual([0, 3, 6, 9, 12]);
+    expect(response.body.data.count).toBe(5);
+    expect(response.body.data.pagination).toMatchObject({ page: 1, offset: 0, next_page: 3, next_offset: 3, pages_scanned: 3 });
+  });
+
+  it('resumes from the cursor without skipping or repeating objects', async () => {
+    const seen = [];
+    let cursor = { page: 1, offset: 0 };
+    while (cursor.page !== null) {
+      const response = await request(app).get(`/browse?size=5&hazardous=true&page=${cursor.page}&offset=${cursor.offset}`);
+      expect(response.body.data.count).toBeLessThanOrEqual(5);
+      seen.push(...ids(response));
+      cursor = { page: response.body.data.pagination.next_page, offset: response.body.data.pagination.next_offset };
+    }
+
+    expect(seen).toEqual([0, 3, 6, 9, 12, 15, 18, 21, 24, 27]);
+  });
+
+  it('returns no cursor once the catalogue is exhausted', async () => {
+    const response = await request(app).get('/browse?size=5&page=6');
+
+    expect(ids(response)).toEqual([25, 26, 27, 28, 29]);
+    expect(response.body.data.pagination).toMatchObject({ next_page: null, next_offset: null });
+  });
+
+  it.each(['-1', '5', 'abc'])('rejects offset=%s', async (offset) => {
+    const response = await request(app).get(`/browse?size=5&offset=${offset}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid offset');
+    expect(browse).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const { renderMetrics, CONTENT_TYPE } = require('../services/prometheus');
+const router = express.Router();
+
+/**
+ * @route   GET /metrics
+ * @desc    Metrics in Prometheus text format for scraping
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(renderMetrics());
+});
+
+module.exports = router;
\ No newline at end of file
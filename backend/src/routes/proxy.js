@@ -1,14 +1,32 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
 const express = require('express');
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const imageCache = require('../services/imageCache');
+const { megabytesFromEnv } = require('../services/cache');
+const { createImageAllowlistFromEnv } = require('../services/imageAllowlist');
+const { parseThumbnailOptions, negotiateFormat, createThumbnail } = require('../services/thumbnails');
+const logger = require('../utils/logger').child({ component: 'proxy' });
 const router = express.Router();
 
-// Cache for images (24 hours TTL)
-const imageCache = new NodeCache({ stdTTL: 86400, checkperiod: 3600 });
+// Only NASA hosts may be proxied, so the proxy can't be used to fetch arbitrary URLs
+const imageAllowlist = createImageAllowlistFromEnv();
+
+// Larger upstream bodies are refused (413) rather than streamed or cached.
+// An uncached image is held in memory while it streams so it can be cached,
+// so each concurrent miss can use up to this much.
+const MAX_IMAGE_BYTES = megabytesFromEnv('IMAGE_PROXY_MAX_SIZE_MB', 25);
+const UPSTREAM_TIMEOUT_MS = 30000;
+
+// Fetches and resizes in progress by cache key, so concurrent requests for the
+// same image or thumbnail variant share one (the way nasaApi shares NASA calls)
+const inFlight = new Map();
 
 /**
  * @route   GET /api/proxy/image
- * @desc    Proxy NASA images to avoid CORS and timeout issues
+ * @desc    Proxy NASA images to avoid CORS and timeout issues. Range,
+ *          If-None-Match and If-Modified-Since are honoured; uncached images
+ *          are streamed from NASA while being collected for the cache.
  * @access  Public
  * @params  url (required) - The NASA image URL to proxy
  */
@@ -17,137 +35,107 @@ router.get('/image', async (req, res, next) => {
     const { url } = req.query;
 
     if (!url) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing URL parameter',
-        message: 'Image URL is required'
-      });
+      return res.status(400).json(missingUrl());
     }
 
-    // Validate that it's a NASA URL for security
-    const allowedDomains = [
-      'apod.nasa.gov',
-      'mars.nasa.gov',
-      'api.nasa.gov',
-      'epic.gsfc.nasa.gov',
-      'photojournal.jpl.nasa.gov'
-    ];
-
-    const urlObj = new URL(url);
-    const isAllowedDomain = allowedDomains.some(domain => 
-      urlObj.hostname.includes(domain) || urlObj.hostname.endsWith(domain)
-    );
-
-    if (!isAllowedDomain) {
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden domain',
-        message: 'Only NASA domains are allowed'
-      });
+    const { error: urlError } = imageAllowlist.check(url);
+    if (urlError) {
+      return res.status(403).json(forbiddenUrl(urlError));
     }
 
-    // Check cache first
-    const cacheKey = `image_${Buffer.from(url).toString('base64')}`;
-    const cachedImage = imageCache.get(cacheKey);
-    
+    const cachedImage = await imageCache.get(imageCacheKey(url));
     if (cachedImage) {
-      console.log(`Image cache hit for: ${url}`);
-      res.set({
-        'Content-Type': cachedImage.contentType,
-        'Content-Length': cachedImage.data.length,
-        'Cache-Control': 'public, max-age=86400',
-        'X-Cache': 'HIT'
-      });
-      return res.send(cachedImage.data);
+      logger.debug('Image cache hit', { url: redactApiKey(url) });
+      return sendCachedImage(req, res, cachedImage);
     }
 
-    console.log(`Proxying image request: ${url}`);
-
-    // Fetch image from NASA
-    const response = await axios.get(url, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'NASA-Mission-Control-Dashboard/1.0.0'
-      }
-    });
-
-    const contentType = response.headers['content-type'] || 'image/jpeg';
-    const imageData = Buffer.from(response.data);
-
-    // Cache the image
-    imageCache.set(cacheKey, {
-      data: imageData,
-      contentType: contentType
-    });
-
-    // Set appropriate headers
-    res.set({
-      'Content-Type': contentType,
-      'Content-Length': imageData.length,
-      'Cache-Control': 'public, max-age=86400',
-      'X-Cache': 'MISS'
-    });
-
-    res.send(imageData);
+    await streamImage(req, res, url);
 
   } catch (error) {
-    console.error('Image proxy error:', {
-      url: req.query.url,
-      error: error.message,
-      status: error.response?.status
-    });
-
-    // Return a placeholder image or error response
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      return res.status(408).json({
-        success: false,
-        error: 'Request timeout',
-        message: 'Image request timed out'
-      });
-    }
-
-    if (error.response?.status === 404) {
-      return res.status(404).json({
-        success: false,
-        error: 'Image not found',
-        message: 'The requested image could not be found'
-      });
-    }
-
-    next(error);
+    handleProxyError(error, req, res, next);
   }
 });
 
 /**
  * @route   GET /api/proxy/thumbnail
- * @desc    Generate or proxy thumbnail images
+ * @desc    Resized copy of a NASA image, as AVIF or WebP when the Accept header allows
  * @access  Public
  * @params  url (required) - The NASA image URL to create thumbnail for
- * @params  size (optional) - Thumbnail size (default: 300)
+ * @params  width, height (optional) - Pixels, 16-2048; width defaults to 300 (size is accepted as an alias)
+ * @params  fit (optional) - cover, contain, fill, inside or outside (default: cover)
+ * @params  quality (optional) - 1-100 (default: 70)
  */
 router.get('/thumbnail', async (req, res, next) => {
   try {
-    const { url, size = 300 } = req.query;
+    const { url } = req.query;
 
     if (!url) {
+      return res.status(400).json(missingUrl());
+    }
+
+    const { options, error } = parseThumbnailOptions(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'Missing URL parameter',
-        message: 'Image URL is required'
+        error: 'Invalid thumbnail options',
+        message: error
       });
     }
 
-    // For now, just proxy the original image
-    // In a production environment, you might want to implement actual thumbnail generation
-    req.query.url = url;
-    return router.handle(req, res, next);
+    const { error: urlError } = imageAllowlist.check(url);
+    if (urlError) {
+      return res.status(403).json(forbiddenUrl(urlError));
+    }
+
+    const format = negotiateFormat(req.get('Accept'), new URL(url).pathname);
+
+    // One cache entry per variant; the original is cached separately by fetchImage
+    const variant = `${format}_${options.width || 'auto'}x${options.height || 'auto'}_${options.fit}_q${options.quality}`;
+    const cacheKey = `thumb_${variant}_${Buffer.from(url).toString('base64')}`;
+    let thumbnail = await imageCache.get(cacheKey);
+    const cacheStatus = thumbnail ? 'HIT' : 'MISS';
+
+    if (!thumbnail) {
+      try {
+        thumbnail = await shared(cacheKey, () => resizeImage(cacheKey, url, { ...options, format }));
+      } catch (resizeError) {
+        if (resizeError.code !== 'UNSUPPORTED_IMAGE') throw resizeError;
+        return res.status(422).json({
+          success: false,
+          error: 'Unsupported image',
+          message: 'The image could not be decoded for resizing'
+        });
+      }
+    }
+
+    res.set({
+      'Content-Type': thumbnail.contentType,
+      'Content-Length': thumbnail.data.length,
+      'Cache-Control': 'public, max-age=86400',
+      'X-Cache': cacheStatus
+    });
+    // The format depends on Accept, so shared caches must key on it too
+    res.vary('Accept');
+
+    res.send(thumbnail.data);
 
   } catch (error) {
-    next(error);
+    handleProxyError(error, req, res, next);
   }
 });
 
+/**
+ * @route   GET /api/proxy/allowlist
+ * @desc    Hosts, schemes and ports the image proxy accepts, so clients only send it URLs it will fetch
+ * @access  Public
+ */
+router.get('/allowlist', (req, res) => {
+  res.json({
+    success: true,
+    data: imageAllowlist.toJSON()
+  });
+});
+
 /**
  * @route   GET /api/proxy/cache/stats
  * @desc    Get image cache statistics
@@ -155,19 +143,15 @@ router.get('/thumbnail', async (req, res, next) => {
  */
 router.get('/cache/stats', (req, res) => {
   const stats = imageCache.getStats();
-  const keys = imageCache.keys();
 
   res.json({
     success: true,
     data: {
+      backend: stats.backend,
       stats: stats,
-      cached_images: keys.length,
-      cache_size_mb: Math.round(
-        keys.reduce((total, key) => {
-          const item = imageCache.get(key);
-          return total + (item?.data?.length || 0);
-        }, 0) / (1024 * 1024) * 100
-      ) / 100
+      cached_images: imageCache.keys().length,
+      cache_size_mb: Math.round(stats.size_bytes / (1024 * 1024) * 100) / 100,
+      cache_limit_mb: Math.round(stats.max_bytes / (1024 * 1024) * 100) / 100
     }
   });
 });
@@ -177,7 +161,7 @@ router.get('/cache/stats', (req, res) => {
  * @desc    Clear image cache
  * @access  Public (should be protected in production)
  */
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', async (req, res) => {
   if (process.env.NODE_ENV === 'production') {
     return res.status(403).json({
       success: false,
@@ -186,7 +170,7 @@ router.post('/cache/clear', (req, res) => {
     });
   }
 
-  imageCache.flushAll();
+  await imageCache.flush();
   
   res.json({
     success: true,
@@ -194,4 +178,329 @@ router.post('/cache/clear', (req, res) => {
   });
 });
 
+function imageCacheKey(url) {
+  return `image_${Buffer.from(url).toString('base64')}`;
+}
+
+function entityTag(data) {
+  return `"${crypto.createHash('sha1').update(data).digest('base64').slice(0, 27)}"`;
+}
+
+/**
+ * Cache an image, or log why it couldn't be. The image has already been
+ * fetched, so a full disk or a failed write shouldn't fail the request.
+ */
+async function cacheImage(cacheKey, image, url) {
+  try {
+    await imageCache.set(cacheKey, image);
+  } catch (error) {
+    logger.warn('Could not cache image', { url: redactApiKey(url), error: error.message });
+  }
+}
+
+/**
+ * Run work once per key at a time; callers arriving while it runs get the same promise
+ */
+function shared(key, work) {
+  if (inFlight.has(key)) {
+    logger.debug('Joining in-flight image request', { cache_key: key });
+    return inFlight.get(key);
+  }
+
+  const request = work().finally(() => inFlight.delete(key));
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Fetch the original, resize it and cache the thumbnail
+ * @returns {Promise<object>} - { data, contentType, width, height }
+ */
+async function resizeImage(cacheKey, url, options) {
+  const original = await fetchImage(url);
+
+  let thumbnail;
+  try {
+    thumbnail = await createThumbnail(original.data, options);
+  } catch (error) {
+    logger.warn('Could not resize image', { url: redactApiKey(url), error: error.message });
+    const unsupported = new Error('The image could not be decoded for resizing');
+    unsupported.code = 'UNSUPPORTED_IMAGE';
+    throw unsupported;
+  }
+
+  await cacheImage(cacheKey, { data: thumbnail.data, contentType: thumbnail.contentType }, url);
+  return thumbnail;
+}
+
+function imageTooLarge() {
+  const error = new Error(`Image exceeds the ${+(MAX_IMAGE_BYTES / (1024 * 1024)).toFixed(1)} MB proxy limit`);
+  error.code = 'IMAGE_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Original image bytes, from the image cache or NASA
+ * @returns {Promise<object>} - { data, contentType, etag, lastModified, cacheStatus }
+ */
+async function fetchImage(url) {
+  const cacheKey = imageCacheKey(url);
+  const cachedImage = await imageCache.get(cacheKey);
+
+  if (cachedImage) {
+    logger.debug('Image cache hit', { url: redactApiKey(url) });
+    return { ...cachedImage, cacheStatus: 'HIT' };
+  }
+
+  // Thumbnails of several widths of one image are often asked for at once
+  const image = await shared(cacheKey, () => downloadImage(cacheKey, url));
+  return { ...image, cacheStatus: 'MISS' };
+}
+
+/**
+ * Fetch an original image from NASA and cache it
+ * @returns {Promise<object>} - { data, contentType, etag, lastModified }
+ */
+async function downloadImage(cacheKey, url) {
+  logger.info('Proxying image request', { url: redactApiKey(url) });
+
+  // Fetch image from NASA
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: UPSTREAM_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES,
+      ...imageAllowlist.requestOptions(),
+      headers: {
+        'User-Agent': 'NASA-Mission-Control-Dashboard/1.0.0'
+      }
+    });
+  } catch (error) {
+    throw error.message.includes('maxContentLength') ? imageTooLarge() : error;
+  }
+
+  const data = Buffer.from(response.data);
+  const image = {
+    data,
+    contentType: response.headers['content-type'] || 'image/jpeg',
+    etag: response.headers.etag || entityTag(data),
+    lastModified: response.headers['last-modified'] || null
+  };
+
+  await cacheImage(cacheKey, image, url);
+  return image;
+}
+
+/**
+ * Answer from a cached image: 304 when the client's copy is current, 206 for
+ * a single satisfiable range, 416 for an unsatisfiable one, otherwise 200.
+ * Multiple ranges are answered with the whole image.
+ */
+function sendCachedImage(req, res, image) {
+  const etag = image.etag || entityTag(image.data);
+
+  res.set({
+    'Content-Type': image.contentType,
+    'Cache-Control': 'public, max-age=86400',
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'X-Cache': 'HIT'
+  });
+  if (image.lastModified) {
+    res.set('Last-Modified', image.lastModified);
+  }
+
+  // Express compares If-None-Match / If-Modified-Since against the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const size = image.data.length;
+  const ifRange = req.get('If-Range');
+  const ranges = req.get('Range') && (!ifRange || ifRange === etag || ifRange === image.lastModified)
+    ? req.range(size)
+    : null;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set({
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': end - start + 1
+    });
+    return res.status(206).end(image.data.subarray(start, end + 1));
+  }
+
+  res.set('Content-Length', size);
+  res.end(image.data);
+}
+
+/**
+ * Pipe an uncached image from NASA to the client as it arrives. Whole
+ * responses are collected on the way through (at most MAX_IMAGE_BYTES) and
+ * cached once complete; ranged requests are passed upstream and not cached.
+ * A client whose copy matches NASA's ETag or Last-Modified gets a 304 before
+ * any of the body is read.
+ */
+async function streamImage(req, res, url) {
+  logger.info('Proxying image request', { url: redactApiKey(url) });
+
+  const headers = { 'User-Agent': 'NASA-Mission-Control-Dashboard/1.0.0' };
+  const ranged = Boolean(req.get('Range'));
+  if (ranged) {
+    headers.Range = req.get('Range');
+    if (req.get('If-Range')) headers['If-Range'] = req.get('If-Range');
+  }
+
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: UPSTREAM_TIMEOUT_MS,
+    headers,
+    ...imageAllowlist.requestOptions(),
+    validateStatus: status => status === 200 || status === 206
+  });
+  const upstream = response.data;
+
+  const declaredLength = parseInt(response.headers['content-length']);
+  if (declaredLength > MAX_IMAGE_BYTES) {
+    upstream.destroy();
+    throw imageTooLarge();
+  }
+
+  res.status(response.status);
+  res.set({
+    'Content-Type': response.headers['content-type'] || 'image/jpeg',
+    'Cache-Control': 'public, max-age=86400',
+    'Accept-Ranges': 'bytes',
+    'X-Cache': 'MISS'
+  });
+  ['content-length', 'content-range', 'etag', 'last-modified'].forEach(header => {
+    if (response.headers[header]) res.set(header, response.headers[header]);
+  });
+
+  // Express compares If-None-Match / If-Modified-Since against NASA's validators set above
+  if (req.fresh) {
+    upstream.destroy();
+    res.removeHeader('Content-Length');
+    res.removeHeader('Content-Range');
+    return res.status(304).end();
+  }
+
+  const cacheable = response.status === 200;
+  const chunks = [];
+  let received = 0;
+
+  const collector = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_IMAGE_BYTES) {
+        return callback(imageTooLarge());
+      }
+      if (cacheable) chunks.push(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  pipeline(upstream, collector, res, async (error) => {
+    if (error) {
+      // Headers are already sent, so the client just sees the connection close
+      logger.warn('Image stream ended early', { url: redactApiKey(url), error: error.message, bytes: received });
+      return;
+    }
+    if (!cacheable) return;
+
+    const data = Buffer.concat(chunks, received);
+    await cacheImage(imageCacheKey(url), {
+      data,
+      contentType: response.headers['content-type'] || 'image/jpeg',
+      etag: response.headers.etag || entityTag(data),
+      lastModified: response.headers['last-modified'] || null
+    }, url);
+  });
+}
+
+function missingUrl() {
+  return {
+    success: false,
+    error: 'Missing URL parameter',
+    message: 'Image URL is required'
+  };
+}
+
+function forbiddenUrl(reason) {
+  return {
+    success: false,
+    error: 'Forbidden URL',
+    message: reason
+  };
+}
+
+function handleProxyError(error, req, res, next) {
+  logger.error('Image proxy error', {
+    url: redactApiKey(req.query.url),
+    error: error.message,
+    status: error.response?.status
+  });
+
+  if (res.headersSent) {
+    return;
+  }
+
+  // Raised by the allowlist's DNS check, or wrapped (twice) by the redirect follower
+  let forbiddenError = error;
+  while (forbiddenError && forbiddenError.code !== 'FORBIDDEN_URL') {
+    forbiddenError = forbiddenError.cause;
+  }
+  if (forbiddenError) {
+    return res.status(403).json(forbiddenUrl(forbiddenError.message));
+  }
+
+  if (error.code === 'IMAGE_TOO_LARGE') {
+    return res.status(413).json({
+      success: false,
+      error: 'Image too large',
+      message: error.message
+    });
+  }
+
+  // Return a placeholder image or error response
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return res.status(408).json({
+      success: false,
+      error: 'Request timeout',
+      message: 'Image request timed out'
+    });
+  }
+
+  if (error.response?.status === 416) {
+    return res.status(416).json({
+      success: false,
+      error: 'Range not satisfiable',
+      message: 'The requested byte range is outside the image'
+    });
+  }
+
+  if (error.response?.status === 404) {
+    return res.status(404).json({
+      success: false,
+      error: 'Image not found',
+      message: 'The requested image could not be found'
+    });
+  }
+
+  next(error);
+}
+
+/**
+ * Hide NASA API keys embedded in image URLs (EPIC archive links) before logging
+ */
+function redactApiKey(url) {
+  return typeof url === 'string' ? url.replace(/(api_key=)[^&]+/gi, '$1[REDACTED]') : url;
+}
+
 module.exports = router;
\ No newline at end of file
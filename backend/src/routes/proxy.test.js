@@ -0,0 +1,129 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+jest.mock('axios');
+jest.mock('../services/thumbnails', () => {
+  const actual = jest.requireActual('../services/thumbnails');
+  return { ...actual, createThumbnail: jest.fn(actual.createThumbnail) };
+});
+
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const sharp = require('sharp');
+const { createThumbnail } = require('../services/thumbnails');
+const imageCache = require('../services/imageCache');
+const proxyRouter = require('./proxy');
+
+const IMAGE_URL = 'https://apod.nasa.gov/apod/image/2406/orion.jpg';
+const IMAGE = Buffer.from('not really a jpeg');
+const ETAG = '"orion-1"';
+const LAST_MODIFIED = 'Mon, 10 Jun 2024 00:00:00 GMT';
+
+describe('GET /image for an uncached image', () => {
+  let app;
+  let upstream;
+
+  beforeEach(async () => {
+    await imageCache.flush();
+    app = express();
+    app.use('/', proxyRouter);
+    upstream = Readable.from([IMAGE]);
+    axios.get.mockResolvedValue({
+      status: 200,
+      data: upstream,
+      headers: {
+        'content-type': 'image/jpeg',
+        'content-length': String(IMAGE.length),
+        etag: ETAG,
+        'last-modified': LAST_MODIFIED
+      }
+    });
+  });
+
+  it('streams the image and caches it', async () => {
+    const response = await request(app).get('/image').query({ url: IMAGE_URL });
+
+    expect(response.status).toBe(200);
+    expect(response.headers).toMatchObject({ etag: ETAG, 'x-cache': 'MISS' });
+    expect(response.body).toEqual(IMAGE);
+    // The cache write runs once the stream to the client has finished
+    await new Promise(resolve => setImmediate(resolve));
+    expect((await imageCache.get(`image_${Buffer.from(IMAGE_URL).toString('base64')}`))?.data).toEqual(IMAGE);
+  });
+
+  it.each([
+    ['If-None-Match', ETAG],
+    ['If-Modified-Since', LAST_MODIFIED]
+  ])('answers a matching %s with 304 without reading the body', async (header, value) => {
+    const response = await request(app).get('/image').query({ url: IMAGE_URL }).set(header, value);
+
+    expect(response.status).toBe(304);
+    expect(response.headers.etag).toBe(ETAG);
+    expect(upstream.destroyed).toBe(true);
+  });
+
+  it('streams the image when the client copy is stale', async () => {
+    const response = await request(app).get('/image').query({ url: IMAGE_URL }).set('If-None-Match', '"orion-0"');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(IMAGE);
+  });
+});
+
+describe('GET /thumbnail', () => {
+  let app;
+
+  beforeEach(async () => {
+    await imageCache.flush();
+    axios.get.mockReset();
+    createThumbnail.mockClear();
+    app = express();
+    app.use('/', proxyRouter);
+
+    const original = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    axios.get.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({
+      status: 200,
+      data: original,
+      headers: { 'content-type': 'image/jpeg' }
+    }), 20)));
+  });
+
+  const thumbnail = (width) => request(app).get('/thumbnail').query({ url: IMAGE_URL, width }).set('Accept', 'image/webp');
+
+  it('fetches and resizes once for concurrent requests of one variant', async () => {
+    const responses = await Promise.all([thumbnail(160), thumbnail(160), thumbnail(160)]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200, 200]);
+    expect(responses.map(response => response.headers['content-type'])).toEqual(['image/webp', 'image/webp', 'image/webp']);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(createThumbnail).toHaveBeenCalledTimes(1);
+  });
+
+  it('fetches the original once for concurrent requests of different widths', async () => {
+    await Promise.all([thumbnail(160), thumbnail(320), thumbnail(640)]);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(createThumbnail).toHaveBeenCalledTimes(3);
+  });
+
+  it('serves later requests from the cache', async () => {
+    await thumbnail(160);
+    const response = await thumbnail(160);
+
+    expect(response.headers['x-cache']).toBe('HIT');
+    expect(createThumbnail).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 422 to every waiting request when the image cannot be decoded', async () => {
+    axios.get.mockResolvedValue({ status: 200, data: Buffer.from('not an image'), headers: { 'content-type': 'image/jpeg' } });
+
+    const responses = await Promise.all([thumbnail(160), thumbnail(160)]);
+
+    expect(responses.map(response => response.status)).toEqual([422, 422]);
+    expect(createThumbnail).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
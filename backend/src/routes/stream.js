@@ -0,0 +1,50 @@
+const express = require('express');
+const nasaApi = require('../services/nasaApi');
+const metrics = require('../services/metrics');
+const eventStream = require('../services/eventStream');
+const { LiveUpdates } = require('../services/liveUpdates');
+const { buildHealthReport, getCacheSummary } = require('../services/health');
+const { monitor } = require('../services/watchlist');
+const logger = require('../utils/logger').child({ component: 'event-stream' });
+const router = express.Router();
+
+const liveUpdates = new LiveUpdates({
+  stream: eventStream,
+  nasaApi,
+  monitor,
+  buildHealthReport,
+  getCacheSummary,
+  metrics
+});
+
+/**
+ * @route   GET /api/stream
+ * @desc    Server-Sent Events: health, cache, metrics, apod, epic, mars and
+ *          watchlist_alert. The current health and metrics are sent on connect.
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  eventStream.addClient(req, res);
+
+  liveUpdates.sendSnapshot(res).catch(error => {
+    logger.warn('Could not send stream snapshot', { error });
+  });
+});
+
+/**
+ * @route   GET /api/stream/status
+ * @desc    Connected stream clients and events sent
+ * @access  Public
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: eventStream.getStatus(),
+    meta: {
+      endpoint: 'stream/status',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+module.exports = router;
\ No newline at end of file
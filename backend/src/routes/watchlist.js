@@ -0,0 +1,336 @@
+const express = require('express');
+const nasaApi = require('../services/nasaApi');
+const { store, monitor, DEFAULT_THRESHOLD_LD } = require('../services/watchlist');
+const router = express.Router();
+
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * @route   GET /api/watchlist
+ * @desc    Watched asteroids with their next approach and last check
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      entries: store.list(),
+      count: store.list().length,
+      monitor: monitor.getStatus()
+    },
+    meta: {
+      endpoint: 'watchlist',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   POST /api/watchlist
+ * @desc    Watch an asteroid
+ * @access  Public
+ * @body    asteroid_id, threshold_ld, label
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { asteroid_id, threshold_ld = DEFAULT_THRESHOLD_LD, label = null } = req.body || {};
+
+    if (!asteroid_id || !/^\d+$/.test(String(asteroid_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid asteroid ID',
+        message: 'asteroid_id must be a NeoWs object ID, e.g. 3542519'
+      });
+    }
+
+    const validationError = validateFields({ threshold_ld, label });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid watchlist entry',
+        message: validationError
+      });
+    }
+
+    const asteroidId = String(asteroid_id);
+    if (store.findByAsteroid(asteroidId)) {
+      return res.status(409).json(alreadyWatched(asteroidId));
+    }
+
+    // Confirms the asteroid exists and gives the entry its name
+    let asteroid;
+    try {
+      asteroid = await nasaApi.getNearEarthObjectById(asteroidId);
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: 'Asteroid not found',
+          message: `NASA has no Near Earth Object with ID ${asteroidId}`
+        });
+      }
+      throw error;
+    }
+
+    // Another request may have added it while NASA was being asked
+    if (store.findByAsteroid(asteroidId)) {
+      return res.status(409).json(alreadyWatched(asteroidId));
+    }
+
+    const entry = store.add({
+      asteroid_id: asteroidId,
+      name: asteroid.name,
+      threshold_ld: parseFloat(threshold_ld),
+      label
+    });
+    const { entry: checked, alerts } = await monitor.checkEntry(entry);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        entry: checked,
+        alerts
+      },
+      meta: {
+        endpoint: 'watchlist',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/watchlist/check
+ * @desc    Re-check every watched asteroid now
+ * @access  Public
+ */
+router.post('/check', async (req, res, next) => {
+  try {
+    const result = await monitor.checkAll();
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: 'Check in progress',
+        message: 'A watchlist check is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      meta: {
+        endpoint: 'watchlist/check',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/watchlist/alerts
+ * @desc    Alerts raised for watched asteroids, newest first
+ * @access  Public
+ * @params  unacknowledged
+ */
+router.get('/alerts', (req, res) => {
+  const unacknowledged = req.query.unacknowledged === 'true';
+  const alerts = store.listAlerts({ unacknowledged });
+
+  res.json({
+    success: true,
+    data: {
+      alerts,
+      count: alerts.length
+    },
+    meta: {
+      endpoint: 'watchlist/alerts',
+      unacknowledged,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   POST /api/watchlist/alerts/:alertId/acknowledge
+ * @desc    Mark an alert as seen
+ * @access  Public
+ */
+router.post('/alerts/:alertId/acknowledge', (req, res) => {
+  const alert = store.acknowledgeAlert(req.params.alertId);
+
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alert not found',
+      message: `No alert with ID ${req.params.alertId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: alert,
+    meta: {
+      endpoint: 'watchlist/alerts/acknowledge',
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   GET /api/watchlist/:id
+ * @desc    One watchlist entry
+ * @access  Public
+ */
+router.get('/:id', (req, res) => {
+  const entry = store.get(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json(entryNotFound(req.params.id));
+  }
+
+  res.json({
+    success: true,
+    data: entry,
+    meta: {
+      endpoint: `watchlist/${req.params.id}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   PATCH /api/watchlist/:id
+ * @desc    Change an entry's threshold, label or enabled flag
+ * @access  Public
+ * @body    threshold_ld, label, enabled
+ */
+router.patch('/:id', (req, res) => {
+  const { threshold_ld, label, enabled } = req.body || {};
+
+  if (!store.get(req.params.id)) {
+    return res.status(404).json(entryNotFound(req.params.id));
+  }
+
+  const validationError = validateFields({ threshold_ld, label, enabled });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid watchlist entry',
+      message: validationError
+    });
+  }
+
+  const fields = {};
+  if (threshold_ld !== undefined) fields.threshold_ld = parseFloat(threshold_ld);
+  if (label !== undefined) fields.label = label;
+  if (enabled !== undefined) fields.enabled = enabled;
+
+  res.json({
+    success: true,
+    data: store.update(req.params.id, fields),
+    meta: {
+      endpoint: `watchlist/${req.params.id}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   DELETE /api/watchlist/:id
+ * @desc    Stop watching an asteroid and drop its alerts
+ * @access  Public
+ */
+router.delete('/:id', (req, res) => {
+  if (!store.remove(req.params.id)) {
+    return res.status(404).json(entryNotFound(req.params.id));
+  }
+
+  res.json({
+    success: true,
+    data: { id: req.params.id, removed: true },
+    meta: {
+      endpoint: `watchlist/${req.params.id}`,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+/**
+ * @route   POST /api/watchlist/:id/check
+ * @desc    Re-check one watched asteroid now
+ * @access  Public
+ */
+router.post('/:id/check', async (req, res, next) => {
+  try {
+    const entry = store.get(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json(entryNotFound(req.params.id));
+    }
+
+    const { entry: checked, alerts, error } = await monitor.checkEntry(entry);
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        entry: checked,
+        alerts
+      },
+      meta: {
+        endpoint: `watchlist/${req.params.id}/check`,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check optional entry fields
+ * @returns {string|null} - Message for the first bad field
+ */
+function validateFields({ threshold_ld, label, enabled }) {
+  if (threshold_ld !== undefined) {
+    const threshold = parseFloat(threshold_ld);
+    if (isNaN(threshold) || threshold <= 0) {
+      return 'threshold_ld must be a positive number of lunar distances';
+    }
+  }
+
+  if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+    return `label must be a string of at most ${MAX_LABEL_LENGTH} characters`;
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+
+  return null;
+}
+
+function alreadyWatched(asteroidId) {
+  return {
+    success: false,
+    error: 'Already watched',
+    message: `Asteroid ${asteroidId} is already on the watchlist`
+  };
+}
+
+function entryNotFound(id) {
+  return {
+    success: false,
+    error: 'Watchlist entry not found',
+    message: `No watchlist entry with ID ${id}`
+  };
+}
+
+module.exports = router;
\ No newline at end of file
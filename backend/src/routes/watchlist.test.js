@@ -0,0 +1,58 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+describe('POST /api/watchlist', () => {
+  let directory;
+  let app;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-test-'));
+    process.env.WATCHLIST_PATH = path.join(directory, 'watchlist.json');
+
+    jest.isolateModules(() => {
+      // NASA answers slowly, so concurrent requests overlap
+      const nasaApi = require('../services/nasaApi');
+      jest.spyOn(nasaApi, 'getNearEarthObjectById').mockImplementation(() =>
+        new Promise(resolve => setTimeout(() => resolve({ name: '(2010 PK9)', close_approach_data: [] }), 20))
+      );
+      ({ store } = require('../services/watchlist'));
+
+      app = express();
+      app.use(express.json());
+      app.use('/', require('./watchlist'));
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.WATCHLIST_PATH;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const watch = () => request(app).post('/').send({ asteroid_id: '3542519', threshold_ld: 5 });
+
+  it('adds an asteroid once', async () => {
+    const first = await watch();
+    const second = await watch();
+
+    expect(first.status).toBe(201);
+    expect(first.body.data.entry).toMatchObject({ asteroid_id: '3542519', name: '(2010 PK9)' });
+    expect(second.status).toBe(409);
+  });
+
+  it('adds an asteroid once when two requests race', async () => {
+    const responses = await Promise.all([watch(), watch()]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(store.list()).toHaveLength(1);
+  });
+});
@@ -3,7 +3,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const morgan = require('morgan');
 require('dotenv').config();
 
 // Import routes
@@ -13,10 +12,26 @@ const neowsRoutes = require('./routes/neows');
 const epicRoutes = require('./routes/epic');
 const healthRoutes = require('./routes/health');
 const proxyRoutes = require('./routes/proxy');
+const metricsRoutes = require('./routes/metrics');
+const prometheusRoutes = require('./routes/prometheus');
+const watchlistRoutes = require('./routes/watchlist');
+const streamRoutes = require('./routes/stream');
+const adminRoutes = require('./routes/admin');
+const collectionsRoutes = require('./routes/collections');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
+const requestContext = require('./middleware/requestContext');
+const requestLogger = require('./middleware/requestLogger');
+const metricsMiddleware = require('./middleware/metrics');
+
+// Import services
+const nasaApi = require('./services/nasaApi');
+const metrics = require('./services/metrics');
+const watchlist = require('./services/watchlist');
+const prewarm = require('./services/prewarm');
+const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -38,10 +53,15 @@ app.use(helmet({
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://localhost:5173'],
   credentials: true,
+  exposedHeaders: [requestContext.REQUEST_ID_HEADER],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
+// Correlation ID and access log, ahead of the rate limiter so rejected requests are traced too
+app.use(requestContext);
+app.use(requestLogger);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -51,15 +71,19 @@ const limiter = rateLimit({
     retryAfter: Math.ceil((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000) / 1000)
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimited();
+    res.status(options.statusCode).json(options.message);
+  }
 });
 app.use('/api/', limiter);
 
 // General middleware
 app.use(compression());
-app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(metricsMiddleware);
 
 // API Routes
 app.use('/api/health', healthRoutes);
@@ -68,6 +92,14 @@ app.use('/api/mars', marsRoutes);
 app.use('/api/neows', neowsRoutes);
 app.use('/api/epic', epicRoutes);
 app.use('/api/proxy', proxyRoutes);
+app.use('/api/metrics', metricsRoutes);
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/collections', collectionsRoutes);
+
+// Prometheus scrape endpoint (outside /api so scrapes are not rate limited)
+app.use('/metrics', prometheusRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -80,7 +112,13 @@ app.get('/', (req, res) => {
       apod: '/api/apod',
       mars: '/api/mars',
       neows: '/api/neows',
-      epic: '/api/epic'
+      epic: '/api/epic',
+      metrics: '/api/metrics',
+      watchlist: '/api/watchlist',
+      stream: '/api/stream',
+      collections: '/api/collections',
+      admin: '/api/admin/status',
+      prometheus: '/metrics'
     },
     documentation: 'https://api.nasa.gov/'
   });
@@ -91,10 +129,27 @@ app.use(notFound);
 app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`NASA Mission Control API Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`NASA API Key: ${process.env.NASA_API_KEY ? 'Configured' : 'Missing - using DEMO_KEY'}`);
+const server = app.listen(PORT, () => {
+  logger.info('NASA Mission Control API Server running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    nasa_api_keys: process.env.NASA_API_KEYS || process.env.NASA_API_KEY ? nasaApi.keyPool.size : 'Missing - using DEMO_KEY',
+    cache_backend: process.env.CACHE_BACKEND || 'memory',
+    log_level: process.env.LOG_LEVEL || 'info'
+  });
+
+  watchlist.monitor.start();
+  prewarm.startPrewarming();
+});
+
+// Stores flush their pending writes on 'exit', which Node skips when a
+// signal ends the process. Turn docker stop and Ctrl+C into a normal exit.
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.once(signal, () => {
+    logger.info('Shutting down', { signal });
+    server.close();
+    process.exit(0);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
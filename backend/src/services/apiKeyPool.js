@@ -0,0 +1,165 @@
+/**
+ * Pool of NASA API keys with quota tracking and rotation
+ *
+ * NASA reports the remaining hourly quota for a key in the
+ * X-RateLimit-Remaining header of every response. The pool remembers it per
+ * key, hands out the key with the most headroom and benches exhausted keys
+ * until their quota window has rolled over.
+ */
+
+const logger = require('../utils/logger').child({ component: 'api-key-pool' });
+
+const DEMO_KEY = 'DEMO_KEY';
+const DEFAULT_COOLDOWN_SECONDS = 3600; // NASA quotas are rolling hourly windows
+
+// Documented hourly limits, used until NASA tells us otherwise
+const DEFAULT_LIMITS = {
+  [DEMO_KEY]: 30,
+  default: 1000
+};
+
+class ApiKeyPool {
+  constructor(keys = [], { cooldownSeconds = DEFAULT_COOLDOWN_SECONDS } = {}) {
+    const uniqueKeys = [...new Set(keys.map(key => key.trim()).filter(Boolean))];
+    if (uniqueKeys.length === 0) {
+      uniqueKeys.push(DEMO_KEY);
+    }
+
+    this.cooldownMs = cooldownSeconds * 1000;
+    this.keys = uniqueKeys.map((key, index) => ({
+      key,
+      id: `key-${index + 1}`,
+      limit: DEFAULT_LIMITS[key] || DEFAULT_LIMITS.default,
+      remaining: null,
+      cooldownUntil: 0,
+      lastUsed: 0,
+      requests: 0,
+      rateLimited: 0
+    }));
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  isCoolingDown(entry, now = Date.now()) {
+    return entry.cooldownUntil > now;
+  }
+
+  headroom(entry) {
+    return entry.remaining ?? entry.limit;
+  }
+
+  /**
+   * Best available key: most remaining quota, then least recently used
+   * @returns {object|null} - Key entry, or null when every key is cooling down
+   */
+  acquire() {
+    const now = Date.now();
+    const available = this.keys.filter(entry => !this.isCoolingDown(entry, now));
+    if (available.length === 0) {
+      return null;
+    }
+
+    const best = available.sort((a, b) =>
+      this.headroom(b) - this.headroom(a) || a.lastUsed - b.lastUsed
+    )[0];
+
+    best.lastUsed = now;
+    best.requests++;
+    return best;
+  }
+
+  /**
+   * Best key without counting a request against it, for building image URLs.
+   * Falls back to the key that recovers soonest if all are cooling down.
+   * @returns {string} - API key
+   */
+  peek() {
+    const now = Date.now();
+    const available = this.keys.filter(entry => !this.isCoolingDown(entry, now));
+    const candidates = available.length > 0
+      ? available.sort((a, b) => this.headroom(b) - this.headroom(a))
+      : [...this.keys].sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+
+    return candidates[0].key;
+  }
+
+  findEntry(key) {
+    return this.keys.find(entry => entry.key === key) || null;
+  }
+
+  /**
+   * Update quota bookkeeping from NASA response headers
+   * @param {string} key - Key the request was made with
+   * @param {object} headers - Response headers
+   */
+  recordResponse(key, headers = {}) {
+    const entry = this.findEntry(key);
+    if (!entry) return;
+
+    const limit = parseInt(headers['x-ratelimit-limit']);
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+
+    if (!isNaN(limit)) entry.limit = limit;
+    if (!isNaN(remaining)) {
+      entry.remaining = remaining;
+      if (remaining <= 0) {
+        this.startCooldown(entry);
+      }
+    }
+  }
+
+  /**
+   * Bench a key after NASA answered 429
+   * @param {string} key - Key the request was made with
+   * @param {object} headers - Response headers, for Retry-After
+   */
+  recordRateLimited(key, headers = {}) {
+    const entry = this.findEntry(key);
+    if (!entry) return;
+
+    entry.rateLimited++;
+    entry.remaining = 0;
+    this.startCooldown(entry, parseInt(headers['retry-after']));
+  }
+
+  startCooldown(entry, retryAfterSeconds = NaN) {
+    const duration = !isNaN(retryAfterSeconds) ? retryAfterSeconds * 1000 : this.cooldownMs;
+    entry.cooldownUntil = Date.now() + duration;
+    logger.warn('NASA API key exhausted, cooling down', {
+      key_id: entry.id,
+      cooldown_until: new Date(entry.cooldownUntil).toISOString()
+    });
+  }
+
+  /**
+   * Per-key quota status, safe to expose (no secrets)
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return this.keys.map(entry => ({
+      id: entry.id,
+      hint: entry.key === DEMO_KEY ? DEMO_KEY : `...${entry.key.slice(-4)}`,
+      limit: entry.limit,
+      remaining: entry.remaining,
+      status: this.isCoolingDown(entry, now) ? 'cooling_down' : 'available',
+      cooldown_until: this.isCoolingDown(entry, now) ? new Date(entry.cooldownUntil).toISOString() : null,
+      requests: entry.requests,
+      rate_limited: entry.rateLimited
+    }));
+  }
+}
+
+/**
+ * Build the pool from NASA_API_KEYS (comma separated) or NASA_API_KEY
+ */
+function createApiKeyPoolFromEnv() {
+  const keys = (process.env.NASA_API_KEYS || process.env.NASA_API_KEY || '').split(',');
+  return new ApiKeyPool(keys, {
+    cooldownSeconds: parseInt(process.env.NASA_API_KEY_COOLDOWN_SECONDS) || DEFAULT_COOLDOWN_SECONDS
+  });
+}
+
+module.exports = { ApiKeyPool, createApiKeyPoolFromEnv, DEMO_KEY };
\ No newline at end of file
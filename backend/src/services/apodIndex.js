@@ -0,0 +1,231 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ component: 'apod-index' });
+
+const DEFAULT_PATH = path.join(os.tmpdir(), 'nasa-mission-control', 'apod-index.json');
+// Characters of explanation shown either side of the first match
+const SNIPPET_RADIUS = 80;
+// Title matches count for more than explanation matches when ranking
+const FIELD_WEIGHTS = { title: 3, copyright: 2, explanation: 1 };
+const INDEXED_FIELDS = ['date', 'title', 'explanation', 'copyright', 'media_type', 'url', 'hdurl', 'thumbnail_url'];
+// Changes within this window are written to disk together
+const SAVE_DELAY_MS = 1000;
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function tokenize(query) {
+  return normalize(query).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Local full-text index of APOD entries, kept in one JSON file.
+ *
+ * There is no upstream search, so the index only knows the days the server
+ * has fetched; it grows as APOD ranges, dates and random picks are requested.
+ * Entries are keyed by date, so fetching a day again just refreshes it.
+ * Saves are debounced and written off the request path, to a temporary file
+ * that is renamed over the old one.
+ */
+class ApodIndex {
+  constructor({ filePath = DEFAULT_PATH } = {}) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    // Lowercased field text per date, built in memory only
+    this.searchText = new Map();
+    this.saveTimer = null;
+    // Changes made so far, and how many of them are on disk
+    this.version = 0;
+    this.savedVersion = 0;
+    // Tail of the queued writes, so an older snapshot never lands last
+    this.saving = Promise.resolve();
+    this.load();
+
+    // Write anything not yet on disk when the process exits, including a
+    // save still waiting or in flight. server.js turns SIGTERM and SIGINT
+    // into a normal exit so this also runs on docker stop and Ctrl+C.
+    process.once('exit', () => this.saveUnsaved());
+  }
+
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (Array.isArray(parsed.entries) ? parsed.entries : []).forEach(entry => this.set(entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read APOD index, starting empty', { path: this.filePath, error });
+      }
+    }
+  }
+
+  serialize() {
+    const entries = [...this.entries.values()].sort((a, b) => a.date.localeCompare(b.date));
+    return JSON.stringify({ entries });
+  }
+
+  scheduleSave() {
+    this.version++;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save()).catch(error => {
+        logger.error('Could not save APOD index', { path: this.filePath, error });
+      });
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const version = this.version;
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+    await fsp.writeFile(tempPath, this.serialize());
+    await fsp.rename(tempPath, this.filePath);
+    this.savedVersion = version;
+  }
+
+  saveSync() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, this.serialize());
+      this.savedVersion = this.version;
+    } catch (error) {
+      logger.error('Could not save APOD index', { path: this.filePath, error });
+    }
+  }
+
+  /**
+   * Write the index now if it has changes not yet on disk
+   */
+  saveUnsaved() {
+    if (this.version !== this.savedVersion) this.saveSync();
+  }
+
+  set(entry) {
+    this.entries.set(entry.date, entry);
+    this.searchText.set(entry.date, {
+      title: normalize(entry.title),
+      explanation: normalize(entry.explanation),
+      copyright: normalize(entry.copyright)
+    });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add APOD responses to the index, scheduling a save only if something changed
+   * @param {Array<object>} apods - APOD objects as returned by NASA
+   * @returns {number} - Entries added or updated
+   */
+  addAll(apods) {
+    let changed = 0;
+
+    for (const apod of apods) {
+      if (!apod?.date || !apod.title) continue;
+
+      const entry = Object.fromEntries(INDEXED_FIELDS.map(field => [field, apod[field] ?? null]));
+      const existing = this.entries.get(entry.date);
+      if (existing && JSON.stringify(existing) === JSON.stringify(entry)) continue;
+
+      this.set(entry);
+      changed++;
+    }
+
+    if (changed > 0) {
+      this.scheduleSave();
+    }
+    return changed;
+  }
+
+  /**
+   * Search titles, explanations and copyright lines. Every query word must
+   * appear somewhere; results are ranked by where the words matched, then
+   * newest first. Without a query, filtered entries are listed newest first.
+   * @param {object} options - q, start_date, end_date, media_type, page (1-based), limit
+   * @returns {object} - { results, total, page, pages, limit }
+   */
+  search({ q = '', start_date = null, end_date = null, media_type = null, page = 1, limit = 20 } = {}) {
+    const terms = tokenize(q);
+    const matches = [];
+
+    for (const [date, entry] of this.entries) {
+      if (start_date && date < start_date) continue;
+      if (end_date && date > end_date) continue;
+      if (media_type && entry.media_type !== media_type) continue;
+
+      const text = this.searchText.get(date);
+      let score = 0;
+      const allFound = terms.every(term => {
+        const fieldScore = Object.entries(FIELD_WEIGHTS)
+          .reduce((sum, [field, weight]) => sum + (text[field].includes(term) ? weight : 0), 0);
+        score += fieldScore;
+        return fieldScore > 0;
+      });
+
+      if (allFound) {
+        matches.push({ entry, score });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || b.entry.date.localeCompare(a.entry.date));
+
+    const total = matches.length;
+    const offset = (page - 1) * limit;
+    return {
+      results: matches.slice(offset, offset + limit).map(({ entry, score }) => ({
+        ...entry,
+        score,
+        snippet: this.snippet(entry, terms)
+      })),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    };
+  }
+
+  /**
+   * Explanation excerpt around the first query word it contains
+   */
+  snippet(entry, terms) {
+    const explanation = entry.explanation || '';
+    const text = this.searchText.get(entry.date).explanation;
+    const positions = terms.map(term => text.indexOf(term)).filter(position => position >= 0);
+
+    if (positions.length === 0) {
+      return explanation.length > SNIPPET_RADIUS * 2
+        ? `${explanation.slice(0, SNIPPET_RADIUS * 2).trim()}…`
+        : explanation;
+    }
+
+    const first = Math.min(...positions);
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(explanation.length, first + SNIPPET_RADIUS);
+    return `${start > 0 ? '…' : ''}${explanation.slice(start, end).trim()}${end < explanation.length ? '…' : ''}`;
+  }
+
+  getStats() {
+    const dates = [...this.entries.keys()].sort();
+    return {
+      entries: dates.length,
+      earliest_date: dates[0] || null,
+      latest_date: dates[dates.length - 1] || null
+    };
+  }
+}
+
+function createApodIndexFromEnv() {
+  return new ApodIndex({ filePath: process.env.APOD_INDEX_PATH || DEFAULT_PATH });
+}
+
+module.exports = { ApodIndex, createApodIndexFromEnv };
\ No newline at end of file
@@ -0,0 +1,81 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApodIndex } = require('./apodIndex');
+
+const apod = (date, title) => ({ date, title, explanation: `${title} explained`, media_type: 'image' });
+
+describe('ApodIndex saving', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'apod-index-test-'));
+    filePath = path.join(directory, 'index', 'apod-index.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('writes nothing on the request path', () => {
+    const index = new ApodIndex({ filePath });
+
+    expect(index.addAll([apod('2024-06-10', 'Orion')])).toBe(1);
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('batches changes into one write after the delay', async () => {
+    const index = new ApodIndex({ filePath });
+    const save = jest.spyOn(index, 'save');
+
+    index.addAll([apod('2024-06-10', 'Orion')]);
+    index.addAll([apod('2024-06-11', 'Andromeda')]);
+    jest.advanceTimersByTime(1000);
+    await index.saving;
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(new ApodIndex({ filePath }).getStats()).toEqual({
+      entries: 2,
+      earliest_date: '2024-06-10',
+      latest_date: '2024-06-11'
+    });
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['apod-index.json']);
+  });
+
+  it('does not schedule a save when nothing changed', async () => {
+    const index = new ApodIndex({ filePath });
+    index.addAll([apod('2024-06-10', 'Orion')]);
+    jest.advanceTimersByTime(1000);
+    await index.saving;
+
+    expect(index.addAll([apod('2024-06-10', 'Orion')])).toBe(0);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('writes unsaved changes on exit, and nothing once they are on disk', async () => {
+    const index = new ApodIndex({ filePath });
+    const saveSync = jest.spyOn(index, 'saveSync');
+
+    index.addAll([apod('2024-06-10', 'Orion')]);
+    index.saveUnsaved();
+    expect(saveSync).toHaveBeenCalledTimes(1);
+    expect(new ApodIndex({ filePath }).size).toBe(1);
+
+    index.saveUnsaved();
+    index.addAll([apod('2024-06-11', 'Andromeda')]);
+    jest.advanceTimersByTime(1000);
+    await index.saving;
+    index.saveUnsaved();
+
+    expect(saveSync).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
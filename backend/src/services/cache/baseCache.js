@@ -0,0 +1,250 @@
+/**
+ * Shared bookkeeping for cache backends: TTL expiry, LRU ordering,
+ * size limits and hit/miss statistics.
+ *
+ * Backends only decide where values live by implementing writeValue,
+ * readValue, removeValue and clearValues.
+ */
+
+/**
+ * Estimate the stored size of a cache value in bytes
+ * @param {*} value - Value to measure
+ * @returns {number} - Size in bytes
+ */
+function sizeOf(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.length;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    let size = 0;
+    const rest = {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (Buffer.isBuffer(fieldValue)) {
+        size += fieldValue.length;
+      } else {
+        rest[field] = fieldValue;
+      }
+    }
+    return size + Buffer.byteLength(JSON.stringify(rest));
+  }
+
+  return Buffer.byteLength(JSON.stringify(value) ?? '');
+}
+
+class BaseCache {
+  constructor({
+    backend,
+    namespace,
+    stdTTL = 3600,
+    maxEntries = 1000,
+    maxBytes = 50 * 1024 * 1024,
+    checkPeriod = 600
+  }) {
+    this.backend = backend;
+    this.namespace = namespace;
+    this.stdTTL = stdTTL;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map();
+    // Pending set() per key, so writes of one key run one after another
+    this.writes = new Map();
+    this.totalBytes = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      evictions: 0,
+      expirations: 0
+    };
+
+    if (checkPeriod > 0) {
+      this.pruneTimer = setInterval(() => this.prune(), checkPeriod * 1000);
+      this.pruneTimer.unref();
+    }
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expires > 0 && entry.expires <= now;
+  }
+
+  /**
+   * Get a cached value, or undefined on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.stats.expirations++;
+      this.stats.misses++;
+      await this.del(key);
+      return undefined;
+    }
+
+    let value;
+    let readError = null;
+    try {
+      value = await this.readValue(key, entry);
+    } catch (error) {
+      readError = error;
+    }
+
+    // A set() during the read has replaced the entry; what was read may not
+    // match it, so read the new one rather than touch the index
+    if (this.entries.get(key) !== entry) {
+      return this.get(key);
+    }
+
+    if (readError) {
+      // Backing store lost the value; forget the entry
+      this.stats.misses++;
+      await this.del(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    entry.lastAccess = Date.now();
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.onIndexChange();
+
+    this.stats.hits++;
+    return value;
+  }
+
+  /**
+   * Store a value. ttl is in seconds; 0 means never expire. Concurrent sets
+   * of the same key are queued, so the last one wins and its size is only
+   * counted once.
+   * @returns {boolean} - False when the value is larger than the whole cache
+   */
+  async set(key, value, ttl = this.stdTTL) {
+    const previous = this.writes.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.store(key, value, ttl));
+    this.writes.set(key, write);
+
+    try {
+      return await write;
+    } finally {
+      if (this.writes.get(key) === write) {
+        this.writes.delete(key);
+      }
+    }
+  }
+
+  async store(key, value, ttl) {
+    if (this.entries.has(key)) {
+      await this.del(key);
+    }
+
+    const stored = await this.writeValue(key, value);
+    if (stored.size > this.maxBytes) {
+      await this.removeValue(key, stored);
+      return false;
+    }
+
+    const now = Date.now();
+    this.entries.set(key, {
+      ...stored,
+      expires: ttl > 0 ? now + ttl * 1000 : 0,
+      lastAccess: now
+    });
+    this.totalBytes += stored.size;
+    this.stats.sets++;
+
+    await this.evict();
+    this.onIndexChange();
+    return true;
+  }
+
+  async del(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    await this.removeValue(key, entry);
+    this.onIndexChange();
+    return true;
+  }
+
+  async flush() {
+    this.entries.clear();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+    await this.clearValues();
+    this.onIndexChange();
+  }
+
+  keys() {
+    const now = Date.now();
+    return [...this.entries]
+      .filter(([, entry]) => !this.isExpired(entry, now))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits its limits
+   */
+  async evict() {
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const [oldestKey] = this.entries.keys();
+      await this.del(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove expired entries
+   */
+  async prune() {
+    const now = Date.now();
+    for (const [key, entry] of [...this.entries]) {
+      if (this.isExpired(entry, now)) {
+        await this.del(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      backend: this.backend,
+      namespace: this.namespace,
+      keys: this.entries.size,
+      ...this.stats,
+      hit_rate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size_bytes: this.totalBytes,
+      max_bytes: this.maxBytes,
+      max_entries: this.maxEntries,
+      usage: this.maxBytes > 0 ? this.totalBytes / this.maxBytes : 0,
+      default_ttl: this.stdTTL
+    };
+  }
+
+  // Hook for backends that persist their index
+  onIndexChange() {}
+
+  async writeValue() {
+    throw new Error('writeValue must be implemented by the cache backend');
+  }
+
+  async readValue() {
+    throw new Error('readValue must be implemented by the cache backend');
+  }
+
+  async removeValue() {}
+
+  async clearValues() {}
+}
+
+module.exports = { BaseCache, sizeOf };
\ No newline at end of file
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { BaseCache } = require('./baseCache');
+const logger = require('../../utils/logger').child({ component: 'cache' });
+
+const INDEX_FILE = 'index.json';
+const INDEX_WRITE_DELAY_MS = 1000;
+
+/**
+ * Split a value into a JSON header and a binary body.
+ * Top-level Buffers (e.g. proxied image bytes) are stored raw instead of
+ * being inflated through JSON.
+ */
+function encodeValue(value) {
+  if (Buffer.isBuffer(value)) {
+    return { header: { kind: 'buffer' }, body: value };
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const fields = {};
+    const json = {};
+    const buffers = [];
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (Buffer.isBuffer(fieldValue)) {
+        fields[field] = fieldValue.length;
+        buffers.push(fieldValue);
+      } else {
+        json[field] = fieldValue;
+      }
+    }
+
+    if (buffers.length > 0) {
+      const jsonBody = Buffer.from(JSON.stringify(json));
+      return {
+        header: { kind: 'mixed', json_length: jsonBody.length, fields },
+        body: Buffer.concat([jsonBody, ...buffers])
+      };
+    }
+  }
+
+  return { header: { kind: 'json' }, body: Buffer.from(JSON.stringify(value)) };
+}
+
+function decodeValue(header, body) {
+  if (header.kind === 'buffer') {
+    return body;
+  }
+
+  if (header.kind === 'mixed') {
+    const value = JSON.parse(body.subarray(0, header.json_length).toString());
+    let offset = header.json_length;
+    for (const [field, length] of Object.entries(header.fields)) {
+      value[field] = body.subarray(offset, offset + length);
+      offset += length;
+    }
+    return value;
+  }
+
+  return JSON.parse(body.toString());
+}
+
+/**
+ * File-system cache backend. Values are written one file per key and an
+ * index of expiry/LRU metadata is kept alongside them, so warm entries
+ * survive restarts and redeploys onto the same disk.
+ */
+class FileCache extends BaseCache {
+  constructor({ directory, ...options }) {
+    super({ ...options, backend: 'file' });
+    this.directory = directory;
+    this.indexPath = path.join(directory, INDEX_FILE);
+    this.indexTimer = null;
+
+    fs.mkdirSync(directory, { recursive: true });
+    this.loadIndex();
+
+    // Make sure the latest index reaches disk on shutdown; server.js turns
+    // SIGTERM and SIGINT into a normal exit so this runs for them too
+    process.once('exit', () => this.writeIndexSync());
+  }
+
+  fileFor(key) {
+    return `${crypto.createHash('sha1').update(key).digest('hex')}.bin`;
+  }
+
+  /**
+   * Rebuild the in-memory index from disk, dropping expired or missing entries
+   */
+  loadIndex() {
+    let saved = [];
+    try {
+      saved = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Cache index unreadable, starting empty', { namespace: this.namespace, error });
+      }
+    }
+
+    const now = Date.now();
+    const known = new Set();
+
+    saved
+      .sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+      .forEach(([key, entry]) => {
+        if (this.isExpired(entry, now) || !fs.existsSync(path.join(this.directory, entry.file))) {
+          return;
+        }
+        this.entries.set(key, entry);
+        this.totalBytes += entry.size;
+        known.add(entry.file);
+      });
+
+    // Remove value files the index no longer references
+    fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.bin') && !known.has(file))
+      .forEach(file => fs.rmSync(path.join(this.directory, file), { force: true }));
+
+    logger.info('Loaded cached entries', {
+      namespace: this.namespace,
+      entries: this.entries.size,
+      directory: this.directory
+    });
+  }
+
+  async writeValue(key, value) {
+    const { header, body } = encodeValue(value);
+    const file = this.fileFor(key);
+    const target = path.join(this.directory, file);
+    // Unique per write: two writes of the same key must not share a temp file
+    const temp = `${target}.${crypto.randomUUID()}.tmp`;
+
+    // Write then rename so readers never see a partial file
+    await fsp.writeFile(temp, body);
+    await fsp.rename(temp, target);
+
+    return { file, header, size: body.length };
+  }
+
+  async readValue(key, entry) {
+    const body = await fsp.readFile(path.join(this.directory, entry.file));
+    return decodeValue(entry.header, body);
+  }
+
+  async removeValue(key, entry) {
+    await fsp.rm(path.join(this.directory, entry.file), { force: true });
+  }
+
+  async clearValues() {
+    const files = await fsp.readdir(this.directory);
+    await Promise.all(
+      files
+        .filter(file => file.endsWith('.bin'))
+        .map(file => fsp.rm(path.join(this.directory, file), { force: true }))
+    );
+  }
+
+  onIndexChange() {
+    if (this.indexTimer) return;
+
+    this.indexTimer = setTimeout(() => {
+      this.indexTimer = null;
+      this.writeIndex().catch(error => {
+        logger.error('Failed to write cache index', { namespace: this.namespace, error });
+      });
+    }, INDEX_WRITE_DELAY_MS);
+    this.indexTimer.unref();
+  }
+
+  serializeIndex() {
+    return JSON.stringify([...this.entries]);
+  }
+
+  async writeIndex() {
+    const temp = `${this.indexPath}.${crypto.randomUUID()}.tmp`;
+    await fsp.writeFile(temp, this.serializeIndex());
+    await fsp.rename(temp, this.indexPath);
+  }
+
+  writeIndexSync() {
+    try {
+      fs.writeFileSync(this.indexPath, this.serializeIndex());
+    } catch (error) {
+      logger.error('Failed to write cache index', { namespace: this.namespace, error });
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      directory: this.directory
+    };
+  }
+}
+
+module.exports = FileCache;
\ No newline at end of file
@@ -0,0 +1,112 @@
+jest.mock('../../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileCache = require('./fileCache');
+const MemoryCache = require('./memoryCache');
+
+describe('concurrent sets of one key', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('FileCache keeps the last value and counts its size once', async () => {
+    const cache = new FileCache({ directory, namespace: 'test', checkPeriod: 0 });
+    const images = Array.from({ length: 5 }, (_, index) => Buffer.alloc(1000 + index, index));
+
+    const results = await Promise.all(images.map(image => cache.set('image', image)));
+
+    expect(results).toEqual([true, true, true, true, true]);
+    expect(await cache.get('image')).toEqual(images[4]);
+    expect(cache.getStats()).toMatchObject({ keys: 1, size_bytes: 1004, sets: 5 });
+    expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('MemoryCache keeps the last value and counts its size once', async () => {
+    const cache = new MemoryCache({ namespace: 'test', checkPeriod: 0 });
+
+    await Promise.all([cache.set('image', Buffer.alloc(10)), cache.set('image', Buffer.alloc(20))]);
+
+    expect((await cache.get('image')).length).toBe(20);
+    expect(cache.getStats()).toMatchObject({ keys: 1, size_bytes: 20 });
+  });
+
+  it('carries on with later sets after one fails', async () => {
+    const cache = new MemoryCache({ namespace: 'test', checkPeriod: 0 });
+    const writeValue = jest.spyOn(cache, 'writeValue').mockRejectedValueOnce(new Error('ENOSPC'));
+
+    const [failed, stored] = await Promise.allSettled([cache.set('key', 'a'), cache.set('key', 'b')]);
+
+    expect(failed).toMatchObject({ status: 'rejected', reason: { message: 'ENOSPC' } });
+    expect(stored).toEqual({ status: 'fulfilled', value: true });
+    expect(await cache.get('key')).toBe('b');
+    expect(writeValue).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('a get racing a set of the same key', () => {
+  let directory;
+  let cache;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cache-test-'));
+    cache = new FileCache({ directory, namespace: 'test', checkPeriod: 0 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Hold the next read until the returned release() is called, then read
+  // normally or fail with error
+  const holdNextRead = (error = null) => {
+    const readValue = cache.readValue.bind(cache);
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    jest.spyOn(cache, 'readValue').mockImplementationOnce(async (key, entry) => {
+      await released;
+      if (error) throw error;
+      return readValue(key, entry);
+    });
+    return () => release();
+  };
+
+  it('keeps the entry the set wrote and its size', async () => {
+    await cache.set('k', { contentType: 'image/png', data: Buffer.alloc(8000) });
+    const release = holdNextRead();
+
+    const read = cache.get('k');
+    await cache.set('k', { contentType: 'image/jpeg', data: Buffer.alloc(9) });
+    release();
+
+    expect(await read).toEqual({ contentType: 'image/jpeg', data: Buffer.alloc(9) });
+    expect(cache.entries.get('k').size).toBe(cache.totalBytes);
+    expect(cache.getStats()).toMatchObject({ keys: 1, size_bytes: cache.totalBytes });
+
+    await cache.del('k');
+    expect(cache.totalBytes).toBe(0);
+  });
+
+  it('does not delete a value a set wrote while a failed read was pending', async () => {
+    await cache.set('k', 'old');
+    const release = holdNextRead(Object.assign(new Error('gone'), { code: 'ENOENT' }));
+
+    const read = cache.get('k');
+    await cache.set('k', 'new');
+    release();
+
+    expect(await read).toBe('new');
+    expect(await cache.get('k')).toBe('new');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+const os = require('os');
+const path = require('path');
+const MemoryCache = require('./memoryCache');
+const FileCache = require('./fileCache');
+const logger = require('../../utils/logger').child({ component: 'cache' });
+
+const BACKENDS = ['memory', 'file'];
+
+/**
+ * Create a cache for a namespace using the backend picked by CACHE_BACKEND
+ * @param {string} namespace - Cache name, also used as the on-disk subdirectory
+ * @param {object} options - stdTTL (seconds), maxEntries, maxBytes, checkPeriod (seconds)
+ * @returns {MemoryCache|FileCache} - Cache instance
+ */
+function createCache(namespace, options = {}) {
+  const backend = (options.backend || process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (!BACKENDS.includes(backend)) {
+    logger.warn('Unknown CACHE_BACKEND, falling back to memory', { backend, expected: BACKENDS });
+  }
+
+  if (backend === 'file') {
+    const baseDir = process.env.CACHE_DIR || path.join(os.tmpdir(), 'nasa-mission-control-cache');
+    return new FileCache({
+      ...options,
+      namespace,
+      directory: path.join(baseDir, namespace)
+    });
+  }
+
+  return new MemoryCache({ ...options, namespace });
+}
+
+/**
+ * Read a megabyte limit from the environment
+ */
+function megabytesFromEnv(name, fallbackMb) {
+  return (parseFloat(process.env[name]) || fallbackMb) * 1024 * 1024;
+}
+
+module.exports = {
+  createCache,
+  megabytesFromEnv,
+  MemoryCache,
+  FileCache
+};
\ No newline at end of file
@@ -0,0 +1,20 @@
+const { BaseCache, sizeOf } = require('./baseCache');
+
+/**
+ * In-process cache backend. Fast, but emptied on every restart.
+ */
+class MemoryCache extends BaseCache {
+  constructor(options = {}) {
+    super({ ...options, backend: 'memory' });
+  }
+
+  async writeValue(key, value) {
+    return { value, size: sizeOf(value) };
+  }
+
+  async readValue(key, entry) {
+    return entry.value;
+  }
+}
+
+module.exports = MemoryCache;
\ No newline at end of file
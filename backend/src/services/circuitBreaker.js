@@ -0,0 +1,137 @@
+/**
+ * Circuit breaker for an upstream NASA product
+ *
+ * closed:    requests flow; consecutive upstream failures are counted
+ * open:      requests fail fast until the reset timeout has passed
+ * half_open: one probe request is let through; success closes the
+ *            circuit, failure opens it again
+ */
+
+const logger = require('../utils/logger').child({ component: 'circuit-breaker' });
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  constructor(name, {
+    label = name,
+    failureThreshold = 5,
+    resetTimeoutSeconds = 30,
+    isFailure = () => true
+  } = {}) {
+    this.name = name;
+    this.label = label;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutSeconds * 1000;
+    this.isFailure = isFailure;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+    this.lastFailure = null;
+    this.rejected = 0;
+  }
+
+  /**
+   * Run an upstream call through the breaker
+   * @param {Function} fn - Async function making the call
+   * @returns {Promise<*>} - Result of fn
+   */
+  async exec(fn) {
+    this.refreshState();
+
+    // Open, or half-open with the probe already out
+    if (this.state === STATES.OPEN || (this.state === STATES.HALF_OPEN && this.probing)) {
+      this.rejected++;
+      throw this.openError();
+    }
+
+    const probe = this.state === STATES.HALF_OPEN;
+    if (probe) this.probing = true;
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else if (probe) {
+        // NASA answered, just not with data; the product is reachable
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (probe) this.probing = false;
+    }
+  }
+
+  /**
+   * Move an open circuit to half-open once the reset timeout has passed
+   */
+  refreshState() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+    }
+    return this.state;
+  }
+
+  onSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info('Circuit closed', { service: this.name });
+    }
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.failures++;
+    this.lastFailure = {
+      message: error.message,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      logger.warn('Circuit opened', { service: this.name, failures: this.failures, error });
+    }
+  }
+
+  /**
+   * Seconds until the next probe is allowed
+   */
+  retryAfter() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  openError() {
+    const error = new Error(`NASA ${this.label} is temporarily unavailable (circuit open). Please try again later.`);
+    error.status = 503;
+    error.code = 'CIRCUIT_OPEN';
+    error.service = this.name;
+    error.retryAfter = this.retryAfter() || Math.ceil(this.resetTimeoutMs / 1000);
+    return error;
+  }
+
+  getStatus() {
+    return {
+      name: this.label,
+      state: this.refreshState(),
+      failures: this.failures,
+      failure_threshold: this.failureThreshold,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after: this.retryAfter(),
+      rejected: this.rejected,
+      last_failure: this.lastFailure
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, STATES };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger').child({ component: 'collections' });
+
+const DEFAULT_PATH = path.join(os.tmpdir(), 'nasa-mission-control', 'collections.json');
+const DEFAULT_MAX_PROFILES = 500;
+
+/**
+ * Favourites and collections saved by the dashboard, one library per
+ * profile name, kept in one JSON file.
+ *
+ * The browser keeps its own copy in localStorage; this is an optional
+ * server copy so a library can move between browsers or be shared with the
+ * team. Saving replaces the profile's previous copy. The first save creates
+ * the profile and hands back an owner token; only a hash of it is kept, and
+ * later saves must present the token. Every save rewrites the whole file,
+ * so the number of profiles is capped.
+ */
+class CollectionsStore {
+  constructor({ filePath = DEFAULT_PATH, maxProfiles = DEFAULT_MAX_PROFILES } = {}) {
+    this.filePath = filePath;
+    this.maxProfiles = maxProfiles;
+    this.profiles = new Map();
+    this.load();
+  }
+
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.profiles = new Map(Object.entries(parsed.profiles && typeof parsed.profiles === 'object' ? parsed.profiles : {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read collections, starting empty', { path: this.filePath, error });
+      }
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ profiles: Object.fromEntries(this.profiles) }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  get(profile) {
+    const stored = this.profiles.get(profile);
+    if (!stored) return null;
+
+    const { token_hash, ...library } = stored;
+    return library;
+  }
+
+  has(profile) {
+    return this.profiles.has(profile);
+  }
+
+  /**
+   * Whether the store has room for another profile
+   */
+  isFull() {
+    return this.profiles.size >= this.maxProfiles;
+  }
+
+  /**
+   * Whether a token may overwrite a profile. Anyone may create a new profile;
+   * profiles saved before owner tokens existed have no owner and can't be
+   * overwritten.
+   */
+  canWrite(profile, token) {
+    const stored = this.profiles.get(profile);
+    if (!stored) return true;
+    if (!stored.token_hash || typeof token !== 'string' || token === '') return false;
+
+    return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(stored.token_hash, 'hex'));
+  }
+
+  /**
+   * Replace a profile's library, creating the profile if it is new
+   * @returns {object} - { library, token }: the stored library with its saved_at
+   *   time, and the owner token when the profile was just created (else null)
+   */
+  put(profile, library) {
+    const existing = this.profiles.get(profile);
+    const token = existing ? null : crypto.randomBytes(24).toString('base64url');
+
+    this.profiles.set(profile, {
+      ...library,
+      saved_at: new Date().toISOString(),
+      token_hash: existing ? existing.token_hash : hashToken(token)
+    });
+    this.save();
+    return { library: this.get(profile), token };
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createCollectionsStoreFromEnv() {
+  return new CollectionsStore({
+    filePath: process.env.COLLECTIONS_PATH || DEFAULT_PATH,
+    maxProfiles: parseInt(process.env.COLLECTIONS_MAX_PROFILES) || DEFAULT_MAX_PROFILES
+  });
+}
+
+module.exports = { CollectionsStore, createCollectionsStoreFromEnv };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger').child({ component: 'event-stream' });
+
+// Comment lines keep idle connections open through proxies that time out quiet sockets
+const HEARTBEAT_SECONDS = 25;
+// Browsers wait this long before reconnecting a dropped EventSource
+const RETRY_MS = 5000;
+
+/**
+ * Server-Sent Events fan-out for NASA Mission Control API
+ *
+ * Holds the open /api/stream responses and writes each broadcast to all of
+ * them. Emits 'connect' and 'disconnect' with the current client count, so
+ * producers can stay idle while nobody is listening.
+ */
+class EventStream extends EventEmitter {
+  constructor({ heartbeatSeconds = HEARTBEAT_SECONDS } = {}) {
+    super();
+    this.clients = new Set();
+    this.heartbeatMs = heartbeatSeconds * 1000;
+    this.heartbeat = null;
+    this.nextEventId = 1;
+    this.eventsSent = 0;
+  }
+
+  get clientCount() {
+    return this.clients.size;
+  }
+
+  /**
+   * Turn a response into an event stream and keep it until the client leaves
+   */
+  addClient(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    this.write(res, `retry: ${RETRY_MS}\n\n`);
+
+    this.clients.add(res);
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => this.clients.forEach(client => this.write(client, ': heartbeat\n\n')), this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+      }
+      logger.debug('Stream client disconnected', { clients: this.clients.size });
+      this.emit('disconnect', this.clients.size);
+    });
+
+    logger.debug('Stream client connected', { clients: this.clients.size });
+    this.emit('connect', this.clients.size);
+  }
+
+  /**
+   * Send one event to one client, e.g. the initial snapshot
+   */
+  send(res, event, data) {
+    this.write(res, `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    this.eventsSent++;
+  }
+
+  /**
+   * Send one event to every connected client
+   */
+  broadcast(event, data) {
+    if (this.clients.size === 0) return;
+
+    const frame = `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(client => this.write(client, frame));
+    this.eventsSent += this.clients.size;
+  }
+
+  write(res, chunk) {
+    res.write(chunk);
+    // compression() buffers output until flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      events_sent: this.eventsSent
+    };
+  }
+}
+
+module.exports = new EventStream();
\ No newline at end of file
@@ -0,0 +1,90 @@
+const nasaApi = require('./nasaApi');
+
+/**
+ * Health report for NASA Mission Control API, shared by /api/health and the
+ * live event stream
+ */
+
+// Service status reported for each circuit breaker state
+const SERVICE_STATUS = {
+  closed: 'operational',
+  half_open: 'degraded',
+  open: 'unavailable'
+};
+
+/**
+ * API response cache statistics as reported under health.cache
+ */
+function getCacheSummary() {
+  const cacheStats = nasaApi.getCacheStats();
+  return {
+    status: 'operational',
+    backend: cacheStats.backend,
+    keys: cacheStats.keys,
+    hits: cacheStats.stats.hits,
+    misses: cacheStats.stats.misses,
+    hitRate: cacheStats.stats.hits / (cacheStats.stats.hits + cacheStats.stats.misses) || 0,
+    sizeBytes: cacheStats.stats.size_bytes,
+    maxBytes: cacheStats.stats.max_bytes,
+    evictions: cacheStats.stats.evictions,
+    inFlight: cacheStats.coalescing.in_flight,
+    savedCalls: cacheStats.coalescing.saved_calls
+  };
+}
+
+/**
+ * Build the full health report: NASA connectivity, circuit breakers, cache
+ * and API key quota
+ */
+async function buildHealthReport() {
+  const healthData = {
+    status: 'operational',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+    version: '1.0.0',
+    services: {
+      api: 'operational',
+      cache: 'operational',
+      nasa_api: 'checking...'
+    }
+  };
+
+  // Test NASA API connectivity
+  try {
+    await nasaApi.getAPOD();
+    healthData.services.nasa_api = 'operational';
+  } catch (error) {
+    healthData.services.nasa_api = 'degraded';
+    healthData.warnings = ['NASA API connectivity issues detected'];
+  }
+
+  // Circuit breaker state per NASA product
+  const circuits = nasaApi.getCircuitStatus();
+  healthData.circuits = circuits;
+
+  Object.entries(circuits).forEach(([product, circuit]) => {
+    healthData.services[product] = SERVICE_STATUS[circuit.state];
+    if (circuit.state !== 'closed') {
+      healthData.status = 'degraded';
+      healthData.warnings = [
+        ...(healthData.warnings || []),
+        `${circuit.name} circuit ${circuit.state.replace('_', '-')}`
+      ];
+    }
+  });
+
+  healthData.cache = getCacheSummary();
+
+  // Remaining quota per NASA API key (ids and hints only, never the keys)
+  const apiKeys = nasaApi.getApiKeyStatus();
+  healthData.api_keys = {
+    total: apiKeys.length,
+    available: apiKeys.filter(key => key.status === 'available').length,
+    keys: apiKeys
+  };
+
+  return healthData;
+}
+
+module.exports = { buildHealthReport, getCacheSummary };
\ No newline at end of file
@@ -0,0 +1,178 @@
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_HOSTS = [
+  'apod.nasa.gov',
+  'mars.nasa.gov',
+  'mars.jpl.nasa.gov',
+  'api.nasa.gov',
+  'epic.gsfc.nasa.gov',
+  'photojournal.jpl.nasa.gov'
+];
+const DEFAULT_PORTS = [443];
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+/**
+ * Whether an IP address is one the proxy must never connect to
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.code = 'FORBIDDEN_URL';
+  return error;
+}
+
+/**
+ * Which URLs the image proxy may fetch.
+ *
+ * A URL must be https, on an allowed port, without credentials, and on an
+ * allowed host or one of its subdomains. The same check runs again on every
+ * redirect, and `lookup` refuses to connect when a host resolves to a
+ * private or loopback address, so DNS can't point an allowed name inward.
+ */
+class ImageAllowlist {
+  constructor({ hosts = DEFAULT_HOSTS, ports = DEFAULT_PORTS, resolve = dns.lookup } = {}) {
+    this.hosts = hosts.map(host => host.trim().toLowerCase().replace(/\.$/, '')).filter(Boolean);
+    this.ports = ports;
+    this.resolve = resolve;
+    this.lookup = this.lookup.bind(this);
+    this.beforeRedirect = this.beforeRedirect.bind(this);
+  }
+
+  isAllowedHost(hostname) {
+    const host = String(hostname).toLowerCase().replace(/\.$/, '');
+    return this.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+  }
+
+  /**
+   * Check a URL without resolving it
+   * @param {string} url - Absolute URL
+   * @returns {object} - { url } with the parsed URL, or { error } saying why it was refused
+   */
+  check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'Not a valid absolute URL' };
+    }
+
+    if (parsed.protocol !== 'https:') {
+      return { error: 'Only https URLs can be proxied' };
+    }
+    if (parsed.username || parsed.password) {
+      return { error: 'URLs with credentials cannot be proxied' };
+    }
+    const port = Number(parsed.port || 443);
+    if (!this.ports.includes(port)) {
+      return { error: `Port ${port} is not allowed` };
+    }
+    if (net.isIP(parsed.hostname.replace(/^\[|\]$/g, '')) || !this.isAllowedHost(parsed.hostname)) {
+      return { error: `${parsed.hostname} is not an allowed image host` };
+    }
+
+    return { url: parsed };
+  }
+
+  /**
+   * DNS lookup for HTTP requests that fails instead of returning a private address
+   */
+  lookup(hostname, options, callback) {
+    this.resolve(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(forbidden(`${hostname} resolves to a private address`));
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Redirect hook for axios; throwing stops the redirect being followed
+   */
+  beforeRedirect(options) {
+    const target = options.href || `${options.protocol}//${options.hostname}${options.port ? `:${options.port}` : ''}${options.path || ''}`;
+    const { error } = this.check(target);
+    if (error) {
+      throw forbidden(`Redirect refused: ${error}`);
+    }
+  }
+
+  /**
+   * Request options that apply the allowlist to the connection and redirects
+   */
+  requestOptions() {
+    return {
+      lookup: this.lookup,
+      beforeRedirect: this.beforeRedirect,
+      maxRedirects: 5
+    };
+  }
+
+  toJSON() {
+    return {
+      hosts: this.hosts,
+      protocols: ['https:'],
+      ports: this.ports
+    };
+  }
+}
+
+const listFromEnv = (name) => (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+
+/**
+ * IMAGE_PROXY_ALLOWED_HOSTS and IMAGE_PROXY_ALLOWED_PORTS replace the defaults when set
+ */
+function createImageAllowlistFromEnv() {
+  const hosts = listFromEnv('IMAGE_PROXY_ALLOWED_HOSTS');
+  const ports = listFromEnv('IMAGE_PROXY_ALLOWED_PORTS').map(Number).filter(Number.isInteger);
+
+  return new ImageAllowlist({
+    hosts: hosts.length > 0 ? hosts : DEFAULT_HOSTS,
+    ports: ports.length > 0 ? ports : DEFAULT_PORTS
+  });
+}
+
+module.exports = {
+  ImageAllowlist,
+  createImageAllowlistFromEnv,
+  isPrivateAddress,
+  DEFAULT_HOSTS
+};
\ No newline at end of file
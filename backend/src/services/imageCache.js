@@ -0,0 +1,11 @@
+const { createCache, megabytesFromEnv } = require('./cache');
+
+// Cache for proxied images (24 hours TTL)
+const imageCache = createCache('images', {
+  stdTTL: 86400,
+  maxEntries: parseInt(process.env.IMAGE_CACHE_MAX_ENTRIES) || 500,
+  maxBytes: megabytesFromEnv('IMAGE_CACHE_MAX_SIZE_MB', 200),
+  checkPeriod: 3600
+});
+
+module.exports = imageCache;
\ No newline at end of file
@@ -0,0 +1,154 @@
+const logger = require('../utils/logger').child({ component: 'live-updates' });
+
+// Rovers still sending photos; the others' manifests never change
+const ACTIVE_ROVERS = ['curiosity', 'perseverance'];
+
+const DEFAULT_INTERVALS_SECONDS = {
+  health: 15,
+  stats: 30,
+  apod: 15 * 60,
+  epic: 30 * 60,
+  mars: 60 * 60
+};
+
+/**
+ * Watches NASA data and server state for changes and pushes them to the
+ * event stream. Pollers only run while at least one client is connected.
+ * Upstream checks go through the NASA API cache, so new data shows up once
+ * the cached copy expires.
+ *
+ * Events: health, cache, metrics, apod, epic, mars, watchlist_alert
+ */
+class LiveUpdates {
+  /**
+   * @param {object} options - stream, nasaApi, monitor (watchlist), buildHealthReport,
+   *                           getCacheSummary, metrics, intervalsSeconds
+   */
+  constructor({ stream, nasaApi, monitor, buildHealthReport, getCacheSummary, metrics, intervalsSeconds = {} }) {
+    this.stream = stream;
+    this.nasaApi = nasaApi;
+    this.buildHealthReport = buildHealthReport;
+    this.getCacheSummary = getCacheSummary;
+    this.metrics = metrics;
+    this.intervals = { ...DEFAULT_INTERVALS_SECONDS, ...intervalsSeconds };
+    this.timers = [];
+
+    // Last value seen by each poller; only changes are broadcast
+    this.last = {
+      health: null,
+      apod: null,
+      epic: null,
+      mars: {}
+    };
+    this.latestHealth = null;
+
+    monitor.on('alert', alert => this.stream.broadcast('watchlist_alert', alert));
+    stream.on('connect', clients => {
+      if (clients === 1) this.start();
+    });
+    stream.on('disconnect', clients => {
+      if (clients === 0) this.stop();
+    });
+  }
+
+  start() {
+    if (this.timers.length > 0) return;
+
+    const pollers = {
+      health: () => this.checkHealth(),
+      stats: () => this.pushStats(),
+      apod: () => this.checkApod(),
+      epic: () => this.checkEpic(),
+      mars: () => this.checkMars()
+    };
+
+    Object.entries(pollers).forEach(([name, poll]) => {
+      const run = () => poll().catch(error => logger.warn('Live update check failed', { check: name, error }));
+      const timer = setInterval(run, this.intervals[name] * 1000);
+      timer.unref();
+      this.timers.push(timer);
+      run();
+    });
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Current state for a client that just connected
+   */
+  async sendSnapshot(res) {
+    // The first client starts the pollers, whose first health check is broadcast anyway
+    if (this.latestHealth) {
+      this.stream.send(res, 'health', this.latestHealth);
+    }
+    this.stream.send(res, 'metrics', this.metrics.getSnapshot());
+  }
+
+  async checkHealth() {
+    const report = await this.buildHealthReport();
+    this.latestHealth = report;
+
+    // Uptime, timestamps and counters change every time; compare what matters
+    const signature = JSON.stringify({
+      status: report.status,
+      services: report.services,
+      warnings: report.warnings,
+      circuits: Object.values(report.circuits).map(circuit => circuit.state),
+      keys_available: report.api_keys.available
+    });
+
+    if (signature !== this.last.health) {
+      this.last.health = signature;
+      this.stream.broadcast('health', report);
+    }
+  }
+
+  async pushStats() {
+    this.stream.broadcast('cache', this.getCacheSummary());
+    this.stream.broadcast('metrics', this.metrics.getSnapshot());
+  }
+
+  async checkApod() {
+    const apod = await this.nasaApi.getAPOD();
+
+    if (this.last.apod && apod.date !== this.last.apod) {
+      this.stream.broadcast('apod', apod);
+    }
+    this.last.apod = apod.date;
+  }
+
+  async checkEpic() {
+    const dates = await this.nasaApi.getEPICAvailableDates();
+    const latest = dates.map(item => item.date).sort().pop();
+
+    if (this.last.epic && latest !== this.last.epic) {
+      this.stream.broadcast('epic', {
+        latest_date: latest,
+        new_dates: dates.map(item => item.date).filter(date => date > this.last.epic).sort()
+      });
+    }
+    this.last.epic = latest;
+  }
+
+  async checkMars() {
+    for (const rover of ACTIVE_ROVERS) {
+      const { photo_manifest: manifest } = await this.nasaApi.getMarsRoverManifest(rover);
+      const previous = this.last.mars[rover];
+
+      if (previous !== undefined && manifest.max_sol > previous) {
+        this.stream.broadcast('mars', {
+          rover,
+          max_sol: manifest.max_sol,
+          max_date: manifest.max_date,
+          total_photos: manifest.total_photos
+        });
+      }
+      this.last.mars[rover] = manifest.max_sol;
+    }
+  }
+}
+
+module.exports = { LiveUpdates, ACTIVE_ROVERS };
\ No newline at end of file
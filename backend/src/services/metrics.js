@@ -0,0 +1,215 @@
+/**
+ * Request metrics for NASA Mission Control API
+ *
+ * Keeps counters, status codes and latency histograms for incoming API routes
+ * and for outgoing NASA calls, plus a per-minute timeline for charts.
+ */
+
+// Latency histogram upper bounds in milliseconds; the last bucket is +Inf
+const LATENCY_BUCKETS_MS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+const TIMELINE_MINUTES = 60;
+
+function createSeries() {
+  return {
+    requests: 0,
+    errors: 0,
+    status_codes: {},
+    latency: {
+      sum_ms: 0,
+      min_ms: null,
+      max_ms: null,
+      buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0)
+    }
+  };
+}
+
+function observe(series, status, durationMs, isError) {
+  series.requests++;
+  if (isError) series.errors++;
+  series.status_codes[status] = (series.status_codes[status] || 0) + 1;
+
+  const latency = series.latency;
+  latency.sum_ms += durationMs;
+  latency.min_ms = latency.min_ms === null ? durationMs : Math.min(latency.min_ms, durationMs);
+  latency.max_ms = latency.max_ms === null ? durationMs : Math.max(latency.max_ms, durationMs);
+
+  const bucket = LATENCY_BUCKETS_MS.findIndex(bound => durationMs <= bound);
+  latency.buckets[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket]++;
+}
+
+/**
+ * Estimate a percentile from histogram buckets (upper bound of the bucket it lands in)
+ */
+function percentile(series, fraction) {
+  if (series.requests === 0) return null;
+
+  const target = series.requests * fraction;
+  let seen = 0;
+  for (let i = 0; i < series.latency.buckets.length; i++) {
+    seen += series.latency.buckets[i];
+    if (seen >= target) {
+      return LATENCY_BUCKETS_MS[i] ?? series.latency.max_ms;
+    }
+  }
+  return series.latency.max_ms;
+}
+
+function summarize(name, series, extra = {}) {
+  return {
+    name,
+    ...extra,
+    requests: series.requests,
+    errors: series.errors,
+    error_rate: series.requests ? series.errors / series.requests : 0,
+    status_codes: series.status_codes,
+    latency: {
+      avg_ms: series.requests ? Math.round(series.latency.sum_ms / series.requests) : null,
+      min_ms: series.latency.min_ms === null ? null : Math.round(series.latency.min_ms),
+      max_ms: series.latency.max_ms === null ? null : Math.round(series.latency.max_ms),
+      p50_ms: percentile(series, 0.5),
+      p95_ms: percentile(series, 0.95),
+      p99_ms: percentile(series, 0.99),
+      buckets: series.latency.buckets
+    }
+  };
+}
+
+/**
+ * Collapse the variable parts of a NASA path (rover names, dates, ids)
+ * so calls to the same upstream endpoint share one series
+ */
+function normalizeUpstreamPath(endpoint) {
+  return endpoint
+    .split('?')[0]
+    .replace(/\/rovers\/[^/]+/, '/rovers/:rover')
+    .replace(/\/\d{4}-\d{2}-\d{2}/g, '/:date')
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+class MetricsCollector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = Date.now();
+    this.routes = new Map();
+    this.routeStatuses = new Map();
+    this.upstream = new Map();
+    this.rateLimited = 0;
+    this.timeline = [];
+  }
+
+  seriesFor(map, key, extra) {
+    if (!map.has(key)) {
+      map.set(key, { ...extra, series: createSeries() });
+    }
+    return map.get(key).series;
+  }
+
+  /**
+   * Per-minute totals for the incoming request timeline
+   */
+  minuteFor(now) {
+    const minute = Math.floor(now / 60000) * 60000;
+    let point = this.timeline[this.timeline.length - 1];
+
+    if (!point || point.minute !== minute) {
+      point = { minute, requests: 0, errors: 0, latency_sum_ms: 0, upstream_requests: 0, upstream_errors: 0 };
+      this.timeline.push(point);
+      this.timeline = this.timeline.filter(entry => entry.minute > minute - TIMELINE_MINUTES * 60000);
+    }
+    return point;
+  }
+
+  /**
+   * Record a finished API request
+   * @param {string} method - HTTP method
+   * @param {string} route - Route pattern, e.g. /api/mars/photos/:rover
+   * @param {number} status - Response status code
+   * @param {number} durationMs - Time to respond
+   */
+  recordRequest(method, route, status, durationMs) {
+    const isError = status >= 400;
+    observe(this.seriesFor(this.routes, `${method} ${route}`, { method, route }), status, durationMs, isError);
+    observe(this.seriesFor(this.routeStatuses, `${method} ${route} ${status}`, { method, route, status }), status, durationMs, isError);
+
+    const point = this.minuteFor(Date.now());
+    point.requests++;
+    point.latency_sum_ms += durationMs;
+    if (isError) point.errors++;
+  }
+
+  /**
+   * Record a call made to NASA
+   * @param {string} endpoint - NASA path that was requested
+   * @param {number|string} status - Response status, or error code when NASA never answered
+   * @param {number} durationMs - Round trip time
+   */
+  recordUpstream(endpoint, status, durationMs) {
+    const path = normalizeUpstreamPath(endpoint);
+    const isError = typeof status !== 'number' || status >= 400;
+    observe(this.seriesFor(this.upstream, path, { endpoint: path }), status, durationMs, isError);
+
+    const point = this.minuteFor(Date.now());
+    point.upstream_requests++;
+    if (isError) point.upstream_errors++;
+  }
+
+  /**
+   * Record a request turned away by the API rate limiter
+   */
+  recordRateLimited() {
+    this.rateLimited++;
+  }
+
+  /**
+   * Raw series, for exporters that need the histogram buckets.
+   * Routes are split by response status.
+   */
+  getSeries() {
+    return {
+      buckets_ms: LATENCY_BUCKETS_MS,
+      routes: [...this.routeStatuses.values()],
+      upstream: [...this.upstream.values()],
+      rate_limited: this.rateLimited
+    };
+  }
+
+  getSnapshot() {
+    const routes = [...this.routes.values()].map(({ method, route, series }) =>
+      summarize(`${method} ${route}`, series, { method, route })
+    );
+    const upstream = [...this.upstream.values()].map(({ endpoint, series }) =>
+      summarize(endpoint, series, { endpoint })
+    );
+    const totals = routes.reduce((sum, route) => ({
+      requests: sum.requests + route.requests,
+      errors: sum.errors + route.errors
+    }), { requests: 0, errors: 0 });
+
+    return {
+      started_at: new Date(this.startedAt).toISOString(),
+      latency_buckets_ms: LATENCY_BUCKETS_MS,
+      totals: {
+        ...totals,
+        error_rate: totals.requests ? totals.errors / totals.requests : 0,
+        rate_limited: this.rateLimited,
+        upstream_requests: upstream.reduce((sum, entry) => sum + entry.requests, 0),
+        upstream_errors: upstream.reduce((sum, entry) => sum + entry.errors, 0)
+      },
+      routes: routes.sort((a, b) => b.requests - a.requests),
+      upstream: upstream.sort((a, b) => b.requests - a.requests),
+      timeline: this.timeline.map(point => ({
+        minute: new Date(point.minute).toISOString(),
+        requests: point.requests,
+        errors: point.errors,
+        avg_latency_ms: point.requests ? Math.round(point.latency_sum_ms / point.requests) : null,
+        upstream_requests: point.upstream_requests,
+        upstream_errors: point.upstream_errors
+      }))
+    };
+  }
+}
+
+module.exports = new MetricsCollector();
\ No newline at end of file
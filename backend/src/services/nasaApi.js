@@ -1,16 +1,103 @@
 const axios = require('axios');
-const NodeCache = require('node-cache');
+const { createCache, megabytesFromEnv } = require('./cache');
+const { createApiKeyPoolFromEnv } = require('./apiKeyPool');
+const { CircuitBreaker } = require('./circuitBreaker');
+const metrics = require('./metrics');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { normalizeApod } = require('../utils/apodMedia');
+const logger = require('../utils/logger').child({ component: 'nasa-api' });
+const { recordCacheStatus } = require('../middleware/requestContext');
 
 // Initialize cache with TTL from environment or default to 1 hour
-const cache = new NodeCache({ 
+const cache = createCache('api', {
   stdTTL: parseInt(process.env.CACHE_TTL_SECONDS) || 3600,
-  checkperiod: 600 // Check for expired keys every 10 minutes
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  maxBytes: megabytesFromEnv('CACHE_MAX_SIZE_MB', 50),
+  checkPeriod: 600 // Check for expired keys every 10 minutes
 });
 
+// How long expired entries are kept around after their TTL (seconds).
+// Within the revalidate window they are served immediately while a background
+// refresh runs; within the error window they are served if NASA fails.
+const STALE_WHILE_REVALIDATE = parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_SECONDS) || 300;
+const STALE_IF_ERROR = parseInt(process.env.CACHE_STALE_IF_ERROR_SECONDS) || 86400;
+
+// NASA's NeoWs feed covers at most 7 days per call
+const FEED_WINDOW_DAYS = 7;
+const FEED_CONCURRENCY = parseInt(process.env.NEO_FEED_CONCURRENCY) || 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upstream NASA products, each behind its own circuit breaker
+const PRODUCTS = {
+  apod: { label: 'APOD', prefix: '/planetary/apod' },
+  mars: { label: 'Mars Rover Photos', prefix: '/mars-photos/' },
+  neows: { label: 'NeoWs', prefix: '/neo/' },
+  epic: { label: 'EPIC', prefix: '/EPIC/' }
+};
+
+/**
+ * Split a date range into 7-day feed windows. Windows sit on a fixed grid
+ * (counted from the Unix epoch) rather than starting at startDate, so
+ * overlapping ranges ask NASA for the same windows and share cache entries.
+ * @returns {Array} - [{ start_date, end_date }] covering the whole range
+ */
+function feedWindows(startDate, endDate) {
+  const toDay = date => Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  const toDate = day => new Date(day * DAY_MS).toISOString().split('T')[0];
+
+  const windows = [];
+  const lastDay = toDay(endDate);
+  for (let day = Math.floor(toDay(startDate) / FEED_WINDOW_DAYS) * FEED_WINDOW_DAYS; day <= lastDay; day += FEED_WINDOW_DAYS) {
+    windows.push({ start_date: toDate(day), end_date: toDate(day + FEED_WINDOW_DAYS - 1) });
+  }
+  return windows;
+}
+
+/**
+ * Whether a raw axios error means the product itself is failing
+ * (timeout, network error, 5xx). Rate limits are a key problem, not an outage.
+ */
+function isProductFailure(error) {
+  return !error.response ? error.status !== 429 : error.response.status >= 500;
+}
+
+/**
+ * Whether an error means NASA could not answer (rate limit, outage, network)
+ * rather than rejecting the request itself
+ */
+function isUpstreamFailure(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
 class NASAApiService {
   constructor() {
     this.baseURL = 'https://api.nasa.gov';
-    this.apiKey = process.env.NASA_API_KEY || 'DEMO_KEY';
+    this.keyPool = createApiKeyPoolFromEnv();
+
+    // Pending upstream requests by cache key, for request coalescing
+    this.inFlight = new Map();
+    this.coalescedRequests = 0;
+
+    this.breakers = Object.fromEntries(
+      Object.entries(PRODUCTS).map(([product, { label }]) => [
+        product,
+        new CircuitBreaker(product, {
+          label,
+          failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+          resetTimeoutSeconds: parseInt(process.env.CIRCUIT_RESET_TIMEOUT_SECONDS) || 30,
+          isFailure: isProductFailure
+        })
+      ])
+    );
+
+    // Stale-while-revalidate counters
+    this.staleStats = {
+      served: 0,
+      served_on_error: 0,
+      revalidations: 0,
+      revalidation_failures: 0
+    };
+
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: 30000,
@@ -19,20 +106,21 @@ class NASAApiService {
       }
     });
 
-    // Request interceptor to add API key
+    // Request interceptor to time upstream calls
     this.client.interceptors.request.use((config) => {
-      config.params = {
-        ...config.params,
-        api_key: this.apiKey
-      };
+      config.metadata = { start: process.hrtime.bigint() };
       return config;
     });
 
-    // Response interceptor for error handling
+    // Response interceptor for metrics and error handling
     this.client.interceptors.response.use(
-      (response) => response,
+      (response) => {
+        this.recordUpstreamMetrics(response.config, response.status);
+        return response;
+      },
       (error) => {
-        console.error('NASA API Error:', {
+        this.recordUpstreamMetrics(error.config, error.response?.status || error.code || 'error');
+        logger.error('NASA API Error', {
           url: error.config?.url,
           status: error.response?.status,
           message: error.response?.data?.error?.message || error.message
@@ -49,40 +137,178 @@ class NASAApiService {
     const finalCacheKey = cacheKey || `${endpoint}_${JSON.stringify(params)}`;
     
     // Check cache first
-    const cachedData = cache.get(finalCacheKey);
-    if (cachedData) {
-      console.log(`Cache hit for: ${finalCacheKey}`);
-      return cachedData;
+    const entry = await cache.get(finalCacheKey);
+    const now = Date.now();
+
+    if (entry?.fresh_until > now) {
+      logger.debug('Cache hit', { cache_key: finalCacheKey });
+      recordCacheStatus('cached');
+      return entry.data;
+    }
+
+    // Recently expired: answer now and refresh in the background
+    if (entry?.fresh_until + STALE_WHILE_REVALIDATE * 1000 > now) {
+      logger.info('Serving stale entry while revalidating', { cache_key: finalCacheKey });
+      this.staleStats.served++;
+      recordCacheStatus('stale');
+      this.revalidate(endpoint, params, finalCacheKey, cacheTTL);
+      return entry.data;
     }
 
     try {
-      console.log(`Making NASA API request to: ${endpoint}`);
-      const response = await this.client.get(endpoint, { params });
-      
-      // Cache the response
-      const ttl = cacheTTL || (parseInt(process.env.CACHE_TTL_SECONDS) || 3600);
-      cache.set(finalCacheKey, response.data, ttl);
-      
-      return response.data;
+      const data = await this.fetchShared(endpoint, params, finalCacheKey, cacheTTL);
+      recordCacheStatus('fresh');
+      return data;
     } catch (error) {
+      // Upstream trouble: fall back to the last good response if we still have it
+      if (entry?.data !== undefined && isUpstreamFailure(error)) {
+        logger.warn('Serving stale entry after upstream failure', { cache_key: finalCacheKey, error });
+        this.staleStats.served_on_error++;
+        recordCacheStatus('stale');
+        return entry.data;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Share one upstream call between concurrent misses for the same key
+   */
+  fetchShared(endpoint, params, cacheKey, cacheTTL) {
+    if (this.inFlight.has(cacheKey)) {
+      this.coalescedRequests++;
+      logger.debug('Joining in-flight request', { cache_key: cacheKey });
+      return this.inFlight.get(cacheKey);
+    }
+
+    const request = this.fetchAndCache(endpoint, params, cacheKey, cacheTTL)
+      .finally(() => this.inFlight.delete(cacheKey));
+
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * Refresh a stale entry without blocking the caller
+   */
+  revalidate(endpoint, params, cacheKey, cacheTTL) {
+    if (this.inFlight.has(cacheKey)) return;
+
+    this.staleStats.revalidations++;
+    this.fetchShared(endpoint, params, cacheKey, cacheTTL).catch((error) => {
+      this.staleStats.revalidation_failures++;
+      logger.error('Background revalidation failed', { cache_key: cacheKey, error });
+    });
+  }
+
+  /**
+   * Fetch from NASA and store the response in the cache
+   */
+  async fetchAndCache(endpoint, params, cacheKey, cacheTTL) {
+    let response;
+    try {
+      logger.info('Making NASA API request', { endpoint, cache_key: cacheKey });
+      const breaker = this.breakerFor(endpoint);
+      const request = () => this.requestWithKeyRotation(endpoint, params);
+      response = await (breaker ? breaker.exec(request) : request());
+    } catch (error) {
+      // Breaker is open: already a clear 503, don't wrap it
+      if (error.code === 'CIRCUIT_OPEN') {
+        throw error;
+      }
+
       // Handle specific NASA API errors
-      if (error.response?.status === 429) {
-        throw new Error('NASA API rate limit exceeded. Please try again later.');
-      } else if (error.response?.status === 403) {
-        throw new Error('Invalid NASA API key. Please check your configuration.');
-      } else if (error.response?.status >= 500) {
-        throw new Error('NASA API is currently unavailable. Please try again later.');
+      const status = error.response?.status || error.status;
+      let apiError;
+      if (status === 429) {
+        apiError = new Error('NASA API rate limit exceeded. Please try again later.');
+      } else if (status === 403) {
+        apiError = new Error('Invalid NASA API key. Please check your configuration.');
+      } else if (status >= 500) {
+        apiError = new Error('NASA API is currently unavailable. Please try again later.');
+      } else {
+        apiError = new Error(`NASA API request failed: ${error.message}`);
       }
-      
-      throw new Error(`NASA API request failed: ${error.message}`);
+
+      apiError.status = status;
+      apiError.code = error.code;
+      throw apiError;
+    }
+
+    // Cache the response, keeping it past its TTL for stale serving. A cache
+    // that can't be written (full disk, permissions) doesn't fail the request.
+    const ttl = cacheTTL || (parseInt(process.env.CACHE_TTL_SECONDS) || 3600);
+    const now = Date.now();
+    try {
+      await cache.set(cacheKey, {
+        data: response.data,
+        fetched_at: now,
+        fresh_until: now + ttl * 1000
+      }, ttl + Math.max(STALE_WHILE_REVALIDATE, STALE_IF_ERROR));
+    } catch (error) {
+      logger.warn('Could not cache NASA response', { cache_key: cacheKey, error: error.message });
     }
+
+    return response.data;
+  }
+
+  recordUpstreamMetrics(config, status) {
+    if (!config?.metadata) return;
+    const durationMs = Number(process.hrtime.bigint() - config.metadata.start) / 1e6;
+    metrics.recordUpstream(config.url, status, durationMs);
+  }
+
+  /**
+   * Circuit breaker guarding the product an endpoint belongs to
+   */
+  breakerFor(endpoint) {
+    const product = Object.keys(PRODUCTS).find(name => endpoint.startsWith(PRODUCTS[name].prefix));
+    return product ? this.breakers[product] : null;
+  }
+
+  /**
+   * Make the upstream call with the key that has the most quota left,
+   * moving on to the next key whenever NASA answers 429
+   */
+  async requestWithKeyRotation(endpoint, params) {
+    for (let attempt = 0; attempt < this.keyPool.size; attempt++) {
+      const key = this.keyPool.acquire();
+      if (!key) break;
+
+      try {
+        const response = await this.client.get(endpoint, {
+          params: { ...params, api_key: key.key }
+        });
+        this.keyPool.recordResponse(key.key, response.headers);
+        return response;
+      } catch (error) {
+        if (error.response?.status !== 429) {
+          if (error.response) {
+            this.keyPool.recordResponse(key.key, error.response.headers);
+          }
+          throw error;
+        }
+        this.keyPool.recordRateLimited(key.key, error.response.headers);
+      }
+    }
+
+    const exhausted = new Error('All NASA API keys are rate limited');
+    exhausted.status = 429;
+    throw exhausted;
   }
 
   /**
    * Get Astronomy Picture of the Day
+   * Always asks for thumbs so video days come with a thumbnail_url preview.
+   * With no date, count or range it asks for today's date explicitly, so the
+   * call shares a cache key (and an in-flight request) with /apod/today.
    */
   async getAPOD(date = null, count = null, startDate = null, endDate = null) {
-    const params = {};
+    const params = { thumbs: true };
+
+    if (!date && !count && !startDate && !endDate) {
+      date = new Date().toISOString().split('T')[0];
+    }
     
     if (date) params.date = date;
     if (count) params.count = count;
@@ -90,7 +316,7 @@ class NASAApiService {
     if (endDate) params.end_date = endDate;
 
     const cacheKey = `apod_${JSON.stringify(params)}`;
-    return await this.makeRequest('/planetary/apod', params, cacheKey);
+    return normalizeApod(await this.makeRequest('/planetary/apod', params, cacheKey));
   }
 
   /**
@@ -128,6 +354,60 @@ class NASAApiService {
     return await this.makeRequest('/neo/rest/v1/feed', params, cacheKey);
   }
 
+  /**
+   * Browse the full Near Earth Object catalogue, one page at a time
+   * @param {number} page - Zero-based catalogue page
+   * @param {number} size - Objects per page (NASA allows up to 20)
+   */
+  async browseNearEarthObjects(page = 0, size = 20) {
+    const params = { page, size };
+    const cacheKey = `neows_browse_${page}_${size}`;
+    return await this.makeRequest('/neo/rest/v1/neo/browse', params, cacheKey, 86400); // Cache for 24 hours
+  }
+
+  /**
+   * Get Near Earth Objects for a range longer than one feed call allows.
+   * Windows are fetched with bounded concurrency through the normal cached
+   * path, then merged and trimmed to the requested dates. Failed windows are
+   * reported instead of failing the whole range, unless every window fails.
+   * @returns {object} - { data, windows } where windows carry a status each
+   */
+  async getNearEarthObjectsRange(startDate, endDate, detailed = false) {
+    const windows = feedWindows(startDate, endDate);
+    const results = await mapWithConcurrency(windows, FEED_CONCURRENCY, window =>
+      this.getNearEarthObjects(window.start_date, window.end_date, detailed)
+    );
+
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length === results.length) {
+      throw failures[0].reason;
+    }
+
+    const nearEarthObjects = {};
+    results
+      .filter(result => result.status === 'fulfilled')
+      .forEach(result => {
+        Object.entries(result.value.near_earth_objects).forEach(([date, objects]) => {
+          if (date >= startDate && date <= endDate) {
+            nearEarthObjects[date] = objects;
+          }
+        });
+      });
+
+    const dates = Object.keys(nearEarthObjects).sort();
+    return {
+      data: {
+        element_count: dates.reduce((count, date) => count + nearEarthObjects[date].length, 0),
+        near_earth_objects: Object.fromEntries(dates.map(date => [date, nearEarthObjects[date]]))
+      },
+      windows: windows.map((window, index) => ({
+        ...window,
+        status: results[index].status === 'fulfilled' ? 'ok' : 'failed',
+        ...(results[index].status === 'rejected' && { error: results[index].reason.message })
+      }))
+    };
+  }
+
   /**
    * Get specific Near Earth Object by ID
    */
@@ -158,18 +438,52 @@ class NASAApiService {
   /**
    * Clear cache (useful for development/testing)
    */
-  clearCache() {
-    cache.flushAll();
-    console.log('NASA API cache cleared');
+  async clearCache() {
+    await cache.flush();
+    logger.info('NASA API cache cleared');
+  }
+
+  /**
+   * Key for URLs handed to clients (EPIC archive images)
+   */
+  getImageApiKey() {
+    return this.keyPool.peek();
+  }
+
+  /**
+   * Get per-key quota status without the keys themselves
+   */
+  getApiKeyStatus() {
+    return this.keyPool.getStatus();
+  }
+
+  /**
+   * Get circuit breaker state per NASA product
+   */
+  getCircuitStatus() {
+    return Object.fromEntries(
+      Object.entries(this.breakers).map(([product, breaker]) => [product, breaker.getStatus()])
+    );
   }
 
   /**
    * Get cache statistics
    */
   getCacheStats() {
+    const stats = cache.getStats();
     return {
+      backend: stats.backend,
       keys: cache.keys().length,
-      stats: cache.getStats()
+      stats,
+      coalescing: {
+        in_flight: this.inFlight.size,
+        saved_calls: this.coalescedRequests
+      },
+      stale: {
+        ...this.staleStats,
+        revalidate_window: STALE_WHILE_REVALIDATE,
+        error_window: STALE_IF_ERROR
+      }
     };
   }
 }
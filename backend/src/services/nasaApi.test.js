@@ -0,0 +1,70 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const nasaApi = require('./nasaApi');
+const { BaseCache } = require('./cache/baseCache');
+
+describe('NASAApiService.getAPOD', () => {
+  let upstream;
+
+  beforeEach(async () => {
+    await nasaApi.clearCache();
+    upstream = jest.spyOn(nasaApi, 'requestWithKeyRotation').mockImplementation((endpoint, params) =>
+      new Promise(resolve => setImmediate(() => resolve({ data: { date: params.date, title: 'Orion', media_type: 'image' } })))
+    );
+  });
+
+  afterEach(() => {
+    upstream.mockRestore();
+  });
+
+  it("asks for today's date when given no date, count or range", async () => {
+    const today = new Date().toISOString().split('T')[0];
+    await nasaApi.getAPOD();
+
+    expect(upstream).toHaveBeenCalledWith('/planetary/apod', { thumbs: true, date: today });
+  });
+
+  it('shares one upstream call between the health check and /apod/today', async () => {
+    const today = new Date().toISOString().split('T')[0];
+    const [health, route] = await Promise.all([nasaApi.getAPOD(), nasaApi.getAPOD(today)]);
+
+    expect(upstream).toHaveBeenCalledTimes(1);
+    expect(health).toEqual(route);
+  });
+
+  it('leaves count and range requests without a date', async () => {
+    await nasaApi.getAPOD(null, 3);
+    await nasaApi.getAPOD(null, null, '2024-01-01', '2024-01-07');
+
+    expect(upstream.mock.calls.map(([, params]) => params)).toEqual([
+      { thumbs: true, count: 3 },
+      { thumbs: true, start_date: '2024-01-01', end_date: '2024-01-07' }
+    ]);
+  });
+});
+
+describe('NASAApiService.fetchAndCache', () => {
+  let upstream;
+  let cacheSet;
+
+  beforeEach(async () => {
+    await nasaApi.clearCache();
+    upstream = jest.spyOn(nasaApi, 'requestWithKeyRotation').mockResolvedValue({ data: { title: 'Orion' } });
+    cacheSet = jest.spyOn(BaseCache.prototype, 'set')
+      .mockRejectedValueOnce(Object.assign(new Error('no space left on device'), { code: 'ENOSPC' }));
+  });
+
+  afterEach(() => {
+    upstream.mockRestore();
+    cacheSet.mockRestore();
+  });
+
+  it("returns NASA's response when the cache can't be written", async () => {
+    await expect(nasaApi.getAPOD('2024-06-10')).resolves.toMatchObject({ title: 'Orion' });
+    expect(cacheSet).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const nasaApi = require('./nasaApi');
+const { Scheduler } = require('./scheduler');
+const { createPrewarmJobs } = require('./prewarmJobs');
+
+/**
+ * Shared cache pre-warming scheduler for the routes and the server
+ *
+ * Schedules come from a JSON config (SCHEDULER_CONFIG_PATH, default
+ * config/scheduler.json). Set SCHEDULER_ENABLED=false to turn it off.
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/scheduler.json');
+
+/**
+ * Read and check a scheduler config file
+ * @param {string} filePath - JSON config path
+ * @param {Array<string>} jobNames - Jobs the config may schedule
+ * @returns {object} - { run_on_start, jobs: { name: { schedule, enabled } } }
+ */
+function loadSchedulerConfig(filePath, jobNames) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const jobs = config.jobs || {};
+
+  for (const [name, job] of Object.entries(jobs)) {
+    if (!jobNames.includes(name)) {
+      throw new Error(`Scheduler config ${filePath}: unknown job "${name}", expected one of ${jobNames.join(', ')}`);
+    }
+    if (typeof job.schedule !== 'string') {
+      throw new Error(`Scheduler config ${filePath}: jobs.${name}.schedule must be a cron expression`);
+    }
+  }
+
+  return {
+    run_on_start: config.run_on_start !== false,
+    jobs
+  };
+}
+
+/**
+ * Build a scheduler with the pre-warm jobs named in the config
+ * @param {object} options - nasaApi, config, clock
+ */
+function createPrewarmScheduler({ nasaApi, config, clock }) {
+  const scheduler = new Scheduler({ clock });
+  const jobs = createPrewarmJobs({ nasaApi });
+
+  Object.entries(config.jobs).forEach(([name, { schedule, enabled = true }]) => {
+    scheduler.add({ name, schedule, enabled, ...jobs[name] });
+  });
+
+  return scheduler;
+}
+
+const config = loadSchedulerConfig(
+  process.env.SCHEDULER_CONFIG_PATH || DEFAULT_CONFIG_PATH,
+  Object.keys(createPrewarmJobs({ nasaApi }))
+);
+const scheduler = createPrewarmScheduler({ nasaApi, config });
+const enabled = process.env.SCHEDULER_ENABLED !== 'false';
+
+/**
+ * Start the schedule, warming everything once first if configured
+ */
+function startPrewarming() {
+  if (!enabled) return;
+
+  scheduler.start();
+  if (config.run_on_start) {
+    scheduler.runAll();
+  }
+}
+
+module.exports = {
+  scheduler,
+  enabled,
+  startPrewarming,
+  loadSchedulerConfig,
+  createPrewarmScheduler
+};
\ No newline at end of file
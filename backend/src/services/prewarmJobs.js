@@ -0,0 +1,73 @@
+const { ACTIVE_ROVERS } = require('./liveUpdates');
+
+/**
+ * Cache pre-warming jobs for the daily NASA data
+ *
+ * Each job makes the same NASAApiService calls, with the same arguments, as
+ * the route it warms, so the route's first visitor of the day finds a cache
+ * hit. Jobs return a short summary for the scheduler status.
+ */
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * @param {object} options - nasaApi (NASAApiService or a stub), rovers
+ * @returns {object} - Job definitions by name: { description, run(now) }
+ */
+function createPrewarmJobs({ nasaApi, rovers = ACTIVE_ROVERS }) {
+  return {
+    // Warms GET /api/apod/today
+    apod_today: {
+      description: "Today's Astronomy Picture of the Day",
+      run: async (now) => {
+        const apod = await nasaApi.getAPOD(isoDate(now));
+        return { date: apod.date, title: apod.title };
+      }
+    },
+
+    // Warms GET /api/neows/today
+    neows_today: {
+      description: "Today's Near Earth Object feed",
+      run: async (now) => {
+        const today = isoDate(now);
+        const feed = await nasaApi.getNearEarthObjects(today, today, false);
+        return { date: today, element_count: feed.element_count };
+      }
+    },
+
+    // Warms GET /api/epic/latest
+    epic_latest: {
+      description: 'Latest natural-colour EPIC images',
+      run: async () => {
+        const dates = await nasaApi.getEPICAvailableDates('natural');
+        if (!dates || dates.length === 0) {
+          throw new Error('No EPIC dates available');
+        }
+
+        const images = await nasaApi.getEPICImages(dates[0].date, 'natural');
+        return { date: dates[0].date, images: images.length };
+      }
+    },
+
+    // Warms GET /api/mars/:rover/latest for the rovers still sending photos
+    mars_latest: {
+      description: `Latest sol photos for ${rovers.join(' and ')}`,
+      run: async () => {
+        const result = {};
+
+        // One rover at a time to go easy on the NASA quota
+        for (const rover of rovers) {
+          const { photo_manifest: manifest } = await nasaApi.getMarsRoverManifest(rover);
+          const data = await nasaApi.getMarsRoverPhotos(rover, manifest.max_sol, null, undefined, 1);
+          result[rover] = { sol: manifest.max_sol, photos: data.photos.length };
+        }
+
+        return result;
+      }
+    }
+  };
+}
+
+module.exports = { createPrewarmJobs };
\ No newline at end of file
@@ -0,0 +1,152 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const { createPrewarmJobs } = require('./prewarmJobs');
+
+const NOW = new Date('2024-06-10T05:15:00Z');
+
+/**
+ * NASAApiService stand-in that answers every call with canned data
+ */
+function stubNasaApi() {
+  return {
+    getAPOD: jest.fn().mockResolvedValue({ date: '2024-06-10', title: 'Orion Nebula', url: 'https://apod.nasa.gov/x.jpg' }),
+    getNearEarthObjects: jest.fn().mockResolvedValue({ element_count: 14, near_earth_objects: {} }),
+    getEPICAvailableDates: jest.fn().mockResolvedValue([{ date: '2024-06-09' }, { date: '2024-06-08' }]),
+    getEPICImages: jest.fn().mockResolvedValue([{ image: 'a' }, { image: 'b' }, { image: 'c' }]),
+    getMarsRoverManifest: jest.fn(async (rover) => ({ photo_manifest: { name: rover, max_sol: rover === 'curiosity' ? 4200 : 1150 } })),
+    getMarsRoverPhotos: jest.fn(async (rover) => ({ photos: rover === 'curiosity' ? [{}, {}] : [{}] }))
+  };
+}
+
+describe('createPrewarmJobs', () => {
+  let nasaApi;
+  let jobs;
+
+  beforeEach(() => {
+    nasaApi = stubNasaApi();
+    jobs = createPrewarmJobs({ nasaApi });
+  });
+
+  it('defines the four pre-warm jobs', () => {
+    expect(Object.keys(jobs)).toEqual(['apod_today', 'neows_today', 'epic_latest', 'mars_latest']);
+    expect(jobs.mars_latest.description).toBe('Latest sol photos for curiosity and perseverance');
+  });
+
+  it("warms today's APOD for the UTC date of the run", async () => {
+    const result = await jobs.apod_today.run(NOW);
+
+    expect(nasaApi.getAPOD.mock.calls).toEqual([['2024-06-10']]);
+    expect(result).toEqual({ date: '2024-06-10', title: 'Orion Nebula' });
+  });
+
+  it("warms today's NEO feed without the detailed data", async () => {
+    const result = await jobs.neows_today.run(NOW);
+
+    expect(nasaApi.getNearEarthObjects.mock.calls).toEqual([['2024-06-10', '2024-06-10', false]]);
+    expect(result).toEqual({ date: '2024-06-10', element_count: 14 });
+  });
+
+  it('warms the newest natural-colour EPIC date', async () => {
+    const result = await jobs.epic_latest.run(NOW);
+
+    expect(nasaApi.getEPICAvailableDates.mock.calls).toEqual([['natural']]);
+    expect(nasaApi.getEPICImages.mock.calls).toEqual([['2024-06-09', 'natural']]);
+    expect(result).toEqual({ date: '2024-06-09', images: 3 });
+  });
+
+  it('fails the EPIC job when NASA lists no dates', async () => {
+    nasaApi.getEPICAvailableDates.mockResolvedValue([]);
+
+    await expect(jobs.epic_latest.run(NOW)).rejects.toThrow('No EPIC dates available');
+    expect(nasaApi.getEPICImages).not.toHaveBeenCalled();
+  });
+
+  it("warms each active rover's latest sol, one rover at a time", async () => {
+    const result = await jobs.mars_latest.run(NOW);
+
+    expect(nasaApi.getMarsRoverManifest.mock.calls).toEqual([['curiosity'], ['perseverance']]);
+    expect(nasaApi.getMarsRoverPhotos.mock.calls).toEqual([
+      ['curiosity', 4200, null, undefined, 1],
+      ['perseverance', 1150, null, undefined, 1]
+    ]);
+    expect(result).toEqual({
+      curiosity: { sol: 4200, photos: 2 },
+      perseverance: { sol: 1150, photos: 1 }
+    });
+
+    const order = [
+      ...nasaApi.getMarsRoverManifest.mock.invocationCallOrder,
+      ...nasaApi.getMarsRoverPhotos.mock.invocationCallOrder
+    ];
+    const [curiosityManifest, perseveranceManifest, curiosityPhotos] = order;
+    expect(curiosityPhotos).toBeLessThan(perseveranceManifest);
+    expect(curiosityManifest).toBeLessThan(curiosityPhotos);
+  });
+
+  it('only warms the rovers it is given', async () => {
+    jobs = createPrewarmJobs({ nasaApi, rovers: ['curiosity'] });
+    await jobs.mars_latest.run(NOW);
+
+    expect(nasaApi.getMarsRoverManifest.mock.calls).toEqual([['curiosity']]);
+  });
+});
+
+describe('createPrewarmJobs cache keys', () => {
+  let nasaApi;
+  let makeRequest;
+
+  // The real service with its upstream stubbed, so the keys are the ones routes read
+  beforeEach(() => {
+    nasaApi = require('./nasaApi');
+    const stub = stubNasaApi();
+    makeRequest = jest.spyOn(nasaApi, 'makeRequest').mockImplementation(async (endpoint) => {
+      if (endpoint === '/planetary/apod') return stub.getAPOD();
+      if (endpoint === '/neo/rest/v1/feed') return stub.getNearEarthObjects();
+      if (endpoint === '/EPIC/api/natural/all') return stub.getEPICAvailableDates();
+      if (endpoint.startsWith('/EPIC/api/natural/date/')) return stub.getEPICImages();
+      const rover = endpoint.split('/')[5];
+      return endpoint.endsWith('/photos') ? stub.getMarsRoverPhotos(rover) : stub.getMarsRoverManifest(rover);
+    });
+  });
+
+  afterEach(() => {
+    makeRequest.mockRestore();
+  });
+
+  const warmedKeys = async (job) => {
+    await createPrewarmJobs({ nasaApi })[job].run(NOW);
+    return makeRequest.mock.calls.map(([endpoint, , cacheKey]) => [endpoint, cacheKey]);
+  };
+
+  it('apod_today', async () => {
+    expect(await warmedKeys('apod_today')).toEqual([
+      ['/planetary/apod', 'apod_{"thumbs":true,"date":"2024-06-10"}']
+    ]);
+  });
+
+  it('neows_today', async () => {
+    expect(await warmedKeys('neows_today')).toEqual([
+      ['/neo/rest/v1/feed', 'neows_{"detailed_destruction":false,"start_date":"2024-06-10","end_date":"2024-06-10"}']
+    ]);
+  });
+
+  it('epic_latest', async () => {
+    expect(await warmedKeys('epic_latest')).toEqual([
+      ['/EPIC/api/natural/all', 'epic_dates_natural'],
+      ['/EPIC/api/natural/date/2024-06-09', 'epic_natural_2024-06-09']
+    ]);
+  });
+
+  it('mars_latest', async () => {
+    expect(await warmedKeys('mars_latest')).toEqual([
+      ['/mars-photos/api/v1/rovers/curiosity', 'mars_manifest_curiosity'],
+      ['/mars-photos/api/v1/rovers/curiosity/photos', 'mars_curiosity_{"page":1,"sol":4200}'],
+      ['/mars-photos/api/v1/rovers/perseverance', 'mars_manifest_perseverance'],
+      ['/mars-photos/api/v1/rovers/perseverance/photos', 'mars_perseverance_{"page":1,"sol":1150}']
+    ]);
+  });
+});
\ No newline at end of file
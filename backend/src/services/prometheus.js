@@ -0,0 +1,142 @@
+const metrics = require('./metrics');
+const nasaApi = require('./nasaApi');
+const imageCache = require('./imageCache');
+
+/**
+ * Prometheus text exposition for NASA Mission Control API
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/)
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Render one metric family
+ * @param {string} name - Metric name
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Description
+ * @param {Array} samples - [{ labels, value, suffix }]
+ */
+function family(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  samples.forEach(({ labels, value, suffix = '' }) => {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Histogram samples from a metrics series. Buckets are stored per interval,
+ * Prometheus wants them cumulative and in seconds.
+ */
+function histogramSamples(series, labels, bucketsMs) {
+  const samples = [];
+  let cumulative = 0;
+
+  bucketsMs.forEach((bound, index) => {
+    cumulative += series.latency.buckets[index];
+    samples.push({ suffix: '_bucket', labels: { ...labels, le: bound / 1000 }, value: cumulative });
+  });
+  samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: series.requests });
+  samples.push({ suffix: '_sum', labels, value: series.latency.sum_ms / 1000 });
+  samples.push({ suffix: '_count', labels, value: series.requests });
+
+  return samples;
+}
+
+function httpMetrics(series) {
+  const labelsFor = ({ method, route, status }) => ({ method, route, status });
+
+  return [
+    family('http_requests_total', 'counter', 'API requests handled, by route and status',
+      series.routes.map(entry => ({ labels: labelsFor(entry), value: entry.series.requests }))),
+    family('http_request_duration_seconds', 'histogram', 'API request duration, by route and status',
+      series.routes.flatMap(entry => histogramSamples(entry.series, labelsFor(entry), series.buckets_ms))),
+    family('http_rate_limited_requests_total', 'counter', 'API requests rejected by the rate limiter',
+      [{ value: series.rate_limited }])
+  ];
+}
+
+function upstreamMetrics(series) {
+  return [
+    family('nasa_upstream_requests_total', 'counter', 'Calls made to the NASA API, by endpoint and status',
+      series.upstream.flatMap(({ endpoint, series: entry }) =>
+        Object.entries(entry.status_codes).map(([status, count]) => ({ labels: { endpoint, status }, value: count }))
+      )),
+    family('nasa_upstream_request_duration_seconds', 'histogram', 'NASA API call duration, by endpoint',
+      series.upstream.flatMap(({ endpoint, series: entry }) =>
+        histogramSamples(entry, { endpoint }, series.buckets_ms)
+      ))
+  ];
+}
+
+function cacheMetrics() {
+  const caches = [
+    { name: 'api', stats: nasaApi.getCacheStats().stats },
+    { name: 'images', stats: imageCache.getStats() }
+  ];
+  const samples = field => caches.map(({ name, stats }) => ({
+    labels: { cache: name, backend: stats.backend },
+    value: stats[field]
+  }));
+
+  return [
+    family('cache_hits_total', 'counter', 'Cache lookups that found a value', samples('hits')),
+    family('cache_misses_total', 'counter', 'Cache lookups that found nothing', samples('misses')),
+    family('cache_evictions_total', 'counter', 'Entries evicted to stay within cache limits', samples('evictions')),
+    family('cache_expirations_total', 'counter', 'Entries removed after their TTL', samples('expirations')),
+    family('cache_keys', 'gauge', 'Entries currently cached', samples('keys')),
+    family('cache_size_bytes', 'gauge', 'Bytes currently cached', samples('size_bytes')),
+    family('cache_max_bytes', 'gauge', 'Configured cache size limit', samples('max_bytes'))
+  ];
+}
+
+function processMetrics() {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+
+  return [
+    family('process_cpu_user_seconds_total', 'counter', 'User CPU time spent', [{ value: cpu.user / 1e6 }]),
+    family('process_cpu_system_seconds_total', 'counter', 'System CPU time spent', [{ value: cpu.system / 1e6 }]),
+    family('process_resident_memory_bytes', 'gauge', 'Resident memory size', [{ value: memory.rss }]),
+    family('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch',
+      [{ value: Math.round(Date.now() / 1000 - process.uptime()) }]),
+    family('nodejs_heap_size_total_bytes', 'gauge', 'V8 heap size', [{ value: memory.heapTotal }]),
+    family('nodejs_heap_size_used_bytes', 'gauge', 'V8 heap used', [{ value: memory.heapUsed }]),
+    family('nodejs_external_memory_bytes', 'gauge', 'Memory used by C++ objects bound to JavaScript', [{ value: memory.external }]),
+    family('nodejs_version_info', 'gauge', 'Node.js version', [{ labels: { version: process.version }, value: 1 }])
+  ];
+}
+
+/**
+ * Render every metric in Prometheus text format
+ * @returns {string} - Exposition body
+ */
+function renderMetrics() {
+  const series = metrics.getSeries();
+
+  return [
+    ...httpMetrics(series),
+    ...upstreamMetrics(series),
+    ...cacheMetrics(),
+    ...processMetrics()
+  ].join('\n\n') + '\n';
+}
+
+module.exports = { renderMetrics, CONTENT_TYPE };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Composite risk scoring for Near Earth Object close approaches
+ *
+ * Each factor is normalised to 0..1 against the scales in the config file,
+ * multiplied by its weight and summed into a 0-100 score. Sizes, distances
+ * and energies span orders of magnitude, so those factors use log scales.
+ */
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/riskScoring.json');
+const FACTORS = ['diameter', 'miss_distance', 'velocity', 'kinetic_energy', 'hazardous'];
+const JOULES_PER_MEGATON = 4.184e15;
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function linearScale(value, low, high) {
+  return clamp01((value - low) / (high - low));
+}
+
+function logScale(value, low, high) {
+  if (!(value > 0)) return 0;
+  return clamp01((Math.log10(value) - Math.log10(low)) / (Math.log10(high) - Math.log10(low)));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Read and check a risk config file
+ * @param {string} filePath - JSON config path
+ * @returns {object} - Config with weights normalised to sum to 1
+ */
+function loadRiskConfig(filePath = DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const weights = config.weights || {};
+  for (const factor of FACTORS) {
+    if (typeof weights[factor] !== 'number' || weights[factor] < 0) {
+      throw new Error(`Risk config ${filePath}: weights.${factor} must be a non-negative number`);
+    }
+  }
+
+  const total = FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+  if (total === 0) {
+    throw new Error(`Risk config ${filePath}: at least one weight must be positive`);
+  }
+
+  if (!Array.isArray(config.levels) || config.levels.length === 0) {
+    throw new Error(`Risk config ${filePath}: levels must be a non-empty array`);
+  }
+
+  return {
+    ...config,
+    weights: Object.fromEntries(FACTORS.map(factor => [factor, weights[factor] / total])),
+    levels: [...config.levels].sort((a, b) => b.min_score - a.min_score)
+  };
+}
+
+class RiskScorer {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Estimated impact energy in megatons of TNT, assuming a sphere of the
+   * mean estimated diameter at the configured density
+   */
+  kineticEnergyMegatons(diameterKm, velocityKmS) {
+    const radiusM = (diameterKm * 1000) / 2;
+    const massKg = this.config.density_kg_m3 * (4 / 3) * Math.PI * radiusM ** 3;
+    const velocityMS = velocityKmS * 1000;
+    return (0.5 * massKg * velocityMS ** 2) / JOULES_PER_MEGATON;
+  }
+
+  /**
+   * Score one close approach of an object
+   * @param {object} obj - NeoWs object (feed or lookup shape)
+   * @param {object} approach - Entry from obj.close_approach_data
+   * @returns {object} - { score, level, approach_date, breakdown }
+   */
+  score(obj, approach) {
+    const { scales, weights } = this.config;
+    const diameter = obj.estimated_diameter.kilometers;
+    const diameterKm = (diameter.estimated_diameter_min + diameter.estimated_diameter_max) / 2;
+    const missDistanceLd = parseFloat(approach.miss_distance.lunar);
+    const velocityKmS = parseFloat(approach.relative_velocity.kilometers_per_second);
+    const energyMt = this.kineticEnergyMegatons(diameterKm, velocityKmS);
+    const hazardous = obj.is_potentially_hazardous_asteroid;
+
+    const factors = {
+      diameter: {
+        value: round(diameterKm, 4),
+        unit: 'km',
+        normalized: logScale(diameterKm, scales.diameter_km.low, scales.diameter_km.high)
+      },
+      // Closer is riskier: 1 at the near bound, 0 at the far bound
+      miss_distance: {
+        value: round(missDistanceLd, 2),
+        unit: 'LD',
+        normalized: 1 - logScale(missDistanceLd, scales.miss_distance_ld.near, scales.miss_distance_ld.far)
+      },
+      velocity: {
+        value: round(velocityKmS, 2),
+        unit: 'km/s',
+        normalized: linearScale(velocityKmS, scales.velocity_km_s.low, scales.velocity_km_s.high)
+      },
+      kinetic_energy: {
+        value: round(energyMt, 3),
+        unit: 'Mt TNT',
+        normalized: logScale(energyMt, scales.kinetic_energy_mt.low, scales.kinetic_energy_mt.high)
+      },
+      hazardous: {
+        value: hazardous,
+        unit: null,
+        normalized: hazardous ? 1 : 0
+      }
+    };
+
+    const breakdown = {};
+    let score = 0;
+    for (const factor of FACTORS) {
+      const contribution = factors[factor].normalized * weights[factor] * 100;
+      score += contribution;
+      breakdown[factor] = {
+        ...factors[factor],
+        normalized: round(factors[factor].normalized, 3),
+        weight: round(weights[factor], 3),
+        contribution: round(contribution, 1)
+      };
+    }
+
+    return {
+      score: round(score, 1),
+      level: this.levelFor(score),
+      approach_date: approach.close_approach_date,
+      breakdown
+    };
+  }
+
+  /**
+   * Score the approach that matters most for an object: the next one from
+   * today, or the latest past one when nothing is scheduled
+   * @returns {object|null} - Score, or null without Earth approach data
+   */
+  scoreObject(obj, today = new Date().toISOString().split('T')[0]) {
+    const approaches = (obj.close_approach_data || [])
+      .filter(approach => approach.orbiting_body === 'Earth')
+      .sort((a, b) => a.close_approach_date.localeCompare(b.close_approach_date));
+    if (approaches.length === 0) return null;
+
+    const next = approaches.find(approach => approach.close_approach_date >= today);
+    return this.score(obj, next || approaches[approaches.length - 1]);
+  }
+
+  levelFor(score) {
+    const match = this.config.levels.find(level => score >= level.min_score);
+    return match ? match.level : this.config.levels[this.config.levels.length - 1].level;
+  }
+
+  /**
+   * Weights and levels, for clients that explain the score
+   */
+  getModel() {
+    return {
+      factors: FACTORS,
+      weights: this.config.weights,
+      levels: this.config.levels
+    };
+  }
+}
+
+/**
+ * Build the scorer from RISK_CONFIG_PATH, or the bundled config
+ */
+function createRiskScorerFromConfig() {
+  return new RiskScorer(loadRiskConfig(process.env.RISK_CONFIG_PATH || DEFAULT_CONFIG_PATH));
+}
+
+module.exports = { RiskScorer, loadRiskConfig, createRiskScorerFromConfig, FACTORS };
\ No newline at end of file
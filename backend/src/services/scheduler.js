@@ -0,0 +1,159 @@
+const logger = require('../utils/logger').child({ component: 'scheduler' });
+const { parseCron, nextRun } = require('../utils/cron');
+
+// Cron has minute resolution; checking twice a minute never skips one
+const TICK_SECONDS = 30;
+
+/**
+ * In-process job scheduler with cron-style schedules
+ *
+ * Jobs are async functions run when their schedule comes due. A job that is
+ * still running when it comes due again is skipped, and runs missed while the
+ * process was busy collapse into one. All time comes from the injected clock,
+ * so tests can drive the scheduler by moving the clock and calling tick().
+ */
+class Scheduler {
+  /**
+   * @param {object} options - clock (returns the current Date), tickSeconds
+   */
+  constructor({ clock = () => new Date(), tickSeconds = TICK_SECONDS } = {}) {
+    this.clock = clock;
+    this.tickMs = tickSeconds * 1000;
+    this.jobs = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Register a job
+   * @param {object} job - name, schedule (cron expression), run (async function
+   *                       called with the current Date), description, enabled
+   */
+  add({ name, schedule, run, description = '', enabled = true }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduler job "${name}" is already registered`);
+    }
+
+    const parsed = parseCron(schedule);
+    this.jobs.set(name, {
+      name,
+      description,
+      schedule: parsed.expression,
+      parsed,
+      run,
+      enabled,
+      running: false,
+      next_run: enabled ? nextRun(parsed, this.clock()) : null,
+      last_run: null,
+      runs: 0,
+      failures: 0
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    logger.info('Scheduler started', { jobs: [...this.jobs.keys()] });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every enabled job that has come due
+   * @returns {Promise<Array>} - Runs started by this tick
+   */
+  async tick() {
+    const now = this.clock();
+    const due = [...this.jobs.values()].filter(job => job.enabled && job.next_run && job.next_run <= now);
+
+    return Promise.all(due.map(job => {
+      job.next_run = nextRun(job.parsed, now);
+
+      if (job.running) {
+        logger.warn('Scheduled job still running, skipping', { job: job.name });
+        return this.record(job, { started_at: now, finished_at: now, outcome: 'skipped' });
+      }
+      return this.execute(job);
+    }));
+  }
+
+  /**
+   * Run one job now, outside its schedule
+   * @returns {Promise<object|null>} - The run, or null for an unknown job
+   */
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+
+    if (job.running) {
+      const now = this.clock();
+      return this.record(job, { started_at: now, finished_at: now, outcome: 'skipped' });
+    }
+    return this.execute(job);
+  }
+
+  /**
+   * Run every enabled job now, e.g. at startup
+   */
+  async runAll() {
+    return Promise.all([...this.jobs.values()]
+      .filter(job => job.enabled)
+      .map(job => this.runNow(job.name)));
+  }
+
+  async execute(job) {
+    const startedAt = this.clock();
+    job.running = true;
+
+    try {
+      const result = await job.run(startedAt);
+      return this.record(job, { started_at: startedAt, finished_at: this.clock(), outcome: 'success', result });
+    } catch (error) {
+      logger.error('Scheduled job failed', { job: job.name, error });
+      return this.record(job, { started_at: startedAt, finished_at: this.clock(), outcome: 'failure', error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }
+
+  record(job, { started_at, finished_at, outcome, result = null, error = null }) {
+    const run = {
+      started_at: started_at.toISOString(),
+      finished_at: finished_at.toISOString(),
+      duration_ms: finished_at.getTime() - started_at.getTime(),
+      outcome,
+      result,
+      error
+    };
+
+    job.last_run = run;
+    if (outcome !== 'skipped') job.runs++;
+    if (outcome === 'failure') job.failures++;
+
+    logger.info('Scheduled job finished', { job: job.name, outcome, duration_ms: run.duration_ms });
+    return { job: job.name, ...run };
+  }
+
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      jobs: [...this.jobs.values()].map(job => ({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        enabled: job.enabled,
+        running: job.running,
+        next_run: job.next_run ? job.next_run.toISOString() : null,
+        last_run: job.last_run,
+        runs: job.runs,
+        failures: job.failures
+      }))
+    };
+  }
+}
+
+module.exports = { Scheduler };
\ No newline at end of file
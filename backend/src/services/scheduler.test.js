@@ -0,0 +1,226 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const { Scheduler } = require('./scheduler');
+
+/**
+ * A clock the test moves by hand
+ */
+function fakeClock(iso) {
+  let now = new Date(iso);
+  const clock = () => new Date(now);
+  clock.set = (next) => {
+    now = new Date(next);
+  };
+  return clock;
+}
+
+/**
+ * A promise the test settles by hand, for jobs that are still running
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const statusOf = (scheduler, name) => scheduler.getStatus().jobs.find(job => job.name === name);
+
+describe('Scheduler', () => {
+  let clock;
+  let scheduler;
+
+  beforeEach(() => {
+    clock = fakeClock('2024-06-10T05:00:00Z');
+    scheduler = new Scheduler({ clock });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('schedules the first run from the injected clock', () => {
+    scheduler.add({ name: 'apod', schedule: '15 5 * * *', run: jest.fn(), description: 'APOD' });
+
+    expect(statusOf(scheduler, 'apod')).toMatchObject({
+      description: 'APOD',
+      schedule: '15 5 * * *',
+      enabled: true,
+      running: false,
+      next_run: '2024-06-10T05:15:00.000Z',
+      last_run: null,
+      runs: 0,
+      failures: 0
+    });
+  });
+
+  it('does nothing until a job comes due', async () => {
+    const run = jest.fn();
+    scheduler.add({ name: 'apod', schedule: '15 5 * * *', run });
+
+    clock.set('2024-06-10T05:14:59Z');
+    expect(await scheduler.tick()).toEqual([]);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  it('runs a due job with the current time and records the run', async () => {
+    const run = jest.fn(async () => {
+      clock.set('2024-06-10T05:15:02Z');
+      return { title: 'Orion' };
+    });
+    scheduler.add({ name: 'apod', schedule: '15 5 * * *', run });
+
+    clock.set('2024-06-10T05:15:00Z');
+    const runs = await scheduler.tick();
+
+    expect(run).toHaveBeenCalledWith(new Date('2024-06-10T05:15:00Z'));
+    expect(runs).toEqual([{
+      job: 'apod',
+      started_at: '2024-06-10T05:15:00.000Z',
+      finished_at: '2024-06-10T05:15:02.000Z',
+      duration_ms: 2000,
+      outcome: 'success',
+      result: { title: 'Orion' },
+      error: null
+    }]);
+    expect(statusOf(scheduler, 'apod')).toMatchObject({
+      next_run: '2024-06-11T05:15:00.000Z',
+      runs: 1,
+      failures: 0,
+      last_run: { outcome: 'success', duration_ms: 2000 }
+    });
+  });
+
+  it('collapses runs missed while the process was busy into one', async () => {
+    const run = jest.fn();
+    scheduler.add({ name: 'hourly', schedule: '0 * * * *', run });
+
+    clock.set('2024-06-10T09:30:00Z');
+    await scheduler.tick();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(statusOf(scheduler, 'hourly').next_run).toBe('2024-06-10T10:00:00.000Z');
+  });
+
+  it('skips a run while the previous one is still going', async () => {
+    const pending = deferred();
+    const run = jest.fn(() => pending.promise);
+    scheduler.add({ name: 'slow', schedule: '*/5 * * * *', run });
+
+    clock.set('2024-06-10T05:05:00Z');
+    const first = scheduler.tick();
+    expect(statusOf(scheduler, 'slow').running).toBe(true);
+
+    clock.set('2024-06-10T05:10:00Z');
+    const [skipped] = await scheduler.tick();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(skipped).toMatchObject({ job: 'slow', outcome: 'skipped', started_at: '2024-06-10T05:10:00.000Z', duration_ms: 0 });
+    expect(statusOf(scheduler, 'slow')).toMatchObject({ runs: 0, next_run: '2024-06-10T05:15:00.000Z' });
+
+    clock.set('2024-06-10T05:11:00Z');
+    pending.resolve('done');
+    const [finished] = await first;
+
+    expect(finished).toMatchObject({ outcome: 'success', result: 'done', duration_ms: 6 * 60 * 1000 });
+    expect(statusOf(scheduler, 'slow')).toMatchObject({ running: false, runs: 1 });
+  });
+
+  it('skips runNow while the job is running', async () => {
+    const pending = deferred();
+    const run = jest.fn(() => pending.promise);
+    scheduler.add({ name: 'slow', schedule: '0 0 * * *', run });
+
+    const first = scheduler.runNow('slow');
+    expect(await scheduler.runNow('slow')).toMatchObject({ outcome: 'skipped' });
+    expect(run).toHaveBeenCalledTimes(1);
+
+    pending.resolve();
+    await first;
+  });
+
+  it('records failures and keeps the schedule going', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('NASA API unavailable'))
+      .mockResolvedValueOnce({ ok: true });
+    scheduler.add({ name: 'epic', schedule: '0 */6 * * *', run });
+
+    clock.set('2024-06-10T06:00:00Z');
+    const [failed] = await scheduler.tick();
+
+    expect(failed).toMatchObject({ outcome: 'failure', error: 'NASA API unavailable', result: null });
+    expect(statusOf(scheduler, 'epic')).toMatchObject({
+      running: false,
+      runs: 1,
+      failures: 1,
+      next_run: '2024-06-10T12:00:00.000Z'
+    });
+
+    clock.set('2024-06-10T12:00:00Z');
+    const [recovered] = await scheduler.tick();
+
+    expect(recovered).toMatchObject({ outcome: 'success', result: { ok: true } });
+    expect(statusOf(scheduler, 'epic')).toMatchObject({ runs: 2, failures: 1, last_run: { outcome: 'success' } });
+  });
+
+  it('never runs a disabled job on schedule', async () => {
+    const run = jest.fn();
+    scheduler.add({ name: 'off', schedule: '* * * * *', run, enabled: false });
+
+    clock.set('2024-06-11T00:00:00Z');
+    await scheduler.tick();
+    await scheduler.runAll();
+
+    expect(run).not.toHaveBeenCalled();
+    expect(statusOf(scheduler, 'off').next_run).toBeNull();
+  });
+
+  it('runs every enabled job on runAll', async () => {
+    const first = jest.fn().mockResolvedValue(1);
+    const second = jest.fn().mockResolvedValue(2);
+    scheduler.add({ name: 'first', schedule: '0 0 * * *', run: first });
+    scheduler.add({ name: 'second', schedule: '0 0 * * *', run: second });
+
+    const runs = await scheduler.runAll();
+
+    expect(runs.map(run => [run.job, run.result])).toEqual([['first', 1], ['second', 2]]);
+  });
+
+  it('returns null when asked to run an unknown job', async () => {
+    expect(await scheduler.runNow('missing')).toBeNull();
+  });
+
+  it('refuses duplicate names and bad schedules', () => {
+    scheduler.add({ name: 'apod', schedule: '15 5 * * *', run: jest.fn() });
+
+    expect(() => scheduler.add({ name: 'apod', schedule: '0 0 * * *', run: jest.fn() })).toThrow('already registered');
+    expect(() => scheduler.add({ name: 'bad', schedule: '61 * * * *', run: jest.fn() })).toThrow('Invalid cron minute');
+  });
+
+  it('ticks on an interval between start and stop', () => {
+    jest.useFakeTimers();
+    try {
+      scheduler = new Scheduler({ clock, tickSeconds: 30 });
+      const tick = jest.spyOn(scheduler, 'tick').mockResolvedValue([]);
+
+      scheduler.start();
+      expect(scheduler.getStatus().running).toBe(true);
+      jest.advanceTimersByTime(90 * 1000);
+      expect(tick).toHaveBeenCalledTimes(3);
+
+      scheduler.stop();
+      jest.advanceTimersByTime(90 * 1000);
+      expect(tick).toHaveBeenCalledTimes(3);
+      expect(scheduler.getStatus().running).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
\ No newline at end of file
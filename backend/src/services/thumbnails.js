@@ -0,0 +1,123 @@
+const sharp = require('sharp');
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const MIN_DIMENSION = 16;
+const MAX_DIMENSION = parseInt(process.env.THUMBNAIL_MAX_DIMENSION) || 2048;
+const DEFAULT_WIDTH = 300;
+const DEFAULT_QUALITY = 70;
+
+// Most preferred first; jpeg is the fallback every browser accepts
+const NEGOTIATED_FORMATS = [
+  { format: 'avif', contentType: 'image/avif' },
+  { format: 'webp', contentType: 'image/webp' }
+];
+const CONTENT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * Read and check thumbnail options from a query string
+ * @param {object} query - width, height, fit, quality; size is the old name for width
+ * @returns {object} - { options } or { error } with a message for the client
+ */
+function parseThumbnailOptions(query = {}) {
+  const dimension = (value, name) => {
+    if (value === undefined || value === '') return { value: null };
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < MIN_DIMENSION || parsed > MAX_DIMENSION) {
+      return { error: `${name} must be a whole number between ${MIN_DIMENSION} and ${MAX_DIMENSION}` };
+    }
+    return { value: parsed };
+  };
+
+  const width = dimension(query.width ?? query.size, 'width');
+  if (width.error) return { error: width.error };
+  const height = dimension(query.height, 'height');
+  if (height.error) return { error: height.error };
+
+  const fit = query.fit || 'cover';
+  if (!FITS.includes(fit)) {
+    return { error: `fit must be one of: ${FITS.join(', ')}` };
+  }
+
+  const quality = query.quality === undefined || query.quality === '' ? DEFAULT_QUALITY : Number(query.quality);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    return { error: 'quality must be a whole number between 1 and 100' };
+  }
+
+  return {
+    options: {
+      width: width.value ?? (height.value ? null : DEFAULT_WIDTH),
+      height: height.value,
+      fit,
+      quality
+    }
+  };
+}
+
+/**
+ * Pick the best output format the client says it accepts. Without AVIF or
+ * WebP support PNG and GIF sources become PNG so transparency survives, and
+ * everything else becomes JPEG. The source is judged by its path so a cached
+ * variant can be found before the original is fetched.
+ * @param {string} accept - The request's Accept header
+ * @param {string} sourcePath - Path of the original image URL
+ * @returns {string} - avif, webp, png or jpeg
+ */
+function negotiateFormat(accept = '', sourcePath = '') {
+  const accepted = new Map(
+    String(accept).split(',').map(part => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return [type, q ? parseFloat(q.slice(2)) : 1];
+    })
+  );
+
+  const match = NEGOTIATED_FORMATS.find(({ contentType }) => accepted.get(contentType) > 0);
+  if (match) return match.format;
+
+  return /\.(png|gif)$/i.test(sourcePath) ? 'png' : 'jpeg';
+}
+
+/**
+ * Resize an image. Images are never enlarged, so asking for a thumbnail
+ * bigger than the original returns it at its own size, re-encoded.
+ * @param {Buffer} data - Original image bytes
+ * @param {object} options - width, height, fit, quality, format
+ * @returns {Promise<object>} - { data, contentType, width, height }
+ */
+async function createThumbnail(data, { width, height, fit, quality, format }) {
+  const pipeline = sharp(data, { failOn: 'error' })
+    // Apply EXIF orientation before the metadata is dropped
+    .rotate()
+    .resize({
+      width: width || undefined,
+      height: height || undefined,
+      fit,
+      withoutEnlargement: true
+    });
+
+  const encoded = format === 'png'
+    ? pipeline.png({ quality, palette: quality < 100 })
+    : pipeline.toFormat(format, { quality });
+
+  const { data: output, info } = await encoded.toBuffer({ resolveWithObject: true });
+  return {
+    data: output,
+    contentType: CONTENT_TYPES[format],
+    width: info.width,
+    height: info.height
+  };
+}
+
+module.exports = {
+  FITS,
+  MIN_DIMENSION,
+  MAX_DIMENSION,
+  parseThumbnailOptions,
+  negotiateFormat,
+  createThumbnail
+};
\ No newline at end of file
@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+const { parseThumbnailOptions, negotiateFormat, createThumbnail, MAX_DIMENSION } = require('./thumbnails');
+
+describe('parseThumbnailOptions', () => {
+  it('defaults to a 300 pixel wide cover crop at quality 70', () => {
+    expect(parseThumbnailOptions({})).toEqual({ options: { width: 300, height: null, fit: 'cover', quality: 70 } });
+  });
+
+  it('accepts size as the old name for width', () => {
+    expect(parseThumbnailOptions({ size: '640' }).options.width).toBe(640);
+    expect(parseThumbnailOptions({ size: '640', width: '320' }).options.width).toBe(320);
+  });
+
+  it('leaves width to the aspect ratio when only height is given', () => {
+    expect(parseThumbnailOptions({ height: '200' }).options).toMatchObject({ width: null, height: 200 });
+  });
+
+  it('reads fit and quality', () => {
+    expect(parseThumbnailOptions({ width: '16', height: String(MAX_DIMENSION), fit: 'inside', quality: '100' }))
+      .toEqual({ options: { width: 16, height: MAX_DIMENSION, fit: 'inside', quality: 100 } });
+  });
+
+  it.each([
+    [{ width: '15' }, `width must be a whole number between 16 and ${MAX_DIMENSION}`],
+    [{ width: String(MAX_DIMENSION + 1) }, `width must be a whole number between 16 and ${MAX_DIMENSION}`],
+    [{ size: '10.5' }, `width must be a whole number between 16 and ${MAX_DIMENSION}`],
+    [{ height: 'tall' }, `height must be a whole number between 16 and ${MAX_DIMENSION}`],
+    [{ fit: 'stretch' }, 'fit must be one of: cover, contain, fill, inside, outside'],
+    [{ quality: '0' }, 'quality must be a whole number between 1 and 100'],
+    [{ quality: '101' }, 'quality must be a whole number between 1 and 100']
+  ])('refuses %j', (query, error) => {
+    expect(parseThumbnailOptions(query)).toEqual({ error });
+  });
+});
+
+describe('negotiateFormat', () => {
+  it.each([
+    ['image/avif,image/webp,*/*', '/x.jpg', 'avif'],
+    ['image/webp,*/*', '/x.jpg', 'webp'],
+    ['image/avif;q=0,image/webp,*/*', '/x.jpg', 'webp'],
+    ['image/avif; q=0, image/webp;q=0.5', '/x.jpg', 'webp'],
+    ['image/avif;q=0,image/webp;q=0', '/x.jpg', 'jpeg'],
+    ['*/*', '/x.jpg', 'jpeg'],
+    ['', '/x.jpg', 'jpeg'],
+    [undefined, '/x.jpg', 'jpeg'],
+    ['*/*', '/x.png', 'png'],
+    ['*/*', '/X.GIF', 'png'],
+    ['image/webp', '/x.png', 'webp']
+  ])('Accept %j for %s gives %s', (accept, sourcePath, format) => {
+    expect(negotiateFormat(accept, sourcePath)).toBe(format);
+  });
+});
+
+describe('createThumbnail', () => {
+  let source;
+
+  beforeAll(async () => {
+    source = await sharp({
+      create: { width: 400, height: 200, channels: 4, background: { r: 200, g: 40, b: 40, alpha: 0.5 } }
+    }).png().toBuffer();
+  });
+
+  it.each([
+    ['jpeg', 'image/jpeg'],
+    ['webp', 'image/webp'],
+    ['png', 'image/png']
+  ])('encodes %s', async (format, contentType) => {
+    const thumbnail = await createThumbnail(source, { width: 100, height: null, fit: 'cover', quality: 70, format });
+
+    expect(thumbnail).toMatchObject({ contentType, width: 100, height: 50 });
+    expect((await sharp(thumbnail.data).metadata()).format).toBe(format);
+  });
+
+  it('crops to both dimensions with cover', async () => {
+    const thumbnail = await createThumbnail(source, { width: 50, height: 50, fit: 'cover', quality: 70, format: 'jpeg' });
+
+    expect(thumbnail).toMatchObject({ width: 50, height: 50 });
+  });
+
+  it('never enlarges', async () => {
+    const thumbnail = await createThumbnail(source, { width: 800, height: null, fit: 'cover', quality: 70, format: 'jpeg' });
+
+    expect(thumbnail).toMatchObject({ width: 400, height: 200 });
+  });
+
+  it('rejects bytes that are not an image', async () => {
+    await expect(createThumbnail(Buffer.from('not an image'), { width: 100, fit: 'cover', quality: 70, format: 'jpeg' }))
+      .rejects.toThrow();
+  });
+});
@@ -0,0 +1,21 @@
+const nasaApi = require('./nasaApi');
+const { createWatchlistStoreFromEnv } = require('./watchlistStore');
+const { WatchlistMonitor } = require('./watchlistMonitor');
+
+/**
+ * Shared watchlist store and monitor for the routes and the server
+ */
+
+const store = createWatchlistStoreFromEnv();
+
+const monitor = new WatchlistMonitor({
+  store,
+  nasaApi,
+  intervalMinutes: parseFloat(process.env.WATCHLIST_CHECK_INTERVAL_MINUTES) || 60,
+  lookaheadDays: parseInt(process.env.WATCHLIST_LOOKAHEAD_DAYS) || 365
+});
+
+// Threshold used when an entry is added without one
+const DEFAULT_THRESHOLD_LD = parseFloat(process.env.WATCHLIST_DEFAULT_THRESHOLD_LD) || 10;
+
+module.exports = { store, monitor, DEFAULT_THRESHOLD_LD };
\ No newline at end of file
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger').child({ component: 'watchlist' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periodically re-checks watched asteroids and raises an alert for every
+ * upcoming Earth approach closer than the entry's threshold.
+ *
+ * Each approach alerts once; the store remembers which were raised. New
+ * alerts are also emitted as 'alert' events for live delivery.
+ */
+class WatchlistMonitor extends EventEmitter {
+  /**
+   * @param {object} options - store, nasaApi, intervalMinutes, lookaheadDays,
+   *                           clock (returns the current Date)
+   */
+  constructor({ store, nasaApi, intervalMinutes = 60, lookaheadDays = 365, clock = () => new Date() }) {
+    super();
+    this.store = store;
+    this.nasaApi = nasaApi;
+    this.intervalMs = intervalMinutes * 60 * 1000;
+    this.lookaheadDays = lookaheadDays;
+    this.clock = clock;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.checkInBackground(), this.intervalMs);
+    this.timer.unref();
+    this.checkInBackground();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scheduled runs have no caller to report to; an unhandled rejection here
+   * would take the whole server down, so failures are only logged
+   */
+  checkInBackground() {
+    return this.checkAll().catch((error) => {
+      logger.error('Watchlist check run failed', { error });
+    });
+  }
+
+  /**
+   * Check every enabled entry, one at a time to go easy on the NASA quota.
+   * An entry that fails (e.g. the store can't be written) counts as an error
+   * and the run moves on to the next one.
+   * @returns {object} - { checked, alerts, errors }, or null if a run is already in progress
+   */
+  async checkAll() {
+    if (this.running) return null;
+    this.running = true;
+
+    const result = { checked: 0, alerts: 0, errors: 0 };
+    try {
+      for (const entry of this.store.list().filter(candidate => candidate.enabled)) {
+        result.checked++;
+        try {
+          const { alerts, error } = await this.checkEntry(entry);
+          result.alerts += alerts.length;
+          if (error) result.errors++;
+        } catch (error) {
+          logger.error('Watchlist entry check failed', { asteroid_id: entry.asteroid_id, error });
+          result.errors++;
+        }
+      }
+    } finally {
+      this.running = false;
+      this.lastRun = this.clock().toISOString();
+      this.lastResult = result;
+    }
+
+    logger.info('Watchlist checked', result);
+    return result;
+  }
+
+  /**
+   * Refresh one entry's next approach and raise alerts for close ones
+   * @returns {object} - { entry, alerts, error }
+   */
+  async checkEntry(entry) {
+    const now = this.clock();
+    const today = now.toISOString().split('T')[0];
+    const horizon = new Date(now.getTime() + this.lookaheadDays * DAY_MS).toISOString().split('T')[0];
+
+    let data;
+    try {
+      data = await this.nasaApi.getNearEarthObjectById(entry.asteroid_id);
+    } catch (error) {
+      logger.warn('Watchlist check failed', { asteroid_id: entry.asteroid_id, error });
+      const updated = this.store.update(entry.id, { last_checked: now.toISOString(), last_error: error.message });
+      return { entry: updated, alerts: [], error };
+    }
+
+    // NeoWs leaves close_approach_data out for some objects
+    const approaches = (data.close_approach_data || [])
+      .filter(approach => approach.orbiting_body === 'Earth')
+      .filter(approach => approach.close_approach_date >= today && approach.close_approach_date <= horizon)
+      .map(approach => ({
+        date: approach.close_approach_date,
+        distance_ld: parseFloat(approach.miss_distance?.lunar),
+        distance_km: parseFloat(approach.miss_distance?.kilometers),
+        velocity_kmh: parseFloat(approach.relative_velocity?.kilometers_per_hour)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const alerts = approaches
+      .filter(approach => approach.distance_ld <= entry.threshold_ld)
+      .filter(approach => !this.store.hasAlert(entry.id, approach.date))
+      .map(approach => this.store.addAlert({
+        watch_id: entry.id,
+        asteroid_id: entry.asteroid_id,
+        name: data.name,
+        threshold_ld: entry.threshold_ld,
+        approach,
+        message: `${data.name} passes ${approach.distance_ld.toFixed(2)} LD from Earth on ${approach.date} (threshold ${entry.threshold_ld} LD)`
+      }));
+
+    const updated = this.store.update(entry.id, {
+      name: data.name,
+      last_checked: now.toISOString(),
+      last_error: null,
+      next_approach: approaches[0] || null
+    });
+
+    alerts.forEach(alert => {
+      logger.info('Watchlist alert raised', { asteroid_id: alert.asteroid_id, approach_date: alert.approach.date });
+      this.emit('alert', alert);
+    });
+
+    return { entry: updated, alerts, error: null };
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      interval_minutes: this.intervalMs / 60000,
+      lookahead_days: this.lookaheadDays,
+      last_run: this.lastRun,
+      last_result: this.lastResult
+    };
+  }
+}
+
+module.exports = { WatchlistMonitor };
\ No newline at end of file
@@ -0,0 +1,109 @@
+jest.mock('../utils/logger', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  logger.child = () => logger;
+  return logger;
+});
+
+const { WatchlistMonitor } = require('./watchlistMonitor');
+
+const NOW = new Date('2024-06-10T00:00:00Z');
+
+/**
+ * In-memory stand-in for WatchlistStore
+ */
+function stubStore(entries) {
+  const alerts = [];
+  return {
+    list: jest.fn(() => entries),
+    update: jest.fn((id, fields) => ({ ...entries.find(entry => entry.id === id), ...fields })),
+    hasAlert: jest.fn((watchId, date) => alerts.some(alert => alert.watch_id === watchId && alert.approach.date === date)),
+    addAlert: jest.fn((fields) => {
+      const alert = { id: `alert-${alerts.length + 1}`, ...fields };
+      alerts.push(alert);
+      return alert;
+    })
+  };
+}
+
+const approach = (date, lunar) => ({
+  close_approach_date: date,
+  orbiting_body: 'Earth',
+  miss_distance: { lunar: String(lunar), kilometers: String(lunar * 384400) },
+  relative_velocity: { kilometers_per_hour: '50000' }
+});
+
+const entries = [
+  { id: 'w1', asteroid_id: '3542519', threshold_ld: 5, enabled: true },
+  { id: 'w2', asteroid_id: '2099942', threshold_ld: 5, enabled: true }
+];
+
+describe('WatchlistMonitor', () => {
+  it('raises alerts for close approaches inside the lookahead window', async () => {
+    const store = stubStore(entries.slice(0, 1));
+    const nasaApi = {
+      getNearEarthObjectById: jest.fn().mockResolvedValue({
+        name: '(2010 PK9)',
+        close_approach_data: [approach('2024-05-01', 1), approach('2024-07-01', 3), approach('2024-08-01', 20)]
+      })
+    };
+    const monitor = new WatchlistMonitor({ store, nasaApi, clock: () => NOW });
+
+    const { entry, alerts } = await monitor.checkEntry(entries[0]);
+
+    expect(alerts.map(alert => alert.approach.date)).toEqual(['2024-07-01']);
+    expect(entry.next_approach).toMatchObject({ date: '2024-07-01', distance_ld: 3 });
+  });
+
+  it('treats a missing close_approach_data as no approaches', async () => {
+    const store = stubStore(entries.slice(0, 1));
+    const nasaApi = { getNearEarthObjectById: jest.fn().mockResolvedValue({ name: '(2010 PK9)' }) };
+    const monitor = new WatchlistMonitor({ store, nasaApi, clock: () => NOW });
+
+    const { entry, alerts, error } = await monitor.checkEntry(entries[0]);
+
+    expect(alerts).toEqual([]);
+    expect(error).toBeNull();
+    expect(entry.next_approach).toBeNull();
+  });
+
+  it('counts an entry that throws as an error and checks the rest', async () => {
+    const store = stubStore(entries);
+    store.update.mockImplementationOnce(() => {
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    });
+    const nasaApi = {
+      getNearEarthObjectById: jest.fn().mockResolvedValue({ name: 'x', close_approach_data: [approach('2024-07-01', 1)] })
+    };
+    const monitor = new WatchlistMonitor({ store, nasaApi, clock: () => NOW });
+
+    expect(await monitor.checkAll()).toEqual({ checked: 2, alerts: 1, errors: 1 });
+    expect(monitor.running).toBe(false);
+  });
+
+  it('never lets a scheduled run reject', async () => {
+    const store = stubStore(entries);
+    store.list.mockImplementation(() => {
+      throw new Error('store unreadable');
+    });
+    const monitor = new WatchlistMonitor({ store, nasaApi: {}, clock: () => NOW });
+
+    await expect(monitor.checkInBackground()).resolves.toBeUndefined();
+    expect(monitor.running).toBe(false);
+  });
+
+  it('checks once on start and then on its interval', () => {
+    jest.useFakeTimers();
+    try {
+      const monitor = new WatchlistMonitor({ store: stubStore([]), nasaApi: {}, intervalMinutes: 1, clock: () => NOW });
+      const check = jest.spyOn(monitor, 'checkInBackground').mockResolvedValue();
+
+      monitor.start();
+      jest.advanceTimersByTime(2 * 60 * 1000);
+      monitor.stop();
+
+      expect(check).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
\ No newline at end of file
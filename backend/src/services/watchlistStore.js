@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ component: 'watchlist' });
+
+const DEFAULT_PATH = path.join(os.tmpdir(), 'nasa-mission-control', 'watchlist.json');
+// Acknowledged alerts beyond this are dropped oldest first
+const MAX_ACKNOWLEDGED_ALERTS = 200;
+
+/**
+ * Watched asteroids and the alerts raised for them, kept in one JSON file.
+ *
+ * The whole document is small, so it is held in memory and rewritten on
+ * every change. Writes go to a temporary file that is renamed over the old
+ * one, so a crash mid-write never leaves a truncated watchlist.
+ */
+class WatchlistStore {
+  constructor({ filePath = DEFAULT_PATH } = {}) {
+    this.filePath = filePath;
+    this.data = { entries: [], alerts: [] };
+    this.load();
+  }
+
+  load() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.data = {
+        entries: Array.isArray(parsed.entries) ? parsed.entries : [],
+        alerts: Array.isArray(parsed.alerts) ? parsed.alerts : []
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read watchlist, starting empty', { path: this.filePath, error });
+      }
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  list() {
+    return this.data.entries;
+  }
+
+  get(id) {
+    return this.data.entries.find(entry => entry.id === id) || null;
+  }
+
+  findByAsteroid(asteroidId) {
+    return this.data.entries.find(entry => entry.asteroid_id === asteroidId) || null;
+  }
+
+  /**
+   * Watch an asteroid
+   * @param {object} fields - asteroid_id, name, threshold_ld, label
+   * @returns {object} - New entry
+   */
+  add({ asteroid_id, name, threshold_ld, label = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      asteroid_id,
+      name,
+      label,
+      threshold_ld,
+      enabled: true,
+      created_at: new Date().toISOString(),
+      last_checked: null,
+      last_error: null,
+      next_approach: null
+    };
+
+    this.data.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Merge fields into an entry
+   * @returns {object|null} - Updated entry, or null if it does not exist
+   */
+  update(id, fields) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    Object.assign(entry, fields);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Stop watching an asteroid; its alerts go with it
+   * @returns {boolean} - Whether the entry existed
+   */
+  remove(id) {
+    const before = this.data.entries.length;
+    this.data.entries = this.data.entries.filter(entry => entry.id !== id);
+    if (this.data.entries.length === before) return false;
+
+    this.data.alerts = this.data.alerts.filter(alert => alert.watch_id !== id);
+    this.save();
+    return true;
+  }
+
+  listAlerts({ unacknowledged = false } = {}) {
+    const alerts = unacknowledged
+      ? this.data.alerts.filter(alert => !alert.acknowledged_at)
+      : this.data.alerts;
+    return [...alerts].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Whether an alert was already raised for this approach of a watched object
+   */
+  hasAlert(watchId, approachDate) {
+    return this.data.alerts.some(alert => alert.watch_id === watchId && alert.approach.date === approachDate);
+  }
+
+  addAlert(fields) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ...fields,
+      created_at: new Date().toISOString(),
+      acknowledged_at: null
+    };
+
+    this.data.alerts.push(alert);
+    this.save();
+    return alert;
+  }
+
+  /**
+   * @returns {object|null} - Acknowledged alert, or null if it does not exist
+   */
+  acknowledgeAlert(id) {
+    const alert = this.data.alerts.find(candidate => candidate.id === id);
+    if (!alert) return null;
+
+    if (!alert.acknowledged_at) {
+      alert.acknowledged_at = new Date().toISOString();
+      this.pruneAcknowledged();
+      this.save();
+    }
+    return alert;
+  }
+
+  pruneAcknowledged() {
+    const acknowledged = this.data.alerts
+      .filter(alert => alert.acknowledged_at)
+      .sort((a, b) => b.acknowledged_at.localeCompare(a.acknowledged_at));
+    const dropped = new Set(acknowledged.slice(MAX_ACKNOWLEDGED_ALERTS).map(alert => alert.id));
+
+    if (dropped.size > 0) {
+      this.data.alerts = this.data.alerts.filter(alert => !dropped.has(alert.id));
+    }
+  }
+}
+
+/**
+ * Build the store at WATCHLIST_PATH, or a file under the OS temp directory
+ */
+function createWatchlistStoreFromEnv() {
+  return new WatchlistStore({ filePath: process.env.WATCHLIST_PATH || DEFAULT_PATH });
+}
+
+module.exports = { WatchlistStore, createWatchlistStoreFromEnv };
\ No newline at end of file
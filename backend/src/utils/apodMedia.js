@@ -0,0 +1,52 @@
+/**
+ * APOD media type helpers for NASA Mission Control API
+ */
+
+const MEDIA_TYPES = ['image', 'video', 'other'];
+
+const VIDEO_URL = /(youtube(-nocookie)?\.com|youtu\.be|vimeo\.com)\/|\.(mp4|webm|ogv|mov|m4v)([?#]|$)/i;
+const IMAGE_URL = /\.(jpe?g|png|gif|webp|avif|tiff?|bmp|svg)([?#]|$)/i;
+
+/**
+ * Work out an APOD's media type. NASA's field is usually right, but older
+ * entries have it missing or in odd case, so fall back to the URL.
+ * @param {object} apod - APOD object as returned by NASA
+ * @returns {string} - One of MEDIA_TYPES
+ */
+function normalizeMediaType(apod) {
+  const stated = String(apod.media_type || '').trim().toLowerCase();
+  if (stated === 'image' || stated === 'video') {
+    return stated;
+  }
+
+  const url = apod.url || '';
+  if (VIDEO_URL.test(url)) return 'video';
+  if (IMAGE_URL.test(url)) return 'image';
+  return 'other';
+}
+
+/**
+ * Normalise one APOD or an array of them
+ * @param {object|Array<object>} data - NASA APOD response
+ * @returns {object|Array<object>} - Same shape, with media_type and thumbnail_url always set
+ */
+function normalizeApod(data) {
+  if (Array.isArray(data)) {
+    return data.map(normalizeApod);
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  return {
+    ...data,
+    media_type: normalizeMediaType(data),
+    thumbnail_url: data.thumbnail_url || null
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  normalizeMediaType,
+  normalizeApod
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Concurrency helpers for NASA Mission Control API
+ */
+
+/**
+ * Run an async function over items with at most `limit` calls in flight.
+ * Never rejects: every item gets a settled result, like Promise.allSettled.
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - [{ status: 'fulfilled', value } | { status: 'rejected', reason }] in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
\ No newline at end of file
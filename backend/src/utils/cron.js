@@ -0,0 +1,121 @@
+/**
+ * Cron expression helpers for NASA Mission Control API
+ *
+ * Standard five fields (minute hour day-of-month month day-of-week) with
+ * `*`, lists, ranges and steps, e.g. `15 5 * * *` or `0 0-23/6 * * 1-5`.
+ * Names (MON, JAN) and seconds are not supported. Times are UTC, matching
+ * the UTC dates the NASA APIs are keyed by.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+// Give up on expressions that never match, like `0 0 31 2 *`
+const SEARCH_LIMIT_DAYS = 5 * 366;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${text}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const low = range === '*' ? min : parseInt(start, 10);
+    const high = range === '*' ? max : end !== undefined ? parseInt(end, 10) : step ? max : low;
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (low < min || high > max || low > high) {
+      throw new Error(`Invalid cron ${name} "${text}": values must be ${min}-${max}`);
+    }
+    if (increment < 1) {
+      throw new Error(`Invalid cron ${name} "${text}": step must be at least 1`);
+    }
+
+    for (let value = low; value <= high; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. `15 5 * * *`
+ * @returns {object} - Sets of allowed values per field
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const schedule = Object.fromEntries(FIELDS.map((field, index) => [field.name, parseField(parts[index], field)]));
+
+  // Sunday is both 0 and 7
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  // Like cron, a day matches either day field when both are restricted
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  schedule.expression = parts.join(' ');
+
+  return schedule;
+}
+
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * First minute strictly after `after` that the schedule matches
+ * @param {object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} after - Starting point
+ * @returns {Date|null} - Null if nothing matches within five years
+ */
+function nextRun(schedule, after) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + SEARCH_LIMIT_DAYS * 24 * 60 * MINUTE_MS;
+
+  // Skip whole months, days and hours that cannot match
+  while (date.getTime() <= limit) {
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setTime(date.getTime() + MINUTE_MS);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { parseCron, nextRun } = require('./cron');
+
+const at = (iso) => new Date(iso);
+const next = (expression, after) => nextRun(expression, at(after)).toISOString();
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const schedule = parseCron('0,30 0-23/6 1-5 */4 *');
+
+    expect([...schedule.minute]).toEqual([0, 30]);
+    expect([...schedule.hour]).toEqual([0, 6, 12, 18]);
+    expect([...schedule.dayOfMonth]).toEqual([1, 2, 3, 4, 5]);
+    expect([...schedule.month]).toEqual([1, 5, 9]);
+    expect(schedule.dayOfWeek.size).toBe(8);
+  });
+
+  it('runs a step from a single start value to the end of the field', () => {
+    expect([...parseCron('10/20 * * * *').minute]).toEqual([10, 30, 50]);
+  });
+
+  it('treats day-of-week 7 as Sunday', () => {
+    const schedule = parseCron('0 0 * * 7');
+    expect(schedule.dayOfWeek.has(0)).toBe(true);
+  });
+
+  it('records which day fields are unrestricted and normalises whitespace', () => {
+    const schedule = parseCron('  15   5 * *  1 ');
+
+    expect(schedule.anyDayOfMonth).toBe(true);
+    expect(schedule.anyDayOfWeek).toBe(false);
+    expect(schedule.expression).toBe('15 5 * * 1');
+  });
+
+  it.each([
+    ['0 0 * *', /expected 5 fields/],
+    ['0 0 * * * *', /expected 5 fields/],
+    ['60 * * * *', /minute "60": values must be 0-59/],
+    ['* 24 * * *', /hour "24"/],
+    ['* * 0 * *', /dayOfMonth "0"/],
+    ['* * * 13 *', /month "13"/],
+    ['* * * * 8', /dayOfWeek "8"/],
+    ['5-2 * * * *', /minute "5-2"/],
+    ['*/0 * * * *', /step must be at least 1/],
+    ['* * * * MON', /Invalid cron dayOfWeek "MON"/],
+    ['1,,2 * * * *', /Invalid cron minute/]
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('nextRun', () => {
+  it('returns the first matching minute strictly after the given time', () => {
+    expect(next('*/15 * * * *', '2024-06-10T10:07:00Z')).toBe('2024-06-10T10:15:00.000Z');
+    expect(next('*/15 * * * *', '2024-06-10T10:15:00Z')).toBe('2024-06-10T10:30:00.000Z');
+    expect(next('*/15 * * * *', '2024-06-10T10:14:59.999Z')).toBe('2024-06-10T10:15:00.000Z');
+  });
+
+  it('accepts a parsed schedule as well as an expression', () => {
+    expect(nextRun(parseCron('15 5 * * *'), at('2024-06-10T00:00:00Z')).toISOString()).toBe('2024-06-10T05:15:00.000Z');
+  });
+
+  it('follows hour steps over a range', () => {
+    expect(next('0 0-23/6 * * *', '2024-06-10T07:00:00Z')).toBe('2024-06-10T12:00:00.000Z');
+    expect(next('30 */6 * * *', '2024-06-10T18:30:00Z')).toBe('2024-06-11T00:30:00.000Z');
+  });
+
+  it('rolls over to the next day, month and year', () => {
+    expect(next('30 23 * * *', '2024-06-10T23:45:00Z')).toBe('2024-06-11T23:30:00.000Z');
+    expect(next('0 0 1 * *', '2024-01-31T12:00:00Z')).toBe('2024-02-01T00:00:00.000Z');
+    expect(next('0 0 1 1 *', '2024-12-31T23:59:00Z')).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('skips months that lack the day', () => {
+    expect(next('0 0 31 * *', '2024-04-01T00:00:00Z')).toBe('2024-05-31T00:00:00.000Z');
+    expect(next('0 12 29 2 *', '2025-03-01T00:00:00Z')).toBe('2028-02-29T12:00:00.000Z');
+  });
+
+  it('skips months outside the schedule', () => {
+    expect(next('0 0 * 3 *', '2024-06-10T00:00:00Z')).toBe('2025-03-01T00:00:00.000Z');
+  });
+
+  it('matches day-of-week ranges', () => {
+    // 2024-06-01 is a Saturday
+    expect(next('0 9 * * 1-5', '2024-06-01T10:00:00Z')).toBe('2024-06-03T09:00:00.000Z');
+    expect(next('0 0 * * 7', '2024-06-03T00:00:00Z')).toBe('2024-06-09T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted, like cron', () => {
+    // Friday the 6th comes before the 13th
+    expect(next('0 0 13 * 5', '2024-09-01T00:00:00Z')).toBe('2024-09-06T00:00:00.000Z');
+    expect(next('0 0 13 * 5', '2024-09-12T00:00:00Z')).toBe('2024-09-13T00:00:00.000Z');
+  });
+
+  it('needs both day fields to match when one is unrestricted', () => {
+    expect(next('0 0 13 * *', '2024-09-01T00:00:00Z')).toBe('2024-09-13T00:00:00.000Z');
+    expect(next('0 0 * * 5', '2024-09-01T00:00:00Z')).toBe('2024-09-06T00:00:00.000Z');
+  });
+
+  it('returns null for a schedule that never matches', () => {
+    expect(nextRun('0 0 31 2 *', at('2024-01-01T00:00:00Z'))).toBeNull();
+    expect(nextRun('0 0 30 2 *', at('2024-01-01T00:00:00Z'))).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * Saved-image helpers for NASA Mission Control collections
+ */
+
+const { MEDIA_TYPES } = require('./apodMedia');
+
+const MAX_TEXT_LENGTH = 10000;
+
+// The fields the dashboard stores for each kind of saved image; anything else is dropped
+const ITEM_FIELDS = {
+  apod: {
+    text: ['title', 'date', 'explanation', 'copyright'],
+    urls: ['url', 'hdurl', 'thumbnail_url']
+  },
+  epic: {
+    text: ['title', 'image', 'date'],
+    urls: ['url', 'image_url', 'thumbnail_url'],
+    required: 'url'
+  },
+  mars: {
+    text: ['title', 'earth_date'],
+    urls: ['img_src'],
+    required: 'img_src'
+  }
+};
+
+/**
+ * An https URL, or null. NASA still hands out some http:// links (e.g. Mars
+ * rover photos), so those are upgraded; every other scheme is refused.
+ * @param {*} value - Possible URL
+ * @returns {string|null}
+ */
+function httpsUrl(value) {
+  if (typeof value !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol === 'http:') {
+    parsed.protocol = 'https:';
+  }
+  if (parsed.protocol !== 'https:' || parsed.username || parsed.password) {
+    return null;
+  }
+  return parsed.href;
+}
+
+const text = (value) => (typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : undefined);
+const idValue = (value) => (typeof value === 'number' || typeof value === 'string' ? value : undefined);
+
+/**
+ * Rebuild a saved image from the fields its type is allowed to have
+ * @param {string} key - The item's key in the library, e.g. apod:2024-01-01
+ * @param {object} item - Item as sent by the client
+ * @returns {object|null} - Clean item, or null when it can't be a saved image
+ */
+function sanitizeItem(key, item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const fields = ITEM_FIELDS[item.type];
+  if (!fields || item.key !== key || !key.startsWith(`${item.type}:`)) return null;
+
+  const clean = { key, type: item.type };
+  fields.text.forEach(field => {
+    clean[field] = text(item[field]);
+  });
+  fields.urls.forEach(field => {
+    clean[field] = httpsUrl(item[field]) || undefined;
+  });
+
+  if (fields.required && !clean[fields.required]) return null;
+
+  if (item.type === 'apod') {
+    clean.media_type = MEDIA_TYPES.includes(item.media_type) ? item.media_type : 'other';
+  }
+  if (item.type === 'mars') {
+    clean.id = idValue(item.id);
+    clean.sol = typeof item.sol === 'number' ? item.sol : undefined;
+    clean.rover = { name: text(item.rover?.name) };
+    clean.camera = item.camera ? { name: text(item.camera.name), full_name: text(item.camera.full_name) } : undefined;
+  }
+
+  return clean;
+}
+
+/**
+ * Clean every item in a library, dropping the ones that aren't saved images
+ * @param {object} items - Items by key
+ * @returns {object} - Clean items by key
+ */
+function sanitizeItems(items) {
+  return Object.fromEntries(
+    Object.entries(items)
+      .map(([key, item]) => [key, sanitizeItem(key, item)])
+      .filter(([, item]) => item)
+  );
+}
+
+module.exports = {
+  httpsUrl,
+  sanitizeItem,
+  sanitizeItems
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+const { getRequestContext } = require('../middleware/requestContext');
+
+/**
+ * Structured logger for NASA Mission Control API
+ *
+ * Writes one JSON object per line. Entries logged while handling a request
+ * carry its request_id, so a browser request can be followed through its
+ * NASA calls and cache lookups.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+function resolveLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+}
+
+/**
+ * Turn Error instances into plain fields; JSON.stringify drops them otherwise
+ */
+function serializeError(error, includeStack) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(includeStack && error.stack && { stack: error.stack })
+  };
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.minLevel = LEVELS[resolveLevel()];
+  }
+
+  /**
+   * Logger that adds fixed fields to every entry, e.g. { component: 'proxy' }
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < this.minLevel) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      request_id: getRequestContext()?.requestId,
+      ...this.bindings
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value, level === 'error') : value;
+    }
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+module.exports = new Logger();
\ No newline at end of file
@@ -2,6 +2,9 @@
  * Validation utilities for NASA Mission Control API
  */
 
+// The first Astronomy Picture of the Day; NASA has nothing earlier
+const APOD_FIRST_DATE = '1995-06-16';
+
 /**
  * Validate date format (YYYY-MM-DD)
  * @param {string} dateString - Date string to validate
@@ -27,6 +30,15 @@ function validateDate(dateString) {
          date.getDate() === day;
 }
 
+/**
+ * Validate an APOD date: YYYY-MM-DD and no earlier than the first APOD
+ * @param {string} dateString - Date string to validate
+ * @returns {boolean} - True if NASA can have an APOD for this date
+ */
+function validateAPODDate(dateString) {
+  return validateDate(dateString) && dateString >= APOD_FIRST_DATE;
+}
+
 /**
  * Validate count parameter
  * @param {string|number} count - Count value to validate
@@ -191,7 +203,9 @@ function validateApiKey(apiKey) {
 }
 
 module.exports = {
+  APOD_FIRST_DATE,
   validateDate,
+  validateAPODDate,
   validateCount,
   validateSol,
   validateCamera,
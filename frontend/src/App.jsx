@@ -9,7 +9,9 @@ const Dashboard = React.lazy(() => import('./pages/Dashboard'))
 const APOD = React.lazy(() => import('./pages/APOD'))
 const MarsExplorer = React.lazy(() => import('./pages/MarsExplorer'))
 const AsteroidTracker = React.lazy(() => import('./pages/AsteroidTracker'))
+const AsteroidDetail = React.lazy(() => import('./pages/AsteroidDetail'))
 const EarthObservation = React.lazy(() => import('./pages/EarthObservation'))
+const Collections = React.lazy(() => import('./pages/Collections'))
 const NotFound = React.lazy(() => import('./pages/NotFound'))
 
 function App() {
@@ -24,7 +26,9 @@ function App() {
               <Route path="/apod" element={<APOD />} />
               <Route path="/mars" element={<MarsExplorer />} />
               <Route path="/asteroids" element={<AsteroidTracker />} />
+              <Route path="/asteroids/:id" element={<AsteroidDetail />} />
               <Route path="/earth" element={<EarthObservation />} />
+              <Route path="/collections" element={<Collections />} />
               <Route path="*" element={<NotFound />} />
             </Routes>
           </Suspense>
@@ -1,10 +1,16 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { useAppContext } from '../hooks/useAppContext'
 import StatusIndicator from './ui/StatusIndicator'
 import Badge from './ui/Badge'
 
 function Header({ onShowPerformance }) {
   const { state, actions } = useAppContext()
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000)
+    return () => clearInterval(interval)
+  }, [])
 
   const getStatusText = () => {
     if (!state.apiHealth) return 'Connecting...'
@@ -45,7 +51,7 @@ function Header({ onShowPerformance }) {
             <div className="text-center">
               <div className="text-sm text-gray-400">MISSION TIME</div>
               <div className="font-mono text-lg font-semibold">
-                {new Date().toLocaleTimeString('en-US', { 
+                {now.toLocaleTimeString('en-US', { 
                   hour12: false,
                   timeZone: 'UTC'
                 })} UTC
@@ -63,10 +69,19 @@ function Header({ onShowPerformance }) {
               showIcon={false}
             />
 
+            {/* Live stream connection */}
+            <Badge
+              variant={state.streamConnected ? 'success' : 'secondary'}
+              size="sm"
+              title={state.streamConnected ? 'Receiving live updates' : 'Live updates disconnected, reconnecting'}
+            >
+              {state.streamConnected ? 'LIVE' : 'OFFLINE'}
+            </Badge>
+
             {/* Notification count */}
-            {state.notifications.length > 0 && (
+            {state.notifications.length + state.alerts.length > 0 && (
               <Badge variant="error" size="sm">
-                {state.notifications.length}
+                {state.notifications.length + state.alerts.length}
               </Badge>
             )}
 
@@ -1,8 +1,9 @@
 import React from 'react'
+import { Link } from 'react-router-dom'
 import { useAppContext } from '../hooks/useAppContext'
 
 function NotificationCenter() {
-  const { state, actions } = useAppContext()
+  const { state, actions, api } = useAppContext()
 
   const getNotificationIcon = (type) => {
     switch (type) {
@@ -32,12 +33,56 @@ function NotificationCenter() {
     }
   }
 
-  if (state.notifications.length === 0) {
+  const acknowledgeAlert = async (alertId) => {
+    try {
+      await api.acknowledgeAlert(alertId)
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Could Not Acknowledge Alert',
+        message: error.message
+      })
+    }
+  }
+
+  if (state.notifications.length === 0 && state.alerts.length === 0) {
     return null
   }
 
   return (
     <div className="fixed top-20 right-4 z-50 space-y-2 max-w-sm">
+      {/* Watchlist alerts stay until acknowledged */}
+      {state.alerts.map((alert) => (
+        <div
+          key={alert.id}
+          className={`p-4 rounded-lg border backdrop-blur-sm shadow-lg ${getNotificationStyles('warning')}`}
+        >
+          <div className="flex items-start space-x-3">
+            <span className="text-xl flex-shrink-0">☄️</span>
+
+            <div className="flex-1 min-w-0">
+              <h4 className="font-semibold text-white">
+                Close Approach Alert
+              </h4>
+              <p className="text-sm mt-1 opacity-90">
+                {alert.message}
+              </p>
+              <div className="flex items-center space-x-4 mt-2 text-sm">
+                <Link to={`/asteroids/${alert.asteroid_id}`} className="underline hover:text-white">
+                  View asteroid
+                </Link>
+                <button
+                  onClick={() => acknowledgeAlert(alert.id)}
+                  className="underline hover:text-white"
+                >
+                  Acknowledge
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ))}
+
       {state.notifications.map((notification) => (
         <div
           key={notification.id}
@@ -34,6 +34,12 @@ const navigationItems = [
     path: '/earth',
     icon: '🌍',
     description: 'EPIC Imagery'
+  },
+  {
+    name: 'Collections',
+    path: '/collections',
+    icon: '⭐',
+    description: 'Favourites & Collections'
   }
 ]
 
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react'
+import { useAppContext } from '../../hooks/useAppContext'
+import MissionControlPanel from '../ui/MissionControlPanel'
+import SearchFilter from '../ui/SearchFilter'
+import SmartImage from '../ui/SmartImage'
+import Button from '../ui/Button'
+import Badge from '../ui/Badge'
+import LoadingSpinner from '../LoadingSpinner'
+import { apiService } from '../../services/api'
+
+const PAGE_SIZE = 12
+const RECENT_DAYS = 30
+
+// Prefer the backend's explanation (e.g. "Date range cannot exceed 100 days") over axios' generic one
+const errorMessage = (error) => error.response?.data?.message || error.message
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString().split('T')[0]
+
+/**
+ * Search params for the APOD filter chips and the fetched date range
+ */
+function searchParams(query, activeFilters, dateRange) {
+  const images = activeFilters.includes('image')
+  const videos = activeFilters.includes('video')
+  const recentStart = activeFilters.includes('recent') ? daysAgo(RECENT_DAYS) : null
+  const startDate = [dateRange?.start, recentStart].filter(Boolean).sort().pop()
+
+  return {
+    q: query,
+    mediaType: images !== videos ? (images ? 'image' : 'video') : undefined,
+    startDate,
+    endDate: dateRange?.end
+  }
+}
+
+function SearchResult({ apod, onSelect }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect?.(apod)}
+      className="w-full flex items-start space-x-4 p-3 rounded-lg bg-gray-800/50 hover:bg-gray-800 text-left transition-colors"
+    >
+      <div className="w-24 h-24 flex-shrink-0 rounded overflow-hidden bg-gray-900 flex items-center justify-center">
+        {apod.media_type === 'image' || apod.thumbnail_url ? (
+          <SmartImage.NASA
+            src={apod.media_type === 'image' ? apod.url : apod.thumbnail_url}
+            alt={apod.title}
+            className="w-full h-full object-cover"
+            sizes="96px"
+          />
+        ) : (
+          <span className="text-3xl">🎬</span>
+        )}
+      </div>
+      <div className="min-w-0 space-y-1">
+        <div className="flex items-center space-x-2">
+          <h4 className="font-semibold text-white truncate">{apod.title}</h4>
+          {apod.media_type !== 'image' && (
+            <Badge variant="info" size="sm">{apod.media_type.toUpperCase()}</Badge>
+          )}
+        </div>
+        <p className="text-xs text-gray-400 font-mono">
+          {apod.date}{apod.copyright && ` · © ${apod.copyright}`}
+        </p>
+        <p className="text-sm text-gray-300 line-clamp-3">{apod.snippet}</p>
+      </div>
+    </button>
+  )
+}
+
+function APODArchiveSearch({ onSelect, className = '' }) {
+  const { actions } = useAppContext()
+  const [query, setQuery] = useState('')
+  const [activeFilters, setActiveFilters] = useState([])
+  const [dateRange, setDateRange] = useState(null)
+  const [page, setPage] = useState(1)
+  const [result, setResult] = useState(null)
+  const [indexStats, setIndexStats] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [fetchingRange, setFetchingRange] = useState(false)
+
+  useEffect(() => {
+    const runSearch = async () => {
+      try {
+        setLoading(true)
+        const response = await apiService.apod.search({
+          ...searchParams(query, activeFilters, dateRange),
+          page,
+          limit: PAGE_SIZE
+        })
+        setResult(response.data)
+        setIndexStats(response.meta.index)
+      } catch (error) {
+        console.error('APOD search failed:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    runSearch()
+  }, [query, activeFilters, dateRange, page])
+
+  const handleSearch = (value) => {
+    setQuery(value)
+    setPage(1)
+  }
+
+  const handleFilter = (filters) => {
+    setActiveFilters(filters)
+    setPage(1)
+  }
+
+  // Fetching the range adds those days to the index before they are searched
+  const handleDateRange = async (start, end) => {
+    try {
+      setFetchingRange(true)
+      await apiService.apod.getRange(start, end)
+      setDateRange({ start, end })
+      setPage(1)
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Could Not Load Date Range',
+        message: errorMessage(error)
+      })
+    } finally {
+      setFetchingRange(false)
+    }
+  }
+
+  const clearDateRange = () => {
+    setDateRange(null)
+    setPage(1)
+  }
+
+  return (
+    <MissionControlPanel
+      title="SEARCH THE ARCHIVE"
+      subtitle={indexStats?.entries
+        ? `${indexStats.entries.toLocaleString()} days indexed, ${indexStats.earliest_date} to ${indexStats.latest_date}`
+        : 'Load a date range to start building the search index'}
+      status="operational"
+      className={className}
+    >
+      <div className="space-y-6">
+        <SearchFilter.APOD
+          onSearch={handleSearch}
+          onFilter={handleFilter}
+          onDateRange={handleDateRange}
+          searchValue={query}
+          activeFilters={activeFilters}
+        />
+
+        {(dateRange || fetchingRange) && (
+          <div className="flex items-center space-x-2 text-sm text-gray-400">
+            {fetchingRange ? (
+              <span>Loading date range into the index...</span>
+            ) : (
+              <>
+                <span>Dates:</span>
+                <Badge
+                  variant="info"
+                  size="sm"
+                  className="cursor-pointer hover:bg-red-500/20 hover:text-red-400 transition-colors"
+                  onClick={clearDateRange}
+                >
+                  {dateRange.start} – {dateRange.end} ×
+                </Badge>
+              </>
+            )}
+          </div>
+        )}
+
+        {loading && !result ? (
+          <LoadingSpinner message="Searching APOD archive..." />
+        ) : result?.results.length > 0 ? (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+            {result.results.map(apod => (
+              <SearchResult key={apod.date} apod={apod} onSelect={onSelect} />
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-6 text-gray-400">
+            {query
+              ? `No indexed APODs match "${query}". Load more dates to widen the search.`
+              : 'Nothing indexed for these filters yet'}
+          </div>
+        )}
+
+        {result?.pages > 1 && (
+          <div className="flex items-center justify-between text-sm text-gray-400">
+            <div>
+              Page {result.page} of {result.pages} · {result.total.toLocaleString()} matches
+            </div>
+            <div className="flex space-x-2">
+              <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={loading || page <= 1}>
+                ← Previous
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={loading || page >= result.pages}>
+                Next →
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </MissionControlPanel>
+  )
+}
+
+APODArchiveSearch.Result = SearchResult
+
+export default APODArchiveSearch
\ No newline at end of file
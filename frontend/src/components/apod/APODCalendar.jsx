@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { clsx } from 'clsx'
+import MissionControlPanel from '../ui/MissionControlPanel'
+import SmartImage from '../ui/SmartImage'
+import Button from '../ui/Button'
+import Input from '../ui/Input'
+import LoadingSpinner from '../LoadingSpinner'
+import { apiService } from '../../services/api'
+import { APOD_FIRST_DATE, apodToday, daysInMonth, isoDate, monthRange } from '../../utils/apod'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+const FIRST_YEAR = Number(APOD_FIRST_DATE.slice(0, 4))
+const FIRST_MONTH = Number(APOD_FIRST_DATE.slice(5, 7)) - 1
+
+// Prefer the backend's explanation (e.g. "APOD dates start at 1995-06-16...") over axios' generic one
+const errorMessage = (error) => error.response?.data?.message || error.message
+
+function DayTile({ day, date, apod, disabled, onSelect }) {
+  if (disabled || !apod) {
+    return (
+      <div
+        className={clsx(
+          'aspect-square rounded-lg p-1.5 text-xs font-mono',
+          disabled ? 'text-gray-700' : 'bg-gray-800/30 text-gray-500'
+        )}
+        title={disabled ? undefined : `No APOD for ${date}`}
+      >
+        {day}
+      </div>
+    )
+  }
+
+  const video = apod.media_type !== 'image'
+  const thumbnail = video ? apod.thumbnail_url : apod.url
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect?.(apod)}
+      title={`${date} · ${apod.title}`}
+      className={clsx(
+        'relative aspect-square rounded-lg overflow-hidden bg-gray-900 group focus:outline-none focus:ring-2 focus:ring-space-500',
+        video && 'ring-1 ring-purple-500/60'
+      )}
+    >
+      {thumbnail ? (
+        <SmartImage.NASA
+          src={thumbnail}
+          alt={apod.title}
+          className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
+          sizes="(min-width: 1024px) 140px, 14vw"
+        />
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-2xl">🎬</div>
+      )}
+
+      <span className="absolute top-1 left-1 px-1 rounded bg-black/70 text-xs font-mono text-white">{day}</span>
+
+      {video && (
+        <span className="absolute bottom-1 right-1 px-1 rounded bg-purple-600/90 text-[10px] font-semibold text-white">
+          ▶ VIDEO
+        </span>
+      )}
+    </button>
+  )
+}
+
+function APODCalendar({ onSelect, className = '' }) {
+  const today = apodToday()
+  const currentYear = Number(today.slice(0, 4))
+  const currentMonth = Number(today.slice(5, 7)) - 1
+
+  const [year, setYear] = useState(currentYear)
+  const [month, setMonth] = useState(currentMonth)
+  const [apods, setApods] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  // Months already fetched, keyed YYYY-MM; past months never change
+  const cache = useRef(new Map())
+
+  useEffect(() => {
+    const key = isoDate(year, month, 1).slice(0, 7)
+    let cancelled = false
+
+    const loadMonth = async () => {
+      if (cache.current.has(key)) {
+        setApods(cache.current.get(key))
+        setError(null)
+        setLoading(false)
+        return
+      }
+
+      try {
+        setLoading(true)
+        setError(null)
+        const { start, end } = monthRange(year, month)
+        const response = await apiService.apod.getRange(start, end)
+        const byDate = Object.fromEntries(response.data.map(apod => [apod.date, apod]))
+
+        // The current month fills in day by day, so only cache finished months
+        if (end < today) {
+          cache.current.set(key, byDate)
+        }
+        if (!cancelled) setApods(byDate)
+      } catch (loadError) {
+        if (!cancelled) {
+          setApods({})
+          setError(errorMessage(loadError))
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadMonth()
+    return () => {
+      cancelled = true
+    }
+  }, [year, month])
+
+  const atFirstMonth = year === FIRST_YEAR && month === FIRST_MONTH
+  const atCurrentMonth = year === currentYear && month === currentMonth
+
+  // Keep the month in range when the year select jumps to 1995 or the current year
+  const goTo = (nextYear, nextMonth) => {
+    const clampedYear = Math.min(Math.max(nextYear, FIRST_YEAR), currentYear)
+    let clampedMonth = nextMonth
+    if (clampedYear === FIRST_YEAR) clampedMonth = Math.max(clampedMonth, FIRST_MONTH)
+    if (clampedYear === currentYear) clampedMonth = Math.min(clampedMonth, currentMonth)
+
+    setYear(clampedYear)
+    setMonth(clampedMonth)
+  }
+
+  const stepMonth = (delta) => {
+    const index = year * 12 + month + delta
+    goTo(Math.floor(index / 12), index % 12)
+  }
+
+  const years = Array.from({ length: currentYear - FIRST_YEAR + 1 }, (_, index) => currentYear - index)
+  const leadingBlanks = new Date(Date.UTC(year, month, 1)).getUTCDay()
+  const days = Array.from({ length: daysInMonth(year, month) }, (_, index) => index + 1)
+
+  return (
+    <MissionControlPanel
+      title="APOD CALENDAR"
+      subtitle="Browse the archive a month at a time, back to the first picture in June 1995"
+      status="operational"
+      className={className}
+      headerActions={
+        <div className="flex items-center space-x-2">
+          <Button variant="outline" size="sm" onClick={() => stepMonth(-1)} disabled={atFirstMonth || loading}>
+            ←
+          </Button>
+          <Input.Select
+            value={month}
+            onChange={(event) => goTo(year, Number(event.target.value))}
+            aria-label="Month"
+          >
+            {MONTHS.map((name, index) => (
+              <option
+                key={name}
+                value={index}
+                disabled={(year === FIRST_YEAR && index < FIRST_MONTH) || (year === currentYear && index > currentMonth)}
+              >
+                {name}
+              </option>
+            ))}
+          </Input.Select>
+          <Input.Select
+            value={year}
+            onChange={(event) => goTo(Number(event.target.value), month)}
+            aria-label="Year"
+          >
+            {years.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Input.Select>
+          <Button variant="outline" size="sm" onClick={() => stepMonth(1)} disabled={atCurrentMonth || loading}>
+            →
+          </Button>
+        </div>
+      }
+    >
+      {error ? (
+        <div className="text-center py-8 text-red-400">{error}</div>
+      ) : loading ? (
+        <LoadingSpinner message={`Loading ${MONTHS[month]} ${year}...`} />
+      ) : (
+        <div className="grid grid-cols-7 gap-2">
+          {WEEKDAYS.map(weekday => (
+            <div key={weekday} className="text-center text-xs font-semibold text-gray-400 uppercase">
+              {weekday}
+            </div>
+          ))}
+
+          {Array.from({ length: leadingBlanks }, (_, index) => (
+            <div key={`blank-${index}`} />
+          ))}
+
+          {days.map(day => {
+            const date = isoDate(year, month, day)
+            return (
+              <DayTile
+                key={date}
+                day={day}
+                date={date}
+                apod={apods[date]}
+                disabled={date < APOD_FIRST_DATE || date > today}
+                onSelect={onSelect}
+              />
+            )
+          })}
+        </div>
+      )}
+    </MissionControlPanel>
+  )
+}
+
+APODCalendar.Day = DayTile
+
+export default APODCalendar
\ No newline at end of file
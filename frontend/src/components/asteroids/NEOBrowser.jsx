@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import MissionControlPanel from '../ui/MissionControlPanel'
+import Input from '../ui/Input'
+import Button from '../ui/Button'
+import Badge from '../ui/Badge'
+import { apiService } from '../../services/api'
+
+const PAGE_SIZE = 20
+const FIRST_PAGE = { page: 1, offset: 0 }
+
+const emptyFilters = {
+  hazardous: '',
+  orbit_class: '',
+  min_diameter: '',
+  max_diameter: '',
+  min_magnitude: '',
+  max_magnitude: ''
+}
+
+function BrowseFilters({ filters, orbitClasses, onChange, onApply, onReset, loading }) {
+  const update = (key) => (event) => onChange({ ...filters, [key]: event.target.value })
+
+  return (
+    <form
+      className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-7 gap-4 items-end"
+      onSubmit={(event) => {
+        event.preventDefault()
+        onApply()
+      }}
+    >
+      <Input.Select label="Hazard" value={filters.hazardous} onChange={update('hazardous')}>
+        <option value="">Any</option>
+        <option value="true">Potentially hazardous</option>
+        <option value="false">Not hazardous</option>
+      </Input.Select>
+
+      <Input.Select label="Orbit Class" value={filters.orbit_class} onChange={update('orbit_class')}>
+        <option value="">Any</option>
+        {orbitClasses.map(orbitClass => (
+          <option key={orbitClass.code} value={orbitClass.code} title={orbitClass.description}>
+            {orbitClass.name} ({orbitClass.code})
+          </option>
+        ))}
+      </Input.Select>
+
+      <Input label="Min Diameter (km)" type="number" min="0" step="0.01" value={filters.min_diameter} onChange={update('min_diameter')} />
+      <Input label="Max Diameter (km)" type="number" min="0" step="0.01" value={filters.max_diameter} onChange={update('max_diameter')} />
+      <Input label="Min Magnitude (H)" type="number" step="0.1" value={filters.min_magnitude} onChange={update('min_magnitude')} />
+      <Input label="Max Magnitude (H)" type="number" step="0.1" value={filters.max_magnitude} onChange={update('max_magnitude')} />
+
+      <div className="flex space-x-2">
+        <Button type="submit" size="sm" loading={loading}>Apply</Button>
+        <Button variant="ghost" size="sm" onClick={onReset}>Reset</Button>
+      </div>
+    </form>
+  )
+}
+
+function NEOBrowser({ className = '' }) {
+  const [filters, setFilters] = useState(emptyFilters)
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters)
+  // Where the current result page starts: a catalogue page and an offset into it,
+  // since a filtered page can end partway through a catalogue page
+  const [cursor, setCursor] = useState(FIRST_PAGE)
+  // Cursors of earlier result pages, for going back
+  const [pageHistory, setPageHistory] = useState([])
+  const [result, setResult] = useState(null)
+  const [orbitClasses, setOrbitClasses] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    apiService.neows.getOrbitClasses()
+      .then(response => setOrbitClasses(response.data.orbit_classes))
+      .catch(err => console.error('Failed to load orbit classes:', err))
+  }, [])
+
+  useEffect(() => {
+    const loadPage = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await apiService.neows.browse(cursor.page, PAGE_SIZE, appliedFilters, cursor.offset)
+        setResult(response.data)
+      } catch (err) {
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadPage()
+  }, [cursor, appliedFilters])
+
+  const applyFilters = (nextFilters = filters) => {
+    setAppliedFilters(nextFilters)
+    setPageHistory([])
+    setCursor(FIRST_PAGE)
+  }
+
+  const resetFilters = () => {
+    setFilters(emptyFilters)
+    applyFilters(emptyFilters)
+  }
+
+  const goNext = () => {
+    if (!result?.pagination.next_page) return
+    setPageHistory(history => [...history, cursor])
+    setCursor({ page: result.pagination.next_page, offset: result.pagination.next_offset })
+  }
+
+  const goPrevious = () => {
+    if (pageHistory.length === 0) return
+    setCursor(pageHistory[pageHistory.length - 1])
+    setPageHistory(history => history.slice(0, -1))
+  }
+
+  const pagination = result?.pagination
+  const lastScannedPage = pagination ? pagination.page + pagination.pages_scanned - 1 : null
+  const filtered = Object.values(appliedFilters).some(value => value !== '')
+
+  return (
+    <MissionControlPanel
+      title="NEO CATALOGUE"
+      subtitle="Browse every known near-Earth object"
+      status={error ? 'error' : 'operational'}
+      className={className}
+    >
+      <div className="space-y-6">
+        <BrowseFilters
+          filters={filters}
+          orbitClasses={orbitClasses}
+          onChange={setFilters}
+          onApply={() => applyFilters()}
+          onReset={resetFilters}
+          loading={loading}
+        />
+
+        {error ? (
+          <div className="text-center py-8 text-red-400">{error}</div>
+        ) : (
+          <MissionControlPanel.DataGrid
+            data={result?.objects || []}
+            columns={[
+              {
+                header: 'Name',
+                key: 'name',
+                render: (value, row) => (
+                  <Link to={`/asteroids/${row.id}`} className="font-mono text-sm text-space-400 hover:text-space-300">
+                    {value}
+                  </Link>
+                )
+              },
+              {
+                header: 'Orbit Class',
+                key: 'orbit_class',
+                render: (orbitClass) => orbitClass ? (
+                  <Badge variant="outline" size="sm" title={orbitClass.description}>{orbitClass.name}</Badge>
+                ) : 'Unknown'
+              },
+              {
+                header: 'Magnitude (H)',
+                key: 'absolute_magnitude_h',
+                render: (value) => value?.toFixed(1) ?? 'Unknown'
+              },
+              {
+                header: 'Diameter (km)',
+                key: 'diameter_km',
+                render: (value) => `${value.min.toFixed(3)} – ${value.max.toFixed(3)}`
+              },
+              {
+                header: 'Hazard',
+                key: 'is_potentially_hazardous_asteroid',
+                render: (value) => (
+                  <Badge variant={value ? 'error' : 'success'} size="sm">
+                    {value ? 'HAZARDOUS' : 'SAFE'}
+                  </Badge>
+                )
+              },
+              {
+                header: 'Next Approach',
+                key: 'next_approach',
+                render: (approach) => approach
+                  ? `${new Date(approach.date).toLocaleDateString()} · ${Math.round(approach.distance_km).toLocaleString()} km`
+                  : 'None scheduled'
+              }
+            ]}
+          />
+        )}
+
+        {pagination && (
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 text-sm text-gray-400">
+            <div>
+              Catalogue page {pagination.page === lastScannedPage ? pagination.page : `${pagination.page}–${lastScannedPage}`} of {pagination.total_pages.toLocaleString()}
+              {' · '}{pagination.total_elements.toLocaleString()} objects
+              {filtered && result.count < PAGE_SIZE && pagination.next_page && (
+                <span className="block text-yellow-400">
+                  Scanned {pagination.pages_scanned} catalogue pages for matches. Continue to search further.
+                </span>
+              )}
+            </div>
+            <div className="flex space-x-2">
+              <Button variant="outline" size="sm" onClick={goPrevious} disabled={loading || pageHistory.length === 0}>
+                ← Previous
+              </Button>
+              <Button variant="outline" size="sm" onClick={goNext} disabled={loading || !pagination.next_page}>
+                Next →
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    </MissionControlPanel>
+  )
+}
+
+NEOBrowser.Filters = BrowseFilters
+
+export default NEOBrowser
\ No newline at end of file
@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import Button from '../ui/Button'
+import Input from '../ui/Input'
+import {
+  EARTH_ELEMENTS,
+  elementsFromOrbitalData,
+  positionAt,
+  orbitPath,
+  distanceBetween,
+  aphelionDistance,
+  orbitalPeriodDays,
+  dateToJulian,
+  julianToDate
+} from '../../utils/orbits'
+
+const LUNAR_DISTANCES_PER_AU = 389.17
+const TRAIL_STEPS = 120
+const PLAYBACK_FRAMES = 240
+
+const windowOptions = [
+  { value: '90', label: '3 Months' },
+  { value: '365', label: '1 Year' },
+  { value: '1826', label: '5 Years' },
+  { value: 'orbit', label: 'One Orbit' }
+]
+
+// SVG y runs downwards; ecliptic y runs up
+const toPoints = (positions) => positions.map(({ x, y }) => `${x},${-y}`).join(' ')
+
+function OrbitPlotter({ orbitalData, name = 'Asteroid', centerDate = null }) {
+  const elements = useMemo(() => orbitalData && elementsFromOrbitalData(orbitalData), [orbitalData])
+  const [windowSize, setWindowSize] = useState('365')
+  const [offset, setOffset] = useState(0.5)
+  const [playing, setPlaying] = useState(false)
+  const centerJd = useMemo(() => dateToJulian(centerDate || Date.now()), [centerDate])
+
+  const windowDays = windowSize === 'orbit' && elements
+    ? Math.round(orbitalPeriodDays(elements))
+    : parseInt(windowSize)
+  const startJd = centerJd - windowDays / 2
+  const currentJd = startJd + offset * windowDays
+
+  useEffect(() => {
+    if (!playing) return
+
+    const timer = setInterval(() => {
+      setOffset(current => Math.min(1, current + 1 / PLAYBACK_FRAMES))
+    }, 50)
+
+    return () => clearInterval(timer)
+  }, [playing])
+
+  useEffect(() => {
+    if (offset >= 1) setPlaying(false)
+  }, [offset])
+
+  const paths = useMemo(() => {
+    if (!elements) return null
+
+    return {
+      earth: toPoints(orbitPath(EARTH_ELEMENTS)),
+      asteroid: toPoints(orbitPath(elements)),
+      trail: toPoints(Array.from({ length: TRAIL_STEPS + 1 }, (_, step) =>
+        positionAt(elements, startJd + (step / TRAIL_STEPS) * windowDays)
+      ))
+    }
+  }, [elements, startJd, windowDays])
+
+  if (!elements) {
+    return (
+      <div className="text-center py-8 text-gray-400">
+        Orbital elements are not available for this object
+      </div>
+    )
+  }
+
+  const earth = positionAt(EARTH_ELEMENTS, currentJd)
+  const asteroid = positionAt(elements, currentJd)
+  const separationAu = distanceBetween(earth, asteroid)
+  const sunDistanceAu = Math.hypot(asteroid.x, asteroid.y, asteroid.z)
+
+  // Frame the larger of the two orbits with a margin
+  const extent = Math.max(aphelionDistance(elements), aphelionDistance(EARTH_ELEMENTS)) * 1.1
+  const stroke = extent / 200
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <svg
+          viewBox={`${-extent} ${-extent} ${extent * 2} ${extent * 2}`}
+          className="lg:col-span-2 w-full h-80 md:h-96 bg-gray-900/60 rounded-lg border border-gray-700"
+          role="img"
+          aria-label={`Orbit of ${name} relative to Earth`}
+        >
+          <polyline points={paths.earth} fill="none" stroke="#0ea5e9" strokeOpacity="0.5" strokeWidth={stroke} />
+          <polyline points={paths.asteroid} fill="none" stroke="#f59e0b" strokeOpacity="0.3" strokeWidth={stroke} strokeDasharray={`${stroke * 4} ${stroke * 3}`} />
+          <polyline points={paths.trail} fill="none" stroke="#f59e0b" strokeWidth={stroke * 2} />
+
+          <line x1={earth.x} y1={-earth.y} x2={asteroid.x} y2={-asteroid.y} stroke="#ef4444" strokeOpacity="0.6" strokeWidth={stroke} />
+
+          <circle cx="0" cy="0" r={stroke * 6} fill="#fbbf24" />
+          <circle cx={earth.x} cy={-earth.y} r={stroke * 4} fill="#0ea5e9" />
+          <circle cx={asteroid.x} cy={-asteroid.y} r={stroke * 3.5} fill="#f59e0b" />
+
+          <text x={earth.x + stroke * 6} y={-earth.y} fill="#e5e7eb" fontSize={stroke * 10}>Earth</text>
+          <text x={asteroid.x + stroke * 6} y={-asteroid.y} fill="#e5e7eb" fontSize={stroke * 10}>{name}</text>
+        </svg>
+
+        <div className="space-y-4">
+          <div className="bg-gray-800/60 rounded-lg p-4 border border-gray-700">
+            <div className="text-xs text-gray-400">Date</div>
+            <div className="font-mono text-lg text-white">{julianToDate(currentJd).toISOString().split('T')[0]}</div>
+          </div>
+          <div className="bg-gray-800/60 rounded-lg p-4 border border-gray-700">
+            <div className="text-xs text-gray-400">Distance from Earth</div>
+            <div className="font-mono text-lg text-white">
+              {separationAu.toFixed(3)} AU
+              <span className="text-sm text-gray-400 ml-2">{(separationAu * LUNAR_DISTANCES_PER_AU).toFixed(1)} LD</span>
+            </div>
+          </div>
+          <div className="bg-gray-800/60 rounded-lg p-4 border border-gray-700">
+            <div className="text-xs text-gray-400">Distance from Sun</div>
+            <div className="font-mono text-lg text-white">{sunDistanceAu.toFixed(3)} AU</div>
+          </div>
+          <div className="bg-gray-800/60 rounded-lg p-4 border border-gray-700">
+            <div className="text-xs text-gray-400">Height above ecliptic</div>
+            <div className="font-mono text-lg text-white">{asteroid.z.toFixed(3)} AU</div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Two-body Keplerian propagation, viewed from above the ecliptic. Planetary perturbations are ignored.
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-4">
+        <Input.Select
+          label="Time Window"
+          value={windowSize}
+          onChange={(event) => setWindowSize(event.target.value)}
+        >
+          {windowOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Input.Select>
+
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => {
+            if (!playing && offset >= 1) setOffset(0)
+            setPlaying(!playing)
+          }}
+        >
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </Button>
+
+        <div className="flex-1">
+          <div className="flex justify-between text-xs text-gray-400 mb-1">
+            <span>{julianToDate(startJd).toISOString().split('T')[0]}</span>
+            <span>{julianToDate(startJd + windowDays).toISOString().split('T')[0]}</span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step={1 / windowDays}
+            value={offset}
+            onChange={(event) => {
+              setPlaying(false)
+              setOffset(parseFloat(event.target.value))
+            }}
+            className="w-full accent-space-500"
+            aria-label="Time scrubber"
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OrbitPlotter
\ No newline at end of file
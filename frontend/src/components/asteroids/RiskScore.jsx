@@ -0,0 +1,71 @@
+import React from 'react'
+import Badge from '../ui/Badge'
+
+const levelVariants = {
+  LOW: 'success',
+  MODERATE: 'warning',
+  HIGH: 'error',
+  CRITICAL: 'error'
+}
+
+const factorLabels = {
+  diameter: 'Diameter',
+  miss_distance: 'Miss Distance',
+  velocity: 'Velocity',
+  kinetic_energy: 'Kinetic Energy',
+  hazardous: 'Hazard Flag'
+}
+
+function formatFactorValue(factor) {
+  if (typeof factor.value === 'boolean') return factor.value ? 'Yes' : 'No'
+  return `${factor.value.toLocaleString()} ${factor.unit}`
+}
+
+function RiskScore({ risk, size = 'sm' }) {
+  if (!risk) return <span className="text-gray-500">N/A</span>
+
+  const summary = Object.entries(risk.breakdown)
+    .map(([name, factor]) => `${factorLabels[name] || name}: ${formatFactorValue(factor)} (+${factor.contribution})`)
+    .join('\n')
+
+  return (
+    <Badge
+      variant={levelVariants[risk.level] || 'secondary'}
+      size={size}
+      pulse={risk.level === 'CRITICAL'}
+      title={summary}
+    >
+      {risk.score.toFixed(1)} · {risk.level}
+    </Badge>
+  )
+}
+
+function RiskBreakdown({ risk }) {
+  if (!risk) return null
+
+  return (
+    <div className="space-y-2">
+      {Object.entries(risk.breakdown).map(([name, factor]) => (
+        <div key={name}>
+          <div className="flex justify-between text-xs text-gray-400 mb-1">
+            <span>{factorLabels[name] || name}: {formatFactorValue(factor)}</span>
+            <span className="font-mono">
+              +{factor.contribution} / {Math.round(factor.weight * 100)}
+            </span>
+          </div>
+          <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-space-500 rounded-full"
+              style={{ width: `${factor.normalized * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+RiskScore.Breakdown = RiskBreakdown
+RiskScore.levelVariants = levelVariants
+
+export default RiskScore
\ No newline at end of file
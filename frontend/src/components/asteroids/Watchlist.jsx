@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useAppContext } from '../../hooks/useAppContext'
+import MissionControlPanel from '../ui/MissionControlPanel'
+import Input from '../ui/Input'
+import Button from '../ui/Button'
+import Badge from '../ui/Badge'
+import { apiService } from '../../services/api'
+
+// Prefer the backend's explanation (e.g. "already on the watchlist") over axios' generic one
+const errorMessage = (error) => error.response?.data?.message || error.message
+
+function Watchlist({ className = '' }) {
+  const { actions, api } = useAppContext()
+  const [entries, setEntries] = useState([])
+  const [monitor, setMonitor] = useState(null)
+  const [asteroidId, setAsteroidId] = useState('')
+  const [threshold, setThreshold] = useState('10')
+  const [loading, setLoading] = useState(false)
+  const [checking, setChecking] = useState(false)
+
+  const loadWatchlist = async () => {
+    try {
+      const response = await apiService.watchlist.list()
+      setEntries(response.data.entries)
+      setMonitor(response.data.monitor)
+    } catch (error) {
+      console.error('Failed to load watchlist:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadWatchlist()
+  }, [])
+
+  const addEntry = async (event) => {
+    event.preventDefault()
+    try {
+      setLoading(true)
+      const response = await apiService.watchlist.add(asteroidId.trim(), parseFloat(threshold))
+      setAsteroidId('')
+      actions.addNotification({
+        type: 'success',
+        title: 'Asteroid Watched',
+        message: `${response.data.entry.name} added to the watchlist`
+      })
+      await Promise.all([loadWatchlist(), api.fetchAlerts()])
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Could Not Watch Asteroid',
+        message: errorMessage(error)
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeEntry = async (entry) => {
+    try {
+      await apiService.watchlist.remove(entry.id)
+      await Promise.all([loadWatchlist(), api.fetchAlerts()])
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Could Not Remove Asteroid',
+        message: errorMessage(error)
+      })
+    }
+  }
+
+  const checkNow = async () => {
+    try {
+      setChecking(true)
+      const response = await apiService.watchlist.check()
+      actions.addNotification({
+        type: response.data.alerts > 0 ? 'warning' : 'info',
+        title: 'Watchlist Checked',
+        message: `${response.data.checked} asteroids checked, ${response.data.alerts} new alerts`
+      })
+      await Promise.all([loadWatchlist(), api.fetchAlerts()])
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Watchlist Check Failed',
+        message: errorMessage(error)
+      })
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <MissionControlPanel
+      title="WATCHLIST"
+      subtitle={monitor?.last_run
+        ? `Checked every ${monitor.interval_minutes} min · last run ${new Date(monitor.last_run).toLocaleTimeString()}`
+        : 'Alerts when a watched asteroid approaches inside its threshold'}
+      status={entries.some(entry => entry.last_error) ? 'warning' : 'operational'}
+      className={className}
+      headerActions={
+        <Button onClick={checkNow} loading={checking} size="sm" icon="🔄" disabled={entries.length === 0}>
+          Check Now
+        </Button>
+      }
+    >
+      <div className="space-y-6">
+        <form className="flex flex-col md:flex-row md:items-end gap-4" onSubmit={addEntry}>
+          <Input
+            label="Asteroid ID"
+            placeholder="e.g. 3542519"
+            value={asteroidId}
+            onChange={(event) => setAsteroidId(event.target.value)}
+            required
+          />
+          <Input
+            label="Alert Threshold (LD)"
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={threshold}
+            onChange={(event) => setThreshold(event.target.value)}
+            required
+          />
+          <Button type="submit" size="sm" loading={loading} disabled={!asteroidId.trim()}>
+            Watch
+          </Button>
+        </form>
+
+        {entries.length === 0 ? (
+          <div className="text-center py-6 text-gray-400">
+            No asteroids on the watchlist yet
+          </div>
+        ) : (
+          <MissionControlPanel.DataGrid
+            data={entries}
+            columns={[
+              {
+                header: 'Name',
+                key: 'name',
+                render: (value, row) => (
+                  <Link to={`/asteroids/${row.asteroid_id}`} className="font-mono text-sm text-space-400 hover:text-space-300">
+                    {row.label || value}
+                  </Link>
+                )
+              },
+              {
+                header: 'Threshold',
+                key: 'threshold_ld',
+                render: (value) => `${value} LD`
+              },
+              {
+                header: 'Next Approach',
+                key: 'next_approach',
+                render: (approach, row) => approach ? (
+                  <span className={approach.distance_ld <= row.threshold_ld ? 'text-yellow-400' : ''}>
+                    {new Date(approach.date).toLocaleDateString()} · {approach.distance_ld.toFixed(2)} LD
+                  </span>
+                ) : 'None within a year'
+              },
+              {
+                header: 'Status',
+                key: 'last_error',
+                render: (error, row) => {
+                  if (error) return <Badge variant="error" size="sm" title={error}>CHECK FAILED</Badge>
+                  if (!row.last_checked) return <Badge variant="secondary" size="sm">PENDING</Badge>
+                  return <Badge variant="success" size="sm" title={`Checked ${new Date(row.last_checked).toLocaleString()}`}>OK</Badge>
+                }
+              },
+              {
+                header: '',
+                key: 'id',
+                render: (id, row) => (
+                  <Button variant="ghost" size="sm" onClick={() => removeEntry(row)}>
+                    Remove
+                  </Button>
+                )
+              }
+            ]}
+          />
+        )}
+      </div>
+    </MissionControlPanel>
+  )
+}
+
+export default Watchlist
\ No newline at end of file
@@ -1,5 +1,5 @@
 import React, { useMemo } from 'react'
-import { Line, Doughnut, Bar } from 'react-chartjs-2'
+import { Line, Doughnut, Bar, Bubble } from 'react-chartjs-2'
 import BaseChart, { defaultChartOptions, spaceColors, createSpaceDataset } from './BaseChart'
 
 function AsteroidThreatChart({ asteroidData }) {
@@ -211,4 +211,111 @@ function AsteroidVelocityChart({ asteroidData }) {
   )
 }
 
-export { AsteroidThreatChart, AsteroidSizeDistribution, AsteroidVelocityChart }
\ No newline at end of file
+const bodyColors = {
+  Earth: spaceColors.primary,
+  Moon: '#e5e7eb',
+  Mars: spaceColors.error,
+  Venus: spaceColors.accent,
+  Merc: spaceColors.secondary,
+  Juptr: spaceColors.cosmic
+}
+
+// Every close approach of one object: distance against date, bubble size by
+// relative velocity, one dataset per orbiting body. Past approaches are faded.
+function AsteroidApproachChart({ approaches }) {
+  const chartData = useMemo(() => {
+    if (!approaches?.length) return null
+
+    const now = Date.now()
+    const maxVelocity = Math.max(...approaches.map(approach =>
+      parseFloat(approach.relative_velocity.kilometers_per_second)
+    ))
+    const byBody = {}
+
+    approaches.forEach(approach => {
+      const body = approach.orbiting_body
+      const velocity = parseFloat(approach.relative_velocity.kilometers_per_second)
+      byBody[body] = byBody[body] || []
+      byBody[body].push({
+        x: approach.epoch_date_close_approach,
+        y: parseFloat(approach.miss_distance.lunar),
+        r: 3 + (velocity / maxVelocity) * 12,
+        velocity,
+        date: approach.close_approach_date
+      })
+    })
+
+    return {
+      datasets: Object.entries(byBody).map(([body, points], index) => {
+        const color = bodyColors[body] || spaceColors.gradients.cosmic[index % spaceColors.gradients.cosmic.length]
+        return {
+          label: body,
+          data: points,
+          backgroundColor: points.map(point => color + (point.x < now ? '40' : 'b0')),
+          borderColor: color,
+          borderWidth: 1
+        }
+      })
+    }
+  }, [approaches])
+
+  if (!chartData) return null
+
+  const options = {
+    ...defaultChartOptions,
+    plugins: {
+      ...defaultChartOptions.plugins,
+      title: {
+        display: true,
+        text: 'Close Approach History',
+        color: '#f3f4f6',
+        font: {
+          family: 'Orbitron, monospace',
+          size: 16,
+          weight: 'bold'
+        }
+      },
+      tooltip: {
+        ...defaultChartOptions.plugins.tooltip,
+        callbacks: {
+          label: (context) => {
+            const point = context.raw
+            return `${context.dataset.label} · ${point.date}: ${point.y.toFixed(2)} LD at ${point.velocity.toFixed(1)} km/s`
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        ...defaultChartOptions.scales.x,
+        type: 'linear',
+        ticks: {
+          ...defaultChartOptions.scales.x.ticks,
+          callback: (value) => new Date(value).getFullYear()
+        },
+        title: {
+          display: true,
+          text: 'Approach Date',
+          color: '#9ca3af'
+        }
+      },
+      y: {
+        ...defaultChartOptions.scales.y,
+        type: 'logarithmic',
+        title: {
+          display: true,
+          text: 'Miss Distance (lunar distances)',
+          color: '#9ca3af'
+        }
+      }
+    }
+  }
+
+  return (
+    <BaseChart>
+      <Bubble data={chartData} options={options} />
+    </BaseChart>
+  )
+}
+
+export { AsteroidThreatChart, AsteroidSizeDistribution, AsteroidVelocityChart, AsteroidApproachChart }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react'
+import { Scatter } from 'react-chartjs-2'
+import { useNavigate } from 'react-router-dom'
+import BaseChart, { defaultChartOptions, spaceColors } from './BaseChart'
+
+// Convert a 0-1 intensity into a two-digit hex alpha suffix
+const toAlpha = (intensity) => {
+  const value = Math.round(40 + intensity * 215)
+  return value.toString(16).padStart(2, '0')
+}
+
+function SolActivityHeatmap({ activity, selectedSol = null, className = '' }) {
+  const navigate = useNavigate()
+
+  const chartData = useMemo(() => {
+    if (!activity?.sols?.length) return null
+
+    const maxPhotos = activity.summary?.max_photos_per_sol || 1
+
+    // One cell per camera that was active on each sol
+    const cells = activity.sols.flatMap(entry =>
+      entry.cameras.map(camera => ({
+        x: entry.sol,
+        y: camera,
+        earthDate: entry.earth_date,
+        totalPhotos: entry.total_photos,
+        intensity: entry.total_photos / maxPhotos
+      }))
+    )
+
+    return {
+      datasets: [{
+        label: 'Camera activity',
+        data: cells,
+        pointStyle: 'rect',
+        backgroundColor: (ctx) => {
+          const intensity = ctx.raw?.intensity || 0
+          return spaceColors.nebula + toAlpha(intensity)
+        },
+        borderColor: (ctx) => ctx.raw?.x === selectedSol ? '#ffffff' : 'transparent',
+        borderWidth: (ctx) => ctx.raw?.x === selectedSol ? 2 : 0,
+        pointRadius: (ctx) => {
+          const span = activity.window.end_sol - activity.window.start_sol + 1
+          return Math.max(2, Math.min(10, ctx.chart.width / (span * 2.4)))
+        },
+        pointHoverRadius: (ctx) => {
+          const span = activity.window.end_sol - activity.window.start_sol + 1
+          return Math.max(4, Math.min(12, ctx.chart.width / (span * 2)))
+        }
+      }]
+    }
+  }, [activity, selectedSol])
+
+  if (!chartData) {
+    return (
+      <BaseChart title="Sol Activity" subtitle="Imaging activity by camera" className={className}>
+        <div className="flex items-center justify-center h-full text-gray-400">
+          <div className="text-center">
+            <div className="text-4xl mb-2">📷</div>
+            <p>No imaging activity in this window</p>
+          </div>
+        </div>
+      </BaseChart>
+    )
+  }
+
+  const rover = activity.rover.toLowerCase()
+
+  const options = {
+    ...defaultChartOptions,
+    animation: false,
+    onClick: (event, elements) => {
+      if (!elements.length) return
+
+      const { datasetIndex, index } = elements[0]
+      const cell = chartData.datasets[datasetIndex].data[index]
+      // Cameras the photos API can't filter by open the whole sol instead of a 400
+      const camera = activity.filterable_cameras?.includes(cell.y) ? `&camera=${cell.y}` : ''
+      navigate(`/mars?rover=${rover}&sol=${cell.x}${camera}`)
+    },
+    onHover: (event, elements) => {
+      event.native.target.style.cursor = elements.length ? 'pointer' : 'default'
+    },
+    plugins: {
+      ...defaultChartOptions.plugins,
+      legend: {
+        display: false
+      },
+      title: {
+        display: true,
+        text: `${activity.rover} - Sols ${activity.window.start_sol} to ${activity.window.end_sol}`,
+        color: '#f3f4f6',
+        font: {
+          family: 'Orbitron, monospace',
+          size: 16,
+          weight: 'bold'
+        }
+      },
+      tooltip: {
+        ...defaultChartOptions.plugins.tooltip,
+        callbacks: {
+          title: (items) => `Sol ${items[0].raw.x} (${items[0].raw.earthDate})`,
+          label: (item) => `${item.raw.y} active · ${item.raw.totalPhotos.toLocaleString()} photos that sol`
+        }
+      }
+    },
+    scales: {
+      x: {
+        ...defaultChartOptions.scales.x,
+        type: 'linear',
+        min: activity.window.start_sol - 0.5,
+        max: activity.window.end_sol + 0.5,
+        ticks: {
+          ...defaultChartOptions.scales.x.ticks,
+          precision: 0
+        },
+        title: {
+          display: true,
+          text: 'Sol',
+          color: '#9ca3af'
+        }
+      },
+      y: {
+        ...defaultChartOptions.scales.y,
+        type: 'category',
+        labels: activity.cameras,
+        offset: true,
+        grid: {
+          display: false
+        }
+      }
+    }
+  }
+
+  return (
+    <BaseChart title="Sol Activity" subtitle="Click a cell to browse that sol's photos" className={className}>
+      <Scatter data={chartData} options={options} />
+    </BaseChart>
+  )
+}
+
+export { SolActivityHeatmap }
\ No newline at end of file
@@ -1,49 +1,58 @@
-import React, { useMemo, useEffect, useState } from 'react'
-import { Line, Radar } from 'react-chartjs-2'
+import React, { useMemo } from 'react'
+import { Line, Radar, Bar } from 'react-chartjs-2'
 import BaseChart, { defaultChartOptions, spaceColors, createSpaceDataset } from './BaseChart'
 
-function SystemPerformanceChart({ apiHealth, className = '' }) {
-  const [performanceHistory, setPerformanceHistory] = useState([])
-
-  // Simulate real-time performance data
-  useEffect(() => {
-    if (!apiHealth) return
+// API route groups shown in the usage chart
+const ROUTE_GROUPS = {
+  '/api/apod': 'APOD',
+  '/api/mars': 'Mars Rovers',
+  '/api/neows': 'NeoWs',
+  '/api/epic': 'EPIC',
+  '/api/health': 'Health',
+  '/api/proxy': 'Image Proxy'
+}
 
-    const newDataPoint = {
-      timestamp: new Date().toLocaleTimeString(),
-      uptime: Math.floor(apiHealth.uptime / 60),
-      cacheKeys: apiHealth.cache?.keys || 0,
-      hitRate: (apiHealth.cache?.hitRate || 0) * 100,
-      responseTime: Math.random() * 100 + 50 // Simulated response time
-    }
+/**
+ * Score average latency for the health radar: 100 at 100ms or less, 0 at 3s or more
+ */
+function latencyScore(avgMs) {
+  if (avgMs === null || avgMs === undefined) return 100
+  return Math.min(100, Math.max(0, (100 * (3000 - avgMs)) / 2900))
+}
 
-    setPerformanceHistory(prev => {
-      const updated = [...prev, newDataPoint]
-      return updated.slice(-20) // Keep last 20 data points
-    })
-  }, [apiHealth])
+/**
+ * Count 5xx responses in a status code breakdown
+ */
+function countServerErrors(statusCodes = {}) {
+  return Object.entries(statusCodes)
+    .filter(([status]) => Number(status) >= 500)
+    .reduce((sum, [, count]) => sum + count, 0)
+}
 
+function SystemPerformanceChart({ metrics, className = '' }) {
   const chartData = useMemo(() => {
-    if (performanceHistory.length === 0) return null
+    const timeline = metrics?.timeline || []
+    if (timeline.length === 0) return null
 
     return {
-      labels: performanceHistory.map(point => point.timestamp),
+      labels: timeline.map(point => new Date(point.minute).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })),
       datasets: [
         {
-          ...createSpaceDataset('Cache Hit Rate (%)', performanceHistory.map(p => p.hitRate), 0),
+          ...createSpaceDataset('Requests / min', timeline.map(point => point.requests), 0),
           yAxisID: 'y'
         },
         {
-          ...createSpaceDataset('Response Time (ms)', performanceHistory.map(p => p.responseTime), 1),
-          yAxisID: 'y1'
+          ...createSpaceDataset('Avg Response Time (ms)', timeline.map(point => point.avg_latency_ms), 1),
+          yAxisID: 'y1',
+          spanGaps: true
         }
       ]
     }
-  }, [performanceHistory])
+  }, [metrics])
 
   if (!chartData) {
     return (
-      <BaseChart title="System Performance" subtitle="Real-time metrics">
+      <BaseChart title="System Performance" subtitle="Last 60 minutes" className={className}>
         <div className="flex items-center justify-center h-full text-gray-400">
           <div className="text-center">
             <div className="animate-pulse text-4xl mb-2">📊</div>
@@ -89,11 +98,10 @@ function SystemPerformanceChart({ apiHealth, className = '' }) {
         position: 'left',
         title: {
           display: true,
-          text: 'Cache Hit Rate (%)',
+          text: 'Requests / min',
           color: spaceColors.primary
         },
-        min: 0,
-        max: 100
+        beginAtZero: true
       },
       y1: {
         ...defaultChartOptions.scales.y,
@@ -102,9 +110,10 @@ function SystemPerformanceChart({ apiHealth, className = '' }) {
         position: 'right',
         title: {
           display: true,
-          text: 'Response Time (ms)',
+          text: 'Avg Response Time (ms)',
           color: spaceColors.secondary
         },
+        beginAtZero: true,
         grid: {
           drawOnChartArea: false,
         },
@@ -113,23 +122,33 @@ function SystemPerformanceChart({ apiHealth, className = '' }) {
   }
 
   return (
-    <BaseChart title="System Performance" subtitle="Real-time metrics" className={className}>
+    <BaseChart title="System Performance" subtitle="Last 60 minutes" className={className}>
       <Line data={chartData} options={options} />
     </BaseChart>
   )
 }
 
-function SystemHealthRadar({ apiHealth, className = '' }) {
+function SystemHealthRadar({ apiHealth, metrics, className = '' }) {
   const chartData = useMemo(() => {
     if (!apiHealth) return null
 
+    const totals = metrics?.totals
+    const routes = metrics?.routes || []
+    const upstreamSuccess = totals?.upstream_requests
+      ? (1 - totals.upstream_errors / totals.upstream_requests) * 100
+      : (apiHealth.services?.nasa_api === 'operational' ? 100 : 0)
+    const avgLatency = totals?.requests
+      ? routes.reduce((sum, route) => sum + route.latency.avg_ms * route.requests, 0) / totals.requests
+      : null
+    const serverErrors = routes.reduce((sum, route) => sum + countServerErrors(route.status_codes), 0)
+
     const healthMetrics = {
-      'API Response': apiHealth.services?.api === 'operational' ? 100 : 0,
-      'NASA Gateway': apiHealth.services?.nasa_api === 'operational' ? 100 : 0,
-      'Cache System': apiHealth.services?.cache === 'operational' ? 100 : 0,
+      'API Response': latencyScore(avgLatency),
+      'NASA Gateway': upstreamSuccess,
+      'Cache System': (apiHealth.cache?.hitRate || 0) * 100,
       'Uptime': Math.min((apiHealth.uptime / 3600) * 10, 100), // Scale uptime to 0-100
-      'Performance': (apiHealth.cache?.hitRate || 0) * 100,
-      'Stability': Math.random() * 20 + 80 // Simulated stability metric
+      'Success Rate': totals?.requests ? (1 - totals.error_rate) * 100 : 100,
+      'Stability': totals?.requests ? (1 - serverErrors / totals.requests) * 100 : 100 // Requests without a 5xx
     }
 
     return {
@@ -148,7 +167,7 @@ function SystemHealthRadar({ apiHealth, className = '' }) {
         pointHoverRadius: 6
       }]
     }
-  }, [apiHealth])
+  }, [apiHealth, metrics])
 
   if (!chartData) return null
 
@@ -202,27 +221,24 @@ function SystemHealthRadar({ apiHealth, className = '' }) {
   )
 }
 
-function APIUsageChart({ className = '' }) {
-  const [usageData, setUsageData] = useState([])
+function APIUsageChart({ metrics, className = '' }) {
+  // Roll route series up into API groups, e.g. every /api/mars/* route under Mars Rovers
+  const usageData = useMemo(() => {
+    const groups = {}
+    const routes = metrics?.routes || []
 
-  // Simulate API usage data
-  useEffect(() => {
-    const generateUsageData = () => {
-      const endpoints = ['APOD', 'Mars Rovers', 'NeoWs', 'EPIC', 'Health']
-      const data = endpoints.map(endpoint => ({
-        endpoint,
-        requests: Math.floor(Math.random() * 100) + 10,
-        errors: Math.floor(Math.random() * 5),
-        avgResponseTime: Math.floor(Math.random() * 200) + 50
-      }))
-      setUsageData(data)
-    }
+    routes.forEach(route => {
+      const prefix = Object.keys(ROUTE_GROUPS).find(group => route.route.startsWith(group))
+      if (!prefix) return
 
-    generateUsageData()
-    const interval = setInterval(generateUsageData, 10000) // Update every 10 seconds
+      const endpoint = ROUTE_GROUPS[prefix]
+      groups[endpoint] = groups[endpoint] || { endpoint, requests: 0, errors: 0 }
+      groups[endpoint].requests += route.requests
+      groups[endpoint].errors += route.errors
+    })
 
-    return () => clearInterval(interval)
-  }, [])
+    return Object.values(groups).sort((a, b) => b.requests - a.requests)
+  }, [metrics])
 
   const chartData = useMemo(() => {
     if (usageData.length === 0) return null
@@ -286,7 +302,7 @@ function APIUsageChart({ className = '' }) {
 
   return (
     <BaseChart title="API Usage" subtitle="Endpoint request statistics" className={className}>
-      <Line data={chartData} options={options} />
+      <Bar data={chartData} options={options} />
     </BaseChart>
   )
 }
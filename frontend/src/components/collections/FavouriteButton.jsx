@@ -0,0 +1,87 @@
+import React from 'react'
+import { clsx } from 'clsx'
+import { useAppContext } from '../../hooks/useAppContext'
+import Input from '../ui/Input'
+import Button from '../ui/Button'
+import { isFavourite, itemFromImage } from '../../utils/collections'
+
+// Star toggle for an APOD, Mars photo or EPIC frame; renders nothing for other images
+function FavouriteButton({ image, variant = 'overlay', className = '' }) {
+  const { state, actions } = useAppContext()
+
+  if (!itemFromImage(image)) return null
+
+  const favourite = isFavourite(state.library, image)
+  const label = favourite ? 'Remove from favourites' : 'Add to favourites'
+
+  const toggle = (event) => {
+    // Cards open a viewer on click; starring should not
+    event.stopPropagation()
+    actions.toggleFavourite(image)
+  }
+
+  if (variant === 'button') {
+    return (
+      <Button variant="secondary" size="sm" onClick={toggle} icon={favourite ? '★' : '☆'} className={className}>
+        {favourite ? 'Favourited' : 'Favourite'}
+      </Button>
+    )
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={toggle}
+      aria-label={label}
+      aria-pressed={favourite}
+      title={label}
+      className={clsx(
+        'w-9 h-9 rounded-full bg-black/60 hover:bg-black/80 flex items-center justify-center text-lg transition-colors',
+        favourite ? 'text-yellow-400' : 'text-white',
+        className
+      )}
+    >
+      {favourite ? '★' : '☆'}
+    </button>
+  )
+}
+
+// Adds an image to one of the named collections
+function CollectionPicker({ image, className = '' }) {
+  const { state, actions } = useAppContext()
+  const item = itemFromImage(image)
+
+  if (!item || state.library.collections.length === 0) return null
+
+  const available = state.library.collections.filter(collection => !collection.items.includes(item.key))
+
+  const addTo = (event) => {
+    if (!event.target.value) return
+    const collection = state.library.collections.find(candidate => candidate.id === event.target.value)
+    actions.addToCollection(collection.id, image)
+    actions.addNotification({
+      type: 'success',
+      title: 'Added to Collection',
+      message: `${item.title} added to ${collection.name}`
+    })
+  }
+
+  return (
+    <Input.Select
+      value=""
+      onChange={addTo}
+      disabled={available.length === 0}
+      containerClassName={className}
+      aria-label="Add to collection"
+    >
+      <option value="">{available.length > 0 ? 'Add to collection…' : 'In every collection'}</option>
+      {available.map(collection => (
+        <option key={collection.id} value={collection.id}>{collection.name}</option>
+      ))}
+    </Input.Select>
+  )
+}
+
+FavouriteButton.CollectionPicker = CollectionPicker
+
+export default FavouriteButton
\ No newline at end of file
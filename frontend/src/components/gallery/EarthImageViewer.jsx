@@ -4,6 +4,7 @@ import Button from '../ui/Button'
 import Badge from '../ui/Badge'
 import Card from '../ui/Card'
 import SmartImage from '../ui/SmartImage'
+import FavouriteButton from '../collections/FavouriteButton'
 
 function EarthImageViewer({ 
   images = [], 
@@ -161,6 +162,9 @@ function EarthImageViewer({
           >
             Full Resolution
           </Button>
+
+          <FavouriteButton image={currentImage} variant="button" />
+          <FavouriteButton.CollectionPicker image={currentImage} />
         </div>
         
         {/* Image metadata */}
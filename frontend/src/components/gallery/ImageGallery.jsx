@@ -4,6 +4,11 @@ import Modal from '../ui/Modal'
 import Button from '../ui/Button'
 import Badge from '../ui/Badge'
 import SmartImage from '../ui/SmartImage'
+import FavouriteButton from '../collections/FavouriteButton'
+import { apodPageUrl, webUrl } from '../../utils/apod'
+
+// APOD videos and other non-image entries; everything else in a gallery is a plain image
+const isApodMedia = (image) => Boolean(image.media_type && image.media_type !== 'image')
 
 function ImageGallery({ 
   images = [], 
@@ -11,18 +16,36 @@ function ImageGallery({
   columns = 3,
   showMetadata = true,
   className = '',
+  onImageClick = null,
+  showFavourites = true,
+  // Extra buttons for a card's top-right corner, e.g. "remove from collection"
+  cardActions = null,
   ...props 
 }) {
   const [selectedImage, setSelectedImage] = useState(null)
 
-  const handleImageClick = useCallback((image) => {
+  const handleImageClick = useCallback((image, index) => {
+    // Let the parent render its own viewer when it wants to
+    if (onImageClick) {
+      onImageClick(image, index)
+      return
+    }
     setSelectedImage(image)
-  }, [])
+  }, [onImageClick])
 
   const closeModal = useCallback(() => {
     setSelectedImage(null)
   }, [])
 
+  // Card widths per column count, so SmartImage picks a matching thumbnail
+  const gridSizes = {
+    1: '100vw',
+    2: '(min-width: 768px) 50vw, 100vw',
+    3: '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw',
+    4: '(min-width: 1024px) 25vw, (min-width: 768px) 50vw, 100vw',
+    5: '(min-width: 1024px) 20vw, (min-width: 768px) 33vw, 100vw'
+  }
+
   const gridClasses = {
     1: 'grid-cols-1',
     2: 'grid-cols-1 md:grid-cols-2',
@@ -55,17 +78,30 @@ function ImageGallery({
             <div
               key={imageId}
               className="group relative bg-gray-800 rounded-lg overflow-hidden hover:shadow-xl transition-all duration-300 cursor-pointer"
-              onClick={() => handleImageClick(image)}
+              onClick={() => handleImageClick(image, index)}
             >
               {/* Image */}
               <div className="relative aspect-square overflow-hidden">
-                <SmartImage.NASA
-                  src={image.img_src || image.url}
-                  alt={image.title || image.camera?.full_name || 'Space Image'}
-                  className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
-                  useProxy={true}
-                  retryCount={3}
-                />
+                {!isApodMedia(image) || image.thumbnail_url ? (
+                  <SmartImage.NASA
+                    src={isApodMedia(image) ? image.thumbnail_url : image.img_src || image.url}
+                    alt={image.title || image.camera?.full_name || 'Space Image'}
+                    className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
+                    sizes={gridSizes[columns] || gridSizes[3]}
+                    useProxy={true}
+                    retryCount={3}
+                  />
+                ) : (
+                  <div className="w-full h-full flex items-center justify-center bg-gray-900 text-5xl">
+                    {image.media_type === 'video' ? '🎬' : '🔭'}
+                  </div>
+                )}
+
+                {isApodMedia(image) && (
+                  <span className="absolute top-2 left-2 bg-red-500 text-white px-2 py-0.5 rounded text-xs font-medium">
+                    {image.media_type === 'video' ? '▶ VIDEO' : image.media_type.toUpperCase()}
+                  </span>
+                )}
                 
                 {/* Overlay */}
                 <div className="absolute inset-0 bg-black/0 group-hover:bg-black/30 transition-colors duration-300" />
@@ -76,6 +112,13 @@ function ImageGallery({
                     View Details
                   </Button>
                 </div>
+
+                {(showFavourites || cardActions) && (
+                  <div className="absolute top-2 right-2 flex items-center space-x-2">
+                    {cardActions?.(image)}
+                    {showFavourites && <FavouriteButton image={image} />}
+                  </div>
+                )}
               </div>
               
               {/* Metadata */}
@@ -121,13 +164,17 @@ function ImageGallery({
         >
           <div className="space-y-4">
             <div className="relative">
-              <SmartImage.NASA
-                src={selectedImage.img_src || selectedImage.url}
-                alt={selectedImage.title || selectedImage.camera?.full_name || 'Space Image'}
-                className="w-full h-auto rounded-lg"
-                useProxy={true}
-                retryCount={3}
-              />
+              {isApodMedia(selectedImage) ? (
+                <SmartImage.APOD apodData={selectedImage} className="w-full rounded-lg" />
+              ) : (
+                <SmartImage.NASA
+                  src={selectedImage.img_src || selectedImage.url}
+                  alt={selectedImage.title || selectedImage.camera?.full_name || 'Space Image'}
+                  className="w-full h-auto rounded-lg"
+                  useProxy={true}
+                  retryCount={3}
+                />
+              )}
             </div>
             
             {/* Image details */}
@@ -182,15 +229,30 @@ function ImageGallery({
             </div>
             
             <Modal.Footer>
+              {showFavourites && (
+                <>
+                  <FavouriteButton.CollectionPicker image={selectedImage} className="mr-auto" />
+                  <FavouriteButton image={selectedImage} variant="button" />
+                </>
+              )}
               <Button variant="secondary" onClick={closeModal}>
                 Close
               </Button>
-              <Button 
-                variant="primary" 
-                onClick={() => window.open(selectedImage.img_src || selectedImage.url, '_blank')}
-              >
-                View Full Size
-              </Button>
+              {isApodMedia(selectedImage) ? (
+                <Button
+                  variant="primary"
+                  onClick={() => window.open(webUrl(selectedImage.url) || apodPageUrl(selectedImage.date), '_blank', 'noopener')}
+                >
+                  Open Original
+                </Button>
+              ) : (
+                <Button 
+                  variant="primary" 
+                  onClick={() => window.open(webUrl(selectedImage.img_src || selectedImage.url), '_blank')}
+                >
+                  View Full Size
+                </Button>
+              )}
             </Modal.Footer>
           </div>
         </Modal>
@@ -0,0 +1,143 @@
+import React, { useEffect, useCallback } from 'react'
+import Modal from '../ui/Modal'
+import Button from '../ui/Button'
+import Badge from '../ui/Badge'
+import SmartImage from '../ui/SmartImage'
+import FavouriteButton from '../collections/FavouriteButton'
+
+function MarsPhotoViewer({
+  photos = [],
+  index = null,
+  onIndexChange,
+  onClose
+}) {
+  const photo = index !== null ? photos[index] : null
+
+  const handlePrevious = useCallback(() => {
+    if (!photos.length) return
+    onIndexChange?.(index === 0 ? photos.length - 1 : index - 1)
+  }, [photos.length, index, onIndexChange])
+
+  const handleNext = useCallback(() => {
+    if (!photos.length) return
+    onIndexChange?.((index + 1) % photos.length)
+  }, [photos.length, index, onIndexChange])
+
+  // Arrow key navigation between photos
+  useEffect(() => {
+    if (!photo) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowLeft') handlePrevious()
+      if (e.key === 'ArrowRight') handleNext()
+    }
+
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [photo, handlePrevious, handleNext])
+
+  if (!photo) return null
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      size="full"
+      title={photo.camera?.full_name || 'Mars Rover Photo'}
+    >
+      <div className="space-y-4">
+        <div className="relative bg-gray-900 rounded-lg overflow-hidden">
+          <SmartImage.MarsRover
+            key={photo.id}
+            photo={photo}
+            className="w-full max-h-[70vh] object-contain mx-auto"
+          />
+
+          {photos.length > 1 && (
+            <>
+              <button
+                onClick={handlePrevious}
+                className="absolute left-4 top-1/2 transform -translate-y-1/2 p-3 bg-black/50 hover:bg-black/70 rounded-full transition-colors"
+                aria-label="Previous photo"
+              >
+                <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+
+              <button
+                onClick={handleNext}
+                className="absolute right-4 top-1/2 transform -translate-y-1/2 p-3 bg-black/50 hover:bg-black/70 rounded-full transition-colors"
+                aria-label="Next photo"
+              >
+                <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            {photo.rover && (
+              <Badge variant="info" size="sm">
+                {photo.rover.name}
+              </Badge>
+            )}
+            {photo.camera && (
+              <Badge variant="secondary" size="sm">
+                {photo.camera.name}
+              </Badge>
+            )}
+          </div>
+
+          <Badge variant="secondary" size="sm">
+            {index + 1} / {photos.length}
+          </Badge>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <span className="text-gray-400">Photo ID:</span>
+            <p className="font-mono text-white">{photo.id}</p>
+          </div>
+          <div>
+            <span className="text-gray-400">Sol:</span>
+            <p className="text-white">{photo.sol}</p>
+          </div>
+          <div>
+            <span className="text-gray-400">Earth Date:</span>
+            <p className="text-white">
+              {new Date(photo.earth_date).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+              })}
+            </p>
+          </div>
+          <div>
+            <span className="text-gray-400">Rover Status:</span>
+            <p className="text-white capitalize">{photo.rover?.status || 'Unknown'}</p>
+          </div>
+        </div>
+
+        <Modal.Footer>
+          <FavouriteButton.CollectionPicker image={photo} className="mr-auto" />
+          <FavouriteButton image={photo} variant="button" />
+          <Button variant="secondary" onClick={onClose}>
+            Close
+          </Button>
+          <Button
+            variant="primary"
+            onClick={() => window.open(photo.img_src, '_blank')}
+          >
+            Open Original
+          </Button>
+        </Modal.Footer>
+      </div>
+    </Modal>
+  )
+}
+
+export default MarsPhotoViewer
\ No newline at end of file
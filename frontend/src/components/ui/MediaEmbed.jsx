@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react'
+import { clsx } from 'clsx'
+import { videoSource, webUrl } from '../../utils/apod'
+
+// Link card for media that can't be shown inline, e.g. interactive APOD pages
+function MediaLink({ url, title = '', thumbnailUrl = null, className = '' }) {
+  const href = webUrl(url)
+
+  return (
+    <div className={clsx('relative aspect-video bg-gray-900 rounded-lg overflow-hidden', className)}>
+      {thumbnailUrl && (
+        <img src={thumbnailUrl} alt={title} loading="lazy" className="absolute inset-0 w-full h-full object-cover opacity-40" />
+      )}
+      <div className="relative h-full flex flex-col items-center justify-center p-6 text-center space-y-3">
+        <div className="text-4xl">🔭</div>
+        <p className="text-gray-300">This entry can't be shown here</p>
+        {href && (
+          <a
+            href={href}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(event) => event.stopPropagation()}
+            className="text-space-400 hover:text-space-300 font-medium"
+          >
+            Open the original →
+          </a>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Click-to-load video. Until it is clicked only the thumbnail is shown, so the
+ * video host sees nothing; YouTube then plays from its no-cookie domain and
+ * Vimeo with do-not-track. URLs that aren't a known video fall back to a link.
+ */
+function MediaEmbed({ url, title = '', thumbnailUrl = null, fallbackUrl = null, className = '' }) {
+  const [playing, setPlaying] = useState(false)
+  const [thumbnailFailed, setThumbnailFailed] = useState(false)
+  const source = videoSource(url)
+
+  useEffect(() => {
+    setPlaying(false)
+    setThumbnailFailed(false)
+  }, [url])
+
+  if (!source) {
+    return <MediaLink url={webUrl(url) || fallbackUrl} title={title} thumbnailUrl={thumbnailUrl} className={className} />
+  }
+
+  if (playing) {
+    return (
+      <div className={clsx('relative aspect-video bg-black rounded-lg overflow-hidden', className)}>
+        {source.provider === 'file' ? (
+          <video src={source.src} title={title} className="w-full h-full" controls autoPlay />
+        ) : (
+          <iframe
+            src={source.embedUrl}
+            title={title}
+            className="w-full h-full border-0"
+            allow="autoplay; fullscreen; picture-in-picture"
+            referrerPolicy="strict-origin-when-cross-origin"
+            allowFullScreen
+          />
+        )}
+      </div>
+    )
+  }
+
+  const host = source.provider === 'file' ? new URL(source.src, window.location.href).hostname : source.provider
+
+  return (
+    <button
+      type="button"
+      onClick={(event) => {
+        // Cards open a viewer on click; playing should not
+        event.stopPropagation()
+        setPlaying(true)
+      }}
+      aria-label={`Play video: ${title}`}
+      className={clsx('relative block w-full aspect-video bg-gray-900 rounded-lg overflow-hidden group', className)}
+    >
+      {thumbnailUrl && !thumbnailFailed ? (
+        <img
+          src={thumbnailUrl}
+          alt={title}
+          loading="lazy"
+          onError={() => setThumbnailFailed(true)}
+          className="absolute inset-0 w-full h-full object-cover"
+        />
+      ) : (
+        <div className="absolute inset-0 bg-gradient-to-br from-space-900 to-gray-900" />
+      )}
+
+      <div className="absolute inset-0 bg-black/30 group-hover:bg-black/10 transition-colors" />
+
+      <div className="absolute inset-0 flex flex-col items-center justify-center space-y-3">
+        <span className="w-16 h-16 rounded-full bg-red-600/90 group-hover:bg-red-600 flex items-center justify-center text-2xl text-white shadow-lg">
+          ▶
+        </span>
+        <span className="px-2 py-1 rounded bg-black/70 text-xs text-gray-200">
+          Click to load from {host}
+        </span>
+      </div>
+
+      <span className="absolute top-4 left-4 bg-red-500 text-white px-2 py-1 rounded text-sm font-medium">
+        VIDEO
+      </span>
+    </button>
+  )
+}
+
+MediaEmbed.Link = MediaLink
+
+export default MediaEmbed
\ No newline at end of file
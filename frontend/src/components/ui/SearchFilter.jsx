@@ -3,6 +3,7 @@ import { clsx } from 'clsx'
 import Input from './Input'
 import Button from './Button'
 import Badge from './Badge'
+import { APOD_FIRST_DATE } from '../../utils/apod'
 
 function SearchFilter({
   onSearch,
@@ -146,7 +147,7 @@ function SearchFilter({
 }
 
 // Specialized search components for different data types
-function APODSearch({ onSearch, onDateRange, className = '' }) {
+function APODSearch({ onSearch, onFilter, onDateRange, searchValue = '', activeFilters = [], className = '' }) {
   const [startDate, setStartDate] = useState('')
   const [endDate, setEndDate] = useState('')
 
@@ -162,6 +163,9 @@ function APODSearch({ onSearch, onDateRange, className = '' }) {
     <div className={clsx('space-y-4', className)}>
       <SearchFilter
         onSearch={onSearch}
+        onFilter={onFilter}
+        searchValue={searchValue}
+        activeFilters={activeFilters}
         placeholder="Search APOD titles and descriptions..."
         filters={[
           { id: 'image', label: 'Images Only' },
@@ -175,6 +179,7 @@ function APODSearch({ onSearch, onDateRange, className = '' }) {
           type="date"
           value={startDate}
           onChange={(e) => setStartDate(e.target.value)}
+          min={APOD_FIRST_DATE}
           max={today}
           label="Start Date"
           containerClassName="flex-1"
@@ -184,7 +189,7 @@ function APODSearch({ onSearch, onDateRange, className = '' }) {
           value={endDate}
           onChange={(e) => setEndDate(e.target.value)}
           max={today}
-          min={startDate}
+          min={startDate || APOD_FIRST_DATE}
           label="End Date"
           containerClassName="flex-1"
         />
@@ -1,5 +1,16 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react'
 import { clsx } from 'clsx'
+import MediaEmbed from './MediaEmbed'
+import { apodPageUrl } from '../../utils/apod'
+import { proxyableUrl } from '../../utils/imageAllowlist'
+import { useAppContext } from '../../hooks/useAppContext'
+
+// Widths offered in srcset; the proxy resizes and caches each one
+const THUMBNAIL_WIDTHS = [160, 320, 640, 960, 1280]
+
+const thumbnailSrcSet = (url, widths) => widths
+  .map(width => `/api/proxy/thumbnail?url=${encodeURIComponent(url)}&width=${width} ${width}w`)
+  .join(', ')
 
 function SmartImage({
   src,
@@ -12,6 +23,9 @@ function SmartImage({
   timeout = 10000,
   onLoad = null,
   onError = null,
+  // With sizes set, NASA images are offered as resized variants through srcset
+  sizes = null,
+  widths = THUMBNAIL_WIDTHS,
   ...props
 }) {
   const [currentSrc, setCurrentSrc] = useState('')
@@ -22,6 +36,8 @@ function SmartImage({
   const [isFinalized, setIsFinalized] = useState(false) // Prevent infinite loops
   const imgRef = useRef(null)
   const timeoutRef = useRef(null)
+  // proxyableUrl reads the allowlist module; this changes when the server's list loads
+  const { state: { imageAllowlistVersion } } = useAppContext()
 
   // Generate proxy URL if needed
   const getProxiedUrl = useCallback((url) => {
@@ -30,16 +46,14 @@ function SmartImage({
     // Check if it's already a proxy URL
     if (url.includes('/api/proxy/image')) return url
     
-    // Check if it's a NASA URL that needs proxying
-    const nasaDomains = ['apod.nasa.gov', 'mars.nasa.gov', 'api.nasa.gov', 'epic.gsfc.nasa.gov']
-    const needsProxy = nasaDomains.some(domain => url.includes(domain))
-    
-    if (needsProxy) {
-      return `/api/proxy/image?url=${encodeURIComponent(url)}`
+    // Proxy only what the backend's allowlist accepts; anything else loads directly
+    const target = proxyableUrl(url)
+    if (target) {
+      return `/api/proxy/image?url=${encodeURIComponent(target)}`
     }
     
     return url
-  }, [useProxy])
+  }, [useProxy, imageAllowlistVersion])
 
   // Initialize image source
   useEffect(() => {
@@ -129,23 +143,44 @@ function SmartImage({
     }
   }, [isLoading, currentSrc, timeout, handleError, isFinalized])
 
+  // Resized variants only stand in for the proxied original; retries of the
+  // raw URL and the fallback image are loaded as they are
+  const proxyTarget = sizes && src && useProxy ? proxyableUrl(src) : null
+  const srcSet = proxyTarget && !fallbackAttempted && currentSrc === getProxiedUrl(src)
+    ? thumbnailSrcSet(proxyTarget, widths)
+    : undefined
+
   // Render loading placeholder
   if (isLoading && !hasError) {
     return (
-      <div 
-        className={clsx(
-          'flex items-center justify-center bg-gray-800 animate-pulse',
-          className
-        )}
-        {...props}
-      >
-        {placeholder || (
-          <div className="text-center text-gray-400">
-            <div className="animate-spin w-8 h-8 border-4 border-space-500 border-t-transparent rounded-full mx-auto mb-2" />
-            <p className="text-sm">Loading...</p>
-          </div>
+      <>
+        <div 
+          className={clsx(
+            'flex items-center justify-center bg-gray-800 animate-pulse',
+            className
+          )}
+          {...props}
+        >
+          {placeholder || (
+            <div className="text-center text-gray-400">
+              <div className="animate-spin w-8 h-8 border-4 border-space-500 border-t-transparent rounded-full mx-auto mb-2" />
+              <p className="text-sm">Loading...</p>
+            </div>
+          )}
+        </div>
+        {/* Loads out of sight; onLoad swaps it in for the placeholder */}
+        {currentSrc && (
+          <img
+            src={currentSrc}
+            srcSet={srcSet}
+            sizes={srcSet ? sizes : undefined}
+            alt=""
+            className="hidden"
+            onLoad={handleLoad}
+            onError={handleError}
+          />
         )}
-      </div>
+      </>
     )
   }
 
@@ -173,6 +208,8 @@ function SmartImage({
     <img
       ref={imgRef}
       src={currentSrc}
+      srcSet={srcSet}
+      sizes={srcSet ? sizes : undefined}
       alt={alt}
       className={clsx('transition-opacity duration-300', className)}
       onLoad={handleLoad}
@@ -196,27 +233,19 @@ function NASAImage({ src, ...props }) {
   )
 }
 
-// Component for APOD images with specific handling
+// Component for APOD entries: images, click-to-load videos, or a link for other media
 function APODImage({ apodData, ...props }) {
   if (!apodData) return null
 
-  // Handle video content
-  if (apodData.media_type === 'video') {
+  if (apodData.media_type && apodData.media_type !== 'image') {
     return (
-      <div className={clsx('relative bg-gray-900 rounded-lg overflow-hidden', props.className)}>
-        <iframe
-          src={apodData.url}
-          title={apodData.title}
-          className="w-full h-full"
-          frameBorder="0"
-          allowFullScreen
-        />
-        <div className="absolute top-4 right-4">
-          <span className="bg-red-500 text-white px-2 py-1 rounded text-sm font-medium">
-            VIDEO
-          </span>
-        </div>
-      </div>
+      <MediaEmbed
+        url={apodData.url}
+        title={apodData.title}
+        thumbnailUrl={apodData.thumbnail_url}
+        fallbackUrl={apodPageUrl(apodData.date)}
+        className={props.className}
+      />
     )
   }
 
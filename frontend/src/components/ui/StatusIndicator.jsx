@@ -23,6 +23,20 @@ const statusConfig = {
     icon: '❌',
     pulse: true
   },
+  degraded: {
+    color: 'bg-yellow-500',
+    textColor: 'text-yellow-400',
+    label: 'DEGRADED',
+    icon: '⚠️',
+    pulse: true
+  },
+  unavailable: {
+    color: 'bg-red-500',
+    textColor: 'text-red-400',
+    label: 'UNAVAILABLE',
+    icon: '❌',
+    pulse: true
+  },
   offline: {
     color: 'bg-gray-500',
     textColor: 'text-gray-400',
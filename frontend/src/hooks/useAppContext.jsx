@@ -1,20 +1,32 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react'
 import { apiService } from '../services/api'
+import * as collections from '../utils/collections'
+import { setImageAllowlist } from '../utils/imageAllowlist'
+
+const NOTIFICATION_DURATION_MS = 5000
 
 // Initial state
 const initialState = {
   // App status
   isLoading: false,
   error: null,
+  streamConnected: false,
+  // Bumped when the server's image proxy allowlist replaces the defaults,
+  // so components recompute their proxy URLs
+  imageAllowlistVersion: 0,
   apiHealth: null,
+  systemMetrics: null,
   
   // Data
   apodData: null,
   marsData: {
     rovers: [],
+    cameras: {},
     currentRover: 'curiosity',
     photos: [],
-    manifest: null
+    manifest: null,
+    // Newest sol per active rover, pushed by the live stream
+    latestSols: {}
   },
   asteroidsData: {
     feed: null,
@@ -24,6 +36,7 @@ const initialState = {
   earthData: {
     images: [],
     availableDates: [],
+    latestDate: null,
     currentType: 'natural'
   },
   
@@ -31,6 +44,11 @@ const initialState = {
   sidebarOpen: false,
   currentPage: 'dashboard',
   notifications: [],
+  // Unacknowledged watchlist alerts; they stay until acknowledged
+  alerts: [],
+
+  // Favourite and collected images, kept in localStorage
+  library: collections.emptyLibrary(),
   
 
 }
@@ -41,6 +59,7 @@ const actionTypes = {
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_API_HEALTH: 'SET_API_HEALTH',
+  SET_SYSTEM_METRICS: 'SET_SYSTEM_METRICS',
   SET_APOD_DATA: 'SET_APOD_DATA',
   SET_MARS_DATA: 'SET_MARS_DATA',
   SET_ASTEROIDS_DATA: 'SET_ASTEROIDS_DATA',
@@ -48,7 +67,20 @@ const actionTypes = {
   TOGGLE_SIDEBAR: 'TOGGLE_SIDEBAR',
   SET_CURRENT_PAGE: 'SET_CURRENT_PAGE',
   ADD_NOTIFICATION: 'ADD_NOTIFICATION',
-  REMOVE_NOTIFICATION: 'REMOVE_NOTIFICATION'
+  REMOVE_NOTIFICATION: 'REMOVE_NOTIFICATION',
+  SET_ALERTS: 'SET_ALERTS',
+  ADD_ALERT: 'ADD_ALERT',
+  REMOVE_ALERT: 'REMOVE_ALERT',
+  SET_STREAM_STATUS: 'SET_STREAM_STATUS',
+  IMAGE_ALLOWLIST_LOADED: 'IMAGE_ALLOWLIST_LOADED',
+  SET_LIBRARY: 'SET_LIBRARY',
+  IMPORT_LIBRARY: 'IMPORT_LIBRARY',
+  TOGGLE_FAVOURITE: 'TOGGLE_FAVOURITE',
+  CREATE_COLLECTION: 'CREATE_COLLECTION',
+  RENAME_COLLECTION: 'RENAME_COLLECTION',
+  DELETE_COLLECTION: 'DELETE_COLLECTION',
+  ADD_TO_COLLECTION: 'ADD_TO_COLLECTION',
+  REMOVE_FROM_COLLECTION: 'REMOVE_FROM_COLLECTION'
 }
 
 // Reducer function
@@ -66,6 +98,9 @@ function appReducer(state, action) {
     case actionTypes.SET_API_HEALTH:
       return { ...state, apiHealth: action.payload }
     
+    case actionTypes.SET_SYSTEM_METRICS:
+      return { ...state, systemMetrics: action.payload }
+    
     case actionTypes.SET_APOD_DATA:
       return { ...state, apodData: action.payload }
     
@@ -105,6 +140,51 @@ function appReducer(state, action) {
         notifications: state.notifications.filter(n => n.id !== action.payload)
       }
 
+    case actionTypes.SET_ALERTS:
+      return { ...state, alerts: action.payload }
+
+    case actionTypes.ADD_ALERT:
+      if (state.alerts.some(alert => alert.id === action.payload.id)) {
+        return state
+      }
+      return { ...state, alerts: [action.payload, ...state.alerts] }
+
+    case actionTypes.REMOVE_ALERT:
+      return {
+        ...state,
+        alerts: state.alerts.filter(alert => alert.id !== action.payload)
+      }
+
+    case actionTypes.SET_STREAM_STATUS:
+      return { ...state, streamConnected: action.payload }
+
+    case actionTypes.IMAGE_ALLOWLIST_LOADED:
+      return { ...state, imageAllowlistVersion: state.imageAllowlistVersion + 1 }
+
+    case actionTypes.SET_LIBRARY:
+      return { ...state, library: action.payload }
+
+    case actionTypes.IMPORT_LIBRARY:
+      return { ...state, library: collections.mergeLibraries(state.library, action.payload) }
+
+    case actionTypes.TOGGLE_FAVOURITE:
+      return { ...state, library: collections.toggleFavourite(state.library, action.payload) }
+
+    case actionTypes.CREATE_COLLECTION:
+      return { ...state, library: collections.createCollection(state.library, action.payload) }
+
+    case actionTypes.RENAME_COLLECTION:
+      return { ...state, library: collections.renameCollection(state.library, action.payload.id, action.payload.name) }
+
+    case actionTypes.DELETE_COLLECTION:
+      return { ...state, library: collections.deleteCollection(state.library, action.payload) }
+
+    case actionTypes.ADD_TO_COLLECTION:
+      return { ...state, library: collections.addToCollection(state.library, action.payload.id, action.payload.image) }
+
+    case actionTypes.REMOVE_FROM_COLLECTION:
+      return { ...state, library: collections.removeFromCollection(state.library, action.payload.id, action.payload.key) }
+
     default:
       return state
   }
@@ -115,7 +195,13 @@ const AppContext = createContext()
 
 // Provider component
 export function AppProvider({ children }) {
-  const [state, dispatch] = useReducer(appReducer, initialState)
+  const [state, dispatch] = useReducer(appReducer, initialState, (initial) => ({
+    ...initial,
+    library: collections.loadStoredLibrary()
+  }))
+  // Stream handlers outlive renders; they read the latest state through this
+  const stateRef = useRef(state)
+  stateRef.current = state
 
   // Action creators
   const actions = {
@@ -127,6 +213,8 @@ export function AppProvider({ children }) {
     
     setApiHealth: (health) => dispatch({ type: actionTypes.SET_API_HEALTH, payload: health }),
     
+    setSystemMetrics: (metrics) => dispatch({ type: actionTypes.SET_SYSTEM_METRICS, payload: metrics }),
+    
     setApodData: (data) => dispatch({ type: actionTypes.SET_APOD_DATA, payload: data }),
     
     setMarsData: (data) => dispatch({ type: actionTypes.SET_MARS_DATA, payload: data }),
@@ -139,20 +227,49 @@ export function AppProvider({ children }) {
     
     setCurrentPage: (page) => dispatch({ type: actionTypes.SET_CURRENT_PAGE, payload: page }),
     
-    addNotification: (notification) => {
+    // Pass duration: null to keep the notification until it is dismissed
+    addNotification: ({ duration = NOTIFICATION_DURATION_MS, ...notification }) => {
       const id = Date.now().toString()
       dispatch({ 
         type: actionTypes.ADD_NOTIFICATION, 
         payload: { id, ...notification }
       })
       
-      // Auto-remove notification after 5 seconds
-      setTimeout(() => {
-        dispatch({ type: actionTypes.REMOVE_NOTIFICATION, payload: id })
-      }, 5000)
+      if (duration) {
+        setTimeout(() => {
+          dispatch({ type: actionTypes.REMOVE_NOTIFICATION, payload: id })
+        }, duration)
+      }
     },
     
-    removeNotification: (id) => dispatch({ type: actionTypes.REMOVE_NOTIFICATION, payload: id })
+    removeNotification: (id) => dispatch({ type: actionTypes.REMOVE_NOTIFICATION, payload: id }),
+
+    setAlerts: (alerts) => dispatch({ type: actionTypes.SET_ALERTS, payload: alerts }),
+
+    addAlert: (alert) => dispatch({ type: actionTypes.ADD_ALERT, payload: alert }),
+
+    removeAlert: (id) => dispatch({ type: actionTypes.REMOVE_ALERT, payload: id }),
+
+    setStreamStatus: (connected) => dispatch({ type: actionTypes.SET_STREAM_STATUS, payload: connected }),
+
+    imageAllowlistLoaded: () => dispatch({ type: actionTypes.IMAGE_ALLOWLIST_LOADED }),
+
+    setLibrary: (library) => dispatch({ type: actionTypes.SET_LIBRARY, payload: library }),
+
+    // Merges into the current library rather than replacing it
+    importLibrary: (library) => dispatch({ type: actionTypes.IMPORT_LIBRARY, payload: library }),
+
+    toggleFavourite: (image) => dispatch({ type: actionTypes.TOGGLE_FAVOURITE, payload: image }),
+
+    createCollection: (name) => dispatch({ type: actionTypes.CREATE_COLLECTION, payload: name }),
+
+    renameCollection: (id, name) => dispatch({ type: actionTypes.RENAME_COLLECTION, payload: { id, name } }),
+
+    deleteCollection: (id) => dispatch({ type: actionTypes.DELETE_COLLECTION, payload: id }),
+
+    addToCollection: (id, image) => dispatch({ type: actionTypes.ADD_TO_COLLECTION, payload: { id, image } }),
+
+    removeFromCollection: (id, key) => dispatch({ type: actionTypes.REMOVE_FROM_COLLECTION, payload: { id, key } })
   }
 
   // API methods with error handling
@@ -176,6 +293,17 @@ export function AppProvider({ children }) {
       }
     },
 
+    async fetchMetrics() {
+      try {
+        const metrics = await apiService.getMetrics()
+        actions.setSystemMetrics(metrics.data)
+        return metrics
+      } catch (error) {
+        console.error('Failed to fetch system metrics:', error)
+        throw error
+      }
+    },
+
     async fetchApodToday() {
       try {
         actions.setLoading(true)
@@ -193,7 +321,10 @@ export function AppProvider({ children }) {
     async fetchMarsRovers() {
       try {
         const rovers = await apiService.mars.getRovers()
-        actions.setMarsData({ rovers: rovers.data.rovers })
+        actions.setMarsData({
+          rovers: rovers.data.rovers,
+          cameras: rovers.data.cameras
+        })
         return rovers
       } catch (error) {
         actions.setError(error.message)
@@ -212,6 +343,32 @@ export function AppProvider({ children }) {
       }
     },
 
+    async fetchAlerts() {
+      try {
+        const alerts = await apiService.watchlist.getAlerts(true)
+        actions.setAlerts(alerts.data.alerts)
+        return alerts
+      } catch (error) {
+        console.error('Failed to fetch watchlist alerts:', error)
+        throw error
+      }
+    },
+
+    async acknowledgeAlert(alertId) {
+      await apiService.watchlist.acknowledgeAlert(alertId)
+      actions.removeAlert(alertId)
+    },
+
+    async saveLibraryToServer(profile, token) {
+      return apiService.collections.save(profile, stateRef.current.library, token)
+    },
+
+    async loadLibraryFromServer(profile) {
+      const response = await apiService.collections.get(profile)
+      actions.importLibrary(collections.parseLibrary(response.data))
+      return response
+    },
+
     async fetchEarthImages() {
       try {
         const images = await apiService.epic.getLatest()
@@ -239,7 +396,89 @@ export function AppProvider({ children }) {
       }
     }
 
+    // Until this loads SmartImage uses the same defaults as the backend
+    const loadImageAllowlist = async () => {
+      try {
+        const response = await apiService.proxy.getAllowlist()
+        if (setImageAllowlist(response.data)) {
+          actions.imageAllowlistLoaded()
+        }
+      } catch (error) {
+        console.error('Failed to load image proxy allowlist:', error)
+      }
+    }
+
     initializeApp()
+    loadImageAllowlist()
+  }, [])
+
+  useEffect(() => {
+    collections.storeLibrary(state.library)
+  }, [state.library])
+
+  // Live updates pushed by the backend over Server-Sent Events
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      api.fetchAlerts().catch(() => {})
+      return undefined
+    }
+
+    const stream = apiService.openEventStream()
+    const handlers = {
+      health: (health) => actions.setApiHealth(health),
+
+      cache: (cache) => {
+        if (stateRef.current.apiHealth) {
+          actions.setApiHealth({ ...stateRef.current.apiHealth, cache })
+        }
+      },
+
+      metrics: (metrics) => actions.setSystemMetrics(metrics),
+
+      apod: (apod) => {
+        actions.setApodData(apod)
+        actions.addNotification({
+          type: 'info',
+          title: 'New Astronomy Picture',
+          message: apod.title
+        })
+      },
+
+      epic: ({ latest_date }) => {
+        actions.setEarthData({ latestDate: latest_date })
+        actions.addNotification({
+          type: 'info',
+          title: 'New Earth Imagery',
+          message: `EPIC images available for ${latest_date}`
+        })
+      },
+
+      mars: (update) => {
+        actions.setMarsData({
+          latestSols: { ...stateRef.current.marsData.latestSols, [update.rover]: update }
+        })
+        actions.addNotification({
+          type: 'info',
+          title: 'New Mars Sol',
+          message: `${update.rover} sent photos for sol ${update.max_sol}`
+        })
+      },
+
+      watchlist_alert: (alert) => actions.addAlert(alert)
+    }
+
+    Object.entries(handlers).forEach(([event, handle]) => {
+      stream.addEventListener(event, (message) => handle(JSON.parse(message.data)))
+    })
+
+    // Alerts raised while disconnected are not replayed, so reload them on every (re)connect
+    stream.onopen = () => {
+      actions.setStreamStatus(true)
+      api.fetchAlerts().catch(() => {})
+    }
+    stream.onerror = () => actions.setStreamStatus(false)
+
+    return () => stream.close()
   }, [])
 
   const value = {
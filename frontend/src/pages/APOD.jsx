@@ -5,8 +5,12 @@ import MissionControlPanel from '../components/ui/MissionControlPanel'
 import Button from '../components/ui/Button'
 import Input from '../components/ui/Input'
 import ImageGallery from '../components/gallery/ImageGallery'
+import APODArchiveSearch from '../components/apod/APODArchiveSearch'
+import APODCalendar from '../components/apod/APODCalendar'
+import FavouriteButton from '../components/collections/FavouriteButton'
 import SmartImage from '../components/ui/SmartImage'
 import { apiService } from '../services/api'
+import { APOD_FIRST_DATE, apodPageUrl, apodToday } from '../utils/apod'
 
 function APOD() {
   const { state, actions, api } = useAppContext()
@@ -55,6 +59,11 @@ function APOD() {
     }
   }
 
+  const showSearchResult = (apod) => {
+    actions.setApodData(apod)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
   return (
     <div className="space-y-8">
       {/* Header */}
@@ -69,7 +78,8 @@ function APOD() {
               value={selectedDate}
               onChange={(e) => setSelectedDate(e.target.value)}
               className="w-40"
-              max={new Date().toISOString().split('T')[0]}
+              min={APOD_FIRST_DATE}
+              max={apodToday()}
             />
             <Button
               onClick={handleDateSearch}
@@ -90,14 +100,25 @@ function APOD() {
                 apodData={state.apodData}
                 className="w-full rounded-lg shadow-lg hover:shadow-xl transition-shadow duration-300"
               />
-              <div className="absolute top-4 right-4">
-                <Button
-                  variant="secondary"
-                  size="sm"
-                  onClick={() => window.open(state.apodData.hdurl || state.apodData.url, '_blank')}
-                >
-                  HD Version
-                </Button>
+              <div className="absolute top-4 right-4 flex items-center space-x-2">
+                <FavouriteButton image={state.apodData} />
+                {state.apodData.media_type === 'image' ? (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => window.open(state.apodData.hdurl || state.apodData.url, '_blank')}
+                  >
+                    HD Version
+                  </Button>
+                ) : (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => window.open(apodPageUrl(state.apodData.date), '_blank', 'noopener')}
+                  >
+                    On apod.nasa.gov
+                  </Button>
+                )}
               </div>
             </div>
 
@@ -115,6 +136,8 @@ function APOD() {
 
               <p className="text-gray-300 leading-relaxed">{state.apodData.explanation}</p>
 
+              <FavouriteButton.CollectionPicker image={state.apodData} className="max-w-xs" />
+
               {state.apodData.copyright && (
                 <div className="pt-4 border-t border-gray-700">
                   <p className="text-sm text-gray-400">
@@ -127,6 +150,10 @@ function APOD() {
         )}
       </MissionControlPanel>
 
+      <APODCalendar onSelect={showSearchResult} />
+
+      <APODArchiveSearch onSelect={showSearchResult} />
+
       {/* Random APOD Gallery */}
       <MissionControlPanel
         title="EXPLORE MORE"
@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { useAppContext } from '../hooks/useAppContext'
+import MissionControlPanel from '../components/ui/MissionControlPanel'
+import Button from '../components/ui/Button'
+import Badge from '../components/ui/Badge'
+import LoadingSpinner from '../components/LoadingSpinner'
+import RiskScore from '../components/asteroids/RiskScore'
+import OrbitPlotter from '../components/asteroids/OrbitPlotter'
+import { AsteroidApproachChart } from '../components/charts/AsteroidChart'
+import { apiService } from '../services/api'
+
+const diameterUnits = [
+  { key: 'kilometers', label: 'Kilometers', unit: 'km' },
+  { key: 'meters', label: 'Meters', unit: 'm' },
+  { key: 'miles', label: 'Miles', unit: 'mi' },
+  { key: 'feet', label: 'Feet', unit: 'ft' }
+]
+
+const orbitalFields = [
+  { key: 'semi_major_axis', label: 'Semi-major Axis', unit: 'AU' },
+  { key: 'eccentricity', label: 'Eccentricity' },
+  { key: 'inclination', label: 'Inclination', unit: '°' },
+  { key: 'orbital_period', label: 'Orbital Period', unit: 'days' },
+  { key: 'perihelion_distance', label: 'Perihelion', unit: 'AU' },
+  { key: 'aphelion_distance', label: 'Aphelion', unit: 'AU' },
+  { key: 'ascending_node_longitude', label: 'Ascending Node', unit: '°' },
+  { key: 'perihelion_argument', label: 'Argument of Perihelion', unit: '°' },
+  { key: 'mean_anomaly', label: 'Mean Anomaly', unit: '°' },
+  { key: 'minimum_orbit_intersection', label: 'Earth MOID', unit: 'AU' },
+  { key: 'orbit_uncertainty', label: 'Orbit Uncertainty (0-9)' },
+  { key: 'observations_used', label: 'Observations Used' },
+  { key: 'data_arc_in_days', label: 'Data Arc', unit: 'days' },
+  { key: 'first_observation_date', label: 'First Observed' },
+  { key: 'last_observation_date', label: 'Last Observed' },
+  { key: 'orbit_determination_date', label: 'Orbit Determined' }
+]
+
+// NASA sends orbital elements as long decimal strings
+function formatOrbitalValue(value) {
+  const number = Number(value)
+  if (value === '' || value === null || value === undefined) return 'Unknown'
+  if (isNaN(number)) return value
+  return Number.isInteger(number) ? number.toLocaleString() : number.toFixed(4)
+}
+
+function AsteroidDetail() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { actions, api } = useAppContext()
+  const [asteroid, setAsteroid] = useState(null)
+  const [watchEntry, setWatchEntry] = useState(null)
+  const [watchLoading, setWatchLoading] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    actions.setCurrentPage('asteroids')
+  }, [])
+
+  useEffect(() => {
+    const loadAsteroid = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await apiService.neows.getById(id)
+        setAsteroid(response.data)
+      } catch (err) {
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadAsteroid()
+  }, [id])
+
+  useEffect(() => {
+    apiService.watchlist.list()
+      .then(response => setWatchEntry(response.data.entries.find(entry => entry.asteroid_id === id) || null))
+      .catch(err => console.error('Failed to load watchlist:', err))
+  }, [id])
+
+  const toggleWatch = async () => {
+    try {
+      setWatchLoading(true)
+      if (watchEntry) {
+        await apiService.watchlist.remove(watchEntry.id)
+        setWatchEntry(null)
+      } else {
+        const response = await apiService.watchlist.add(id)
+        setWatchEntry(response.data.entry)
+        actions.addNotification({
+          type: 'success',
+          title: 'Asteroid Watched',
+          message: `You will be alerted when ${response.data.entry.name} comes within ${response.data.entry.threshold_ld} LD`
+        })
+      }
+      await api.fetchAlerts()
+    } catch (err) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Watchlist Update Failed',
+        message: err.response?.data?.message || err.message
+      })
+    } finally {
+      setWatchLoading(false)
+    }
+  }
+
+  if (loading) {
+    return <LoadingSpinner message="Acquiring asteroid telemetry..." />
+  }
+
+  if (error || !asteroid) {
+    return (
+      <MissionControlPanel title="ASTEROID NOT FOUND" status="error">
+        <div className="text-center py-8 space-y-4">
+          <p className="text-red-400">{error || `No data for asteroid ${id}`}</p>
+          <Link to="/asteroids" className="btn-mission">Back to Asteroid Tracker</Link>
+        </div>
+      </MissionControlPanel>
+    )
+  }
+
+  const { analysis } = asteroid
+  const orbitalData = asteroid.orbital_data || {}
+  const nextApproach = analysis.next_approach
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <MissionControlPanel
+        title={asteroid.name}
+        subtitle={`NEO reference ${asteroid.neo_reference_id}${orbitalData.orbit_class ? ` · ${orbitalData.orbit_class.orbit_class_type} class` : ''}`}
+        status={asteroid.is_potentially_hazardous_asteroid ? 'warning' : 'operational'}
+        headerActions={
+          <div className="flex items-center space-x-4">
+            <Button variant="ghost" size="sm" onClick={() => navigate('/asteroids')}>
+              ← Back
+            </Button>
+            <Button
+              variant={watchEntry ? 'secondary' : 'primary'}
+              size="sm"
+              loading={watchLoading}
+              onClick={toggleWatch}
+            >
+              {watchEntry ? '★ Watching' : '☆ Watch'}
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => window.open(asteroid.nasa_jpl_url, '_blank', 'noopener,noreferrer')}
+            >
+              JPL Database
+            </Button>
+          </div>
+        }
+      >
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <Badge variant={asteroid.is_potentially_hazardous_asteroid ? 'error' : 'success'}>
+            {asteroid.is_potentially_hazardous_asteroid ? 'POTENTIALLY HAZARDOUS' : 'NOT HAZARDOUS'}
+          </Badge>
+          {asteroid.is_sentry_object && <Badge variant="warning">SENTRY OBJECT</Badge>}
+          <Badge variant="outline">{analysis.size_category}</Badge>
+          <RiskScore risk={analysis.risk} size="md" />
+        </div>
+
+        {/* Next Approach Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <MissionControlPanel.MetricCard
+            title="Next Approach"
+            value={nextApproach ? new Date(nextApproach.date).toLocaleDateString() : 'None scheduled'}
+            icon="📅"
+            status="operational"
+          />
+          <MissionControlPanel.MetricCard
+            title="Miss Distance"
+            value={nextApproach ? Math.round(nextApproach.distance_km).toLocaleString() : 'N/A'}
+            unit={nextApproach ? 'km' : ''}
+            icon="🎯"
+            status="operational"
+          />
+          <MissionControlPanel.MetricCard
+            title="Relative Velocity"
+            value={nextApproach ? Math.round(nextApproach.velocity_kmh).toLocaleString() : 'N/A'}
+            unit={nextApproach ? 'km/h' : ''}
+            icon="🚀"
+            status="operational"
+          />
+          <MissionControlPanel.MetricCard
+            title="Recorded Approaches"
+            value={analysis.approach_count}
+            icon="☄️"
+            status="operational"
+          />
+        </div>
+      </MissionControlPanel>
+
+      {/* Approach History */}
+      <MissionControlPanel
+        title="CLOSE APPROACH HISTORY"
+        subtitle="Past and future approaches, sized by velocity, coloured by orbiting body"
+        status="operational"
+      >
+        <AsteroidApproachChart approaches={asteroid.close_approach_data} />
+      </MissionControlPanel>
+
+      {/* Orbit */}
+      <MissionControlPanel
+        title="ORBIT VISUALISATION"
+        subtitle={nextApproach ? `Centred on the ${nextApproach.date} approach` : 'Centred on today'}
+        status="operational"
+      >
+        <OrbitPlotter
+          orbitalData={asteroid.orbital_data}
+          name={asteroid.name}
+          centerDate={nextApproach?.date}
+        />
+      </MissionControlPanel>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Diameter Estimates */}
+        <MissionControlPanel
+          title="ESTIMATED DIAMETER"
+          subtitle={`Absolute magnitude H ${asteroid.absolute_magnitude_h}`}
+          status="operational"
+        >
+          <MissionControlPanel.DataGrid
+            data={diameterUnits.map(({ key, label, unit }) => ({
+              label,
+              min: `${asteroid.estimated_diameter[key].estimated_diameter_min.toLocaleString(undefined, { maximumFractionDigits: 3 })} ${unit}`,
+              max: `${asteroid.estimated_diameter[key].estimated_diameter_max.toLocaleString(undefined, { maximumFractionDigits: 3 })} ${unit}`
+            }))}
+            columns={[
+              { header: 'Unit', key: 'label' },
+              { header: 'Min', key: 'min' },
+              { header: 'Max', key: 'max' }
+            ]}
+          />
+        </MissionControlPanel>
+
+        {/* Orbital Data */}
+        <MissionControlPanel
+          title="ORBITAL DATA"
+          subtitle={orbitalData.orbit_class?.orbit_class_description || 'Orbital elements'}
+          status="operational"
+          className="lg:col-span-2"
+        >
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {orbitalFields.map(({ key, label, unit }) => (
+              <div key={key} className="bg-gray-800/60 rounded-lg p-3 border border-gray-700">
+                <div className="text-xs text-gray-400">{label}</div>
+                <div className="font-mono text-white">
+                  {formatOrbitalValue(orbitalData[key])}
+                  {unit && orbitalData[key] !== undefined && <span className="text-gray-400 text-xs ml-1">{unit}</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </MissionControlPanel>
+      </div>
+
+      {analysis.risk && (
+        <MissionControlPanel
+          title="RISK BREAKDOWN"
+          subtitle={`Scored for the ${analysis.risk.approach_date} approach`}
+          status={['HIGH', 'CRITICAL'].includes(analysis.risk.level) ? 'warning' : 'operational'}
+        >
+          <RiskScore.Breakdown risk={analysis.risk} />
+        </MissionControlPanel>
+      )}
+    </div>
+  )
+}
+
+export default AsteroidDetail
\ No newline at end of file
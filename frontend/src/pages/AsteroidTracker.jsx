@@ -1,9 +1,13 @@
 import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
 import { useAppContext } from '../hooks/useAppContext'
 import MissionControlPanel from '../components/ui/MissionControlPanel'
 import Button from '../components/ui/Button'
 import Badge from '../components/ui/Badge'
 import { AsteroidThreatChart, AsteroidSizeDistribution, AsteroidVelocityChart } from '../components/charts/AsteroidChart'
+import NEOBrowser from '../components/asteroids/NEOBrowser'
+import Watchlist from '../components/asteroids/Watchlist'
+import RiskScore from '../components/asteroids/RiskScore'
 import { apiService } from '../services/api'
 
 function AsteroidTracker() {
@@ -56,32 +60,36 @@ function AsteroidTracker() {
     }
   }
 
+  // Today's threat level is the level of the highest scoring object
   const getThreatLevel = () => {
     if (!state.asteroidsData.feed) return 'unknown'
 
-    const totalObjects = state.asteroidsData.feed.element_count || 0
-    const hazardousCount = hazardousAsteroids.length
-
-    if (hazardousCount === 0) return 'low'
-    if (hazardousCount < 3) return 'medium'
-    return 'high'
+    const highestRisk = state.asteroidsData.feed.risk_summary?.highest_risk
+    return highestRisk ? highestRisk.level.toLowerCase() : 'low'
   }
 
   const threatLevel = getThreatLevel()
   const threatColors = {
     low: 'success',
-    medium: 'warning',
+    moderate: 'warning',
     high: 'error',
+    critical: 'error',
     unknown: 'secondary'
   }
 
+  const riskRanking = Object.values(state.asteroidsData.feed?.near_earth_objects || {})
+    .flat()
+    .filter(asteroid => asteroid.risk)
+    .sort((a, b) => b.risk.score - a.risk.score)
+    .slice(0, 5)
+
   return (
     <div className="space-y-8">
       {/* Header */}
       <MissionControlPanel
         title="ASTEROID THREAT MONITORING"
         subtitle="Near Earth Object Tracking System"
-        status={threatLevel === 'high' ? 'warning' : 'operational'}
+        status={['high', 'critical'].includes(threatLevel) ? 'warning' : 'operational'}
         headerActions={
           <div className="flex items-center space-x-4">
             <Badge variant={threatColors[threatLevel]} size="md">
@@ -150,6 +158,29 @@ function AsteroidTracker() {
         </MissionControlPanel>
       </div>
 
+      {/* Risk Ranking */}
+      {riskRanking.length > 0 && (
+        <MissionControlPanel
+          title="RISK RANKING"
+          subtitle="Today's objects by composite risk score"
+          status={['high', 'critical'].includes(threatLevel) ? 'warning' : 'operational'}
+        >
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-5 gap-6">
+            {riskRanking.map(asteroid => (
+              <div key={asteroid.id} className="bg-gray-800/60 rounded-lg p-4 border border-gray-700 space-y-3">
+                <div className="flex items-start justify-between space-x-2">
+                  <Link to={`/asteroids/${asteroid.id}`} className="font-mono text-sm text-white hover:text-space-300">
+                    {asteroid.name}
+                  </Link>
+                  <RiskScore risk={asteroid.risk} />
+                </div>
+                <RiskScore.Breakdown risk={asteroid.risk} />
+              </div>
+            ))}
+          </div>
+        </MissionControlPanel>
+      )}
+
       <MissionControlPanel
         title="VELOCITY ANALYSIS"
         subtitle="Speed distribution of approaching objects"
@@ -171,7 +202,16 @@ function AsteroidTracker() {
               {
                 header: 'Name',
                 key: 'name',
-                render: (value) => <span className="font-mono text-sm">{value}</span>
+                render: (value, row) => (
+                  <Link to={`/asteroids/${row.id}`} className="font-mono text-sm text-space-400 hover:text-space-300">
+                    {value}
+                  </Link>
+                )
+              },
+              {
+                header: 'Risk',
+                key: 'risk',
+                render: (risk) => <RiskScore risk={risk} />
               },
               {
                 header: 'Diameter (km)',
@@ -206,6 +246,12 @@ function AsteroidTracker() {
           />
         </MissionControlPanel>
       )}
+
+      {/* Watched Asteroids */}
+      <Watchlist />
+
+      {/* Full NEO Catalogue */}
+      <NEOBrowser />
     </div>
   )
 }
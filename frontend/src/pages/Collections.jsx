@@ -0,0 +1,300 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { clsx } from 'clsx'
+import { useAppContext } from '../hooks/useAppContext'
+import MissionControlPanel from '../components/ui/MissionControlPanel'
+import ImageGallery from '../components/gallery/ImageGallery'
+import Button from '../components/ui/Button'
+import Input from '../components/ui/Input'
+import Badge from '../components/ui/Badge'
+import { itemsFor, loadProfileToken, parseLibrary, storeProfileToken } from '../utils/collections'
+
+const FAVOURITES = 'favourites'
+const PROFILE_STORAGE_KEY = 'nasa-mission-control:profile'
+
+// Prefer the backend's explanation (e.g. "Nothing has been saved for ... yet") over axios' generic one
+const errorMessage = (error) => error.response?.data?.message || error.message
+
+function downloadJson(data, filename) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+function ServerSync() {
+  const { actions, api } = useAppContext()
+  const [profile, setProfile] = useState(() => localStorage.getItem(PROFILE_STORAGE_KEY) || '')
+  const [token, setToken] = useState('')
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    localStorage.setItem(PROFILE_STORAGE_KEY, profile)
+    setToken(loadProfileToken(profile))
+  }, [profile])
+
+  // The first save creates the profile and returns the token needed to overwrite it later
+  const saveToServer = async () => {
+    const response = await api.saveLibraryToServer(profile, token)
+    const ownerToken = response.data.token || token
+    if (ownerToken) {
+      storeProfileToken(profile, ownerToken)
+      setToken(ownerToken)
+    }
+  }
+
+  const run = async (kind, task, success) => {
+    try {
+      setBusy(kind)
+      await task()
+      actions.addNotification({ type: 'success', ...success })
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: kind === 'save' ? 'Could Not Save Collections' : 'Could Not Load Collections',
+        message: errorMessage(error)
+      })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const validProfile = /^[a-z0-9_-]{1,64}$/i.test(profile)
+
+  return (
+    <MissionControlPanel
+      title="SERVER COPY"
+      subtitle="Optional: keep a copy on the server to use in another browser or share with the team"
+      status="operational"
+    >
+      <div className="flex flex-col md:flex-row md:items-end gap-4">
+        <Input
+          label="Profile Name"
+          placeholder="e.g. flight-dynamics"
+          value={profile}
+          onChange={(event) => setProfile(event.target.value.trim())}
+          error={profile && !validProfile ? 'Letters, numbers, dashes and underscores only' : null}
+          containerClassName="flex-1"
+        />
+        <Input
+          label="Owner Token"
+          type="password"
+          placeholder="Given by the first save"
+          value={token}
+          onChange={(event) => setToken(event.target.value.trim())}
+          autoComplete="off"
+          containerClassName="flex-1"
+        />
+        <Button
+          size="sm"
+          loading={busy === 'save'}
+          disabled={!validProfile || busy !== null}
+          onClick={() => run('save', saveToServer, {
+            title: 'Collections Saved',
+            message: `Saved on the server as ${profile}`
+          })}
+        >
+          Save to Server
+        </Button>
+        <Button
+          variant="secondary"
+          size="sm"
+          loading={busy === 'load'}
+          disabled={!validProfile || busy !== null}
+          onClick={() => run('load', () => api.loadLibraryFromServer(profile), {
+            title: 'Collections Loaded',
+            message: `Merged ${profile} from the server into this browser`
+          })}
+        >
+          Load from Server
+        </Button>
+      </div>
+    </MissionControlPanel>
+  )
+}
+
+function Collections() {
+  const { state, actions } = useAppContext()
+  const { library } = state
+  const [selected, setSelected] = useState(FAVOURITES)
+  const [newName, setNewName] = useState('')
+  const fileInput = useRef(null)
+
+  useEffect(() => {
+    actions.setCurrentPage('collections')
+  }, [])
+
+  const collection = library.collections.find(candidate => candidate.id === selected)
+
+  // Fall back to favourites when the open collection is deleted
+  useEffect(() => {
+    if (selected !== FAVOURITES && !collection) {
+      setSelected(FAVOURITES)
+    }
+  }, [selected, collection])
+
+  const images = itemsFor(library, collection ? collection.items : library.favourites)
+
+  const createCollection = (event) => {
+    event.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+
+    actions.createCollection(name)
+    setNewName('')
+  }
+
+  const renameCollection = () => {
+    const name = window.prompt('Rename collection', collection.name)?.trim()
+    if (name) {
+      actions.renameCollection(collection.id, name)
+    }
+  }
+
+  const deleteCollection = () => {
+    if (window.confirm(`Delete the collection "${collection.name}"? Favourites are kept.`)) {
+      actions.deleteCollection(collection.id)
+    }
+  }
+
+  const exportLibrary = () => {
+    downloadJson(library, `nasa-collections-${new Date().toISOString().split('T')[0]}.json`)
+  }
+
+  const importLibrary = async (event) => {
+    const [file] = event.target.files
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const imported = parseLibrary(JSON.parse(await file.text()))
+      actions.importLibrary(imported)
+      actions.addNotification({
+        type: 'success',
+        title: 'Collections Imported',
+        message: `${imported.favourites.length} favourites and ${imported.collections.length} collections merged`
+      })
+    } catch (error) {
+      actions.addNotification({
+        type: 'error',
+        title: 'Import Failed',
+        message: error.message
+      })
+    }
+  }
+
+  const lists = [
+    { id: FAVOURITES, name: 'Favourites', icon: '★', count: library.favourites.length },
+    ...library.collections.map(candidate => ({ id: candidate.id, name: candidate.name, icon: '📁', count: candidate.items.length }))
+  ]
+
+  return (
+    <div className="space-y-8">
+      <MissionControlPanel
+        title="COLLECTIONS"
+        subtitle="Favourite APODs, Mars photos and EPIC frames, saved in this browser"
+        status="operational"
+        headerActions={
+          <div className="flex items-center space-x-2">
+            <Button variant="secondary" size="sm" onClick={exportLibrary} icon="⬇️">
+              Export
+            </Button>
+            <Button variant="secondary" size="sm" onClick={() => fileInput.current?.click()} icon="⬆️">
+              Import
+            </Button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={importLibrary}
+            />
+          </div>
+        }
+      >
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="space-y-4">
+            <nav className="space-y-1">
+              {lists.map(list => (
+                <button
+                  key={list.id}
+                  type="button"
+                  onClick={() => setSelected(list.id)}
+                  className={clsx(
+                    'w-full flex items-center justify-between px-3 py-2 rounded-lg text-left transition-colors',
+                    selected === list.id ? 'bg-space-600/30 text-white' : 'text-gray-300 hover:bg-gray-800'
+                  )}
+                >
+                  <span className="truncate">{list.icon} {list.name}</span>
+                  <Badge variant="secondary" size="sm">{list.count}</Badge>
+                </button>
+              ))}
+            </nav>
+
+            <form onSubmit={createCollection} className="space-y-2">
+              <Input
+                placeholder="New collection name"
+                value={newName}
+                onChange={(event) => setNewName(event.target.value)}
+                maxLength={80}
+              />
+              <Button type="submit" size="sm" disabled={!newName.trim()} className="w-full">
+                Create Collection
+              </Button>
+            </form>
+          </div>
+
+          <div className="lg:col-span-3 space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-white">
+                {collection ? collection.name : 'Favourites'}
+              </h3>
+              {collection && (
+                <div className="flex space-x-2">
+                  <Button variant="ghost" size="sm" onClick={renameCollection}>Rename</Button>
+                  <Button variant="ghost" size="sm" onClick={deleteCollection}>Delete</Button>
+                </div>
+              )}
+            </div>
+
+            {images.length > 0 ? (
+              <ImageGallery
+                images={images}
+                columns={3}
+                showMetadata={true}
+                cardActions={collection ? (image) => (
+                  <button
+                    type="button"
+                    onClick={(event) => {
+                      event.stopPropagation()
+                      actions.removeFromCollection(collection.id, image.key)
+                    }}
+                    aria-label={`Remove from ${collection.name}`}
+                    title={`Remove from ${collection.name}`}
+                    className="w-9 h-9 rounded-full bg-black/60 hover:bg-red-500/80 flex items-center justify-center text-white transition-colors"
+                  >
+                    ✕
+                  </button>
+                ) : null}
+              />
+            ) : (
+              <div className="text-center py-12 text-gray-400">
+                <div className="text-4xl mb-2">{collection ? '📁' : '☆'}</div>
+                <p>
+                  {collection
+                    ? 'Add images to this collection from an image\'s details view'
+                    : 'Star an APOD, Mars photo or EPIC frame to see it here'}
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      </MissionControlPanel>
+
+      <ServerSync />
+    </div>
+  )
+}
+
+export default Collections
\ No newline at end of file
@@ -7,6 +7,15 @@ import Button from '../components/ui/Button'
 import Badge from '../components/ui/Badge'
 import StatusIndicator from '../components/ui/StatusIndicator'
 import MissionControlPanel from '../components/ui/MissionControlPanel'
+import { SystemPerformanceChart, SystemHealthRadar, APIUsageChart } from '../components/charts/SystemMetricsChart'
+
+// NASA products reported per circuit breaker by /api/health
+const NASA_SERVICES = [
+  { key: 'apod', name: 'APOD' },
+  { key: 'mars', name: 'Mars Rover Photos' },
+  { key: 'neows', name: 'NeoWs' },
+  { key: 'epic', name: 'EPIC' }
+]
 
 function Dashboard() {
   const { state, actions, api } = useAppContext()
@@ -32,10 +41,15 @@ function Dashboard() {
     loadDashboardData()
   }, [])
 
+  // Later metrics snapshots arrive over the live stream
+  useEffect(() => {
+    api.fetchMetrics().catch(() => {})
+  }, [])
+
   const handleRefresh = async () => {
     setRefreshing(true)
     try {
-      await api.checkHealth()
+      await Promise.all([api.checkHealth(), api.fetchMetrics()])
       actions.addNotification({
         type: 'success',
         title: 'Data Refreshed',
@@ -252,11 +266,16 @@ function Dashboard() {
         >
           <StatusIndicator.SystemStatus
             systems={[
-              {
-                name: 'NASA API Gateway',
-                status: state.apiHealth?.services?.nasa_api === 'operational' ? 'operational' : 'error',
-                label: state.apiHealth?.services?.nasa_api || 'Unknown'
-              },
+              ...NASA_SERVICES.map(({ key, name }) => {
+                const circuit = state.apiHealth?.circuits?.[key]
+                return {
+                  name: `NASA ${name}`,
+                  status: state.apiHealth?.services?.[key] || 'offline',
+                  label: circuit?.state === 'open' && circuit.retry_after > 0
+                    ? `RETRY IN ${circuit.retry_after}s`
+                    : null
+                }
+              }),
               {
                 name: 'Cache System',
                 status: 'operational',
@@ -306,6 +325,33 @@ function Dashboard() {
           </div>
         </MissionControlPanel>
       )}
+
+      {/* System Metrics */}
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        <MissionControlPanel
+          title="API PERFORMANCE"
+          subtitle="Request rate and response time"
+          status="operational"
+        >
+          <SystemPerformanceChart metrics={state.systemMetrics} />
+        </MissionControlPanel>
+
+        <MissionControlPanel
+          title="API USAGE"
+          subtitle="Requests by endpoint"
+          status="operational"
+        >
+          <APIUsageChart metrics={state.systemMetrics} />
+        </MissionControlPanel>
+
+        <MissionControlPanel
+          title="SYSTEM HEALTH"
+          subtitle="Multi-dimensional overview"
+          status="operational"
+        >
+          <SystemHealthRadar apiHealth={state.apiHealth} metrics={state.systemMetrics} />
+        </MissionControlPanel>
+      </div>
     </div>
   )
 }
@@ -1,35 +1,511 @@
-import React, { useEffect } from 'react'
+import React, { useEffect, useState, useMemo, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { useAppContext } from '../hooks/useAppContext'
 import LoadingSpinner from '../components/LoadingSpinner'
+import MissionControlPanel from '../components/ui/MissionControlPanel'
+import Button from '../components/ui/Button'
+import Input from '../components/ui/Input'
+import Badge from '../components/ui/Badge'
+import ImageGallery from '../components/gallery/ImageGallery'
+import MarsPhotoViewer from '../components/gallery/MarsPhotoViewer'
+import { SolActivityHeatmap } from '../components/charts/SolActivityChart'
+import { apiService } from '../services/api'
+
+// NASA Mars Photos API returns a fixed page size
+const PHOTOS_PER_PAGE = 25
+const ACTIVITY_WINDOW = 60
 
 function MarsExplorer() {
-  const { state, actions } = useAppContext()
+  const { state, actions, api } = useAppContext()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [photos, setPhotos] = useState([])
+  const [loadingManifest, setLoadingManifest] = useState(false)
+  const [loadingPhotos, setLoadingPhotos] = useState(false)
+  const [solInput, setSolInput] = useState('')
+  const [dateInput, setDateInput] = useState('')
+  const [viewerIndex, setViewerIndex] = useState(null)
+  const [activity, setActivity] = useState(null)
+  const [activityEnd, setActivityEnd] = useState(null)
+  const [loadingActivity, setLoadingActivity] = useState(false)
+
+  // Selection lives in the URL so views can be shared and linked to
+  const rover = searchParams.get('rover') || state.marsData.currentRover
+  const sol = searchParams.get('sol')
+  const earthDate = searchParams.get('earth_date')
+  const camera = searchParams.get('camera') || ''
+  const page = parseInt(searchParams.get('page')) || 1
+  const dateMode = earthDate ? 'earth_date' : 'sol'
+
+  const manifest = state.marsData.manifest?.name?.toLowerCase() === rover
+    ? state.marsData.manifest
+    : null
+
+  const updateParams = useCallback((changes, options = {}) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev)
+      Object.entries({ page: null, ...changes }).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+          next.delete(key)
+        } else {
+          next.set(key, value)
+        }
+      })
+      return next
+    }, options)
+  }, [setSearchParams])
 
   useEffect(() => {
     actions.setCurrentPage('mars')
+
+    if (state.marsData.rovers.length === 0) {
+      api.fetchMarsRovers()
+    }
   }, [])
 
+  // Load the mission manifest whenever the rover changes
+  useEffect(() => {
+    if (manifest) return
+
+    const loadManifest = async () => {
+      try {
+        setLoadingManifest(true)
+        const response = await apiService.mars.getRoverManifest(rover)
+        actions.setMarsData({
+          currentRover: rover,
+          manifest: response.data.photo_manifest
+        })
+      } catch (error) {
+        actions.addNotification({
+          type: 'error',
+          title: 'Failed to load rover manifest',
+          message: error.message
+        })
+      } finally {
+        setLoadingManifest(false)
+      }
+    }
+
+    loadManifest()
+  }, [rover, manifest])
+
+  // Default to the most recent sol once the manifest is known
+  useEffect(() => {
+    if (manifest && !sol && !earthDate) {
+      updateParams({ sol: manifest.max_sol }, { replace: true })
+    }
+  }, [manifest, sol, earthDate, updateParams])
+
+  useEffect(() => {
+    setSolInput(sol || '')
+    setDateInput(earthDate || '')
+  }, [sol, earthDate])
+
+  // Fetch the requested page of photos
+  useEffect(() => {
+    if (!sol && !earthDate) return
+
+    const loadPhotos = async () => {
+      try {
+        setLoadingPhotos(true)
+        const params = { page }
+        if (sol) params.sol = sol
+        if (earthDate) params.earth_date = earthDate
+        if (camera) params.camera = camera
+
+        const response = await apiService.mars.getRoverPhotos(rover, params)
+        const results = response.data.photos || []
+        setPhotos(results)
+        setViewerIndex(null)
+        actions.setMarsData({ photos: results })
+      } catch (error) {
+        setPhotos([])
+        actions.addNotification({
+          type: 'error',
+          title: 'Failed to load rover photos',
+          message: error.message
+        })
+      } finally {
+        setLoadingPhotos(false)
+      }
+    }
+
+    loadPhotos()
+  }, [rover, sol, earthDate, camera, page])
+
+  // Keep the activity window on the rover's latest sols until the user pages it
+  useEffect(() => {
+    setActivityEnd(null)
+  }, [rover])
+
+  useEffect(() => {
+    if (!manifest) return
+
+    const loadActivity = async () => {
+      try {
+        setLoadingActivity(true)
+        const endSol = activityEnd ?? manifest.max_sol
+        const startSol = Math.max(0, endSol - ACTIVITY_WINDOW + 1)
+        const response = await apiService.mars.getRoverActivity(rover, startSol, endSol)
+        setActivity(response.data)
+      } catch (error) {
+        setActivity(null)
+        console.error('Failed to load sol activity:', error)
+      } finally {
+        setLoadingActivity(false)
+      }
+    }
+
+    loadActivity()
+  }, [rover, manifest, activityEnd])
+
+  // Bring a sol selected elsewhere (URL, date input) into the activity window
+  useEffect(() => {
+    if (!activity || !manifest || sol === null) return
+
+    const selected = Number(sol)
+    if (selected < activity.window.start_sol || selected > activity.window.end_sol) {
+      setActivityEnd(Math.min(manifest.max_sol, selected + ACTIVITY_WINDOW / 2))
+    }
+  }, [sol, activity, manifest])
+
+  const shiftActivityWindow = (direction) => {
+    if (!activity || !manifest) return
+
+    const nextEnd = activity.window.end_sol + direction * ACTIVITY_WINDOW
+    setActivityEnd(Math.min(manifest.max_sol, Math.max(ACTIVITY_WINDOW - 1, nextEnd)))
+  }
+
+  // Manifest entry for the selected day tells us photo totals and active cameras
+  const manifestEntry = useMemo(() => {
+    if (!manifest?.photos) return null
+    return manifest.photos.find(entry =>
+      sol !== null ? entry.sol === Number(sol) : entry.earth_date === earthDate
+    ) || null
+  }, [manifest, sol, earthDate])
+
+  const activeSols = useMemo(() => {
+    return manifest?.photos?.map(entry => entry.sol) || []
+  }, [manifest])
+
+  const totalPages = !camera && manifestEntry
+    ? Math.max(1, Math.ceil(manifestEntry.total_photos / PHOTOS_PER_PAGE))
+    : null
+  const hasNextPage = photos.length === PHOTOS_PER_PAGE && (!totalPages || page < totalPages)
+
+  const roverCameras = state.marsData.cameras?.[rover] || []
+
+  const handleRoverChange = (newRover) => {
+    if (newRover === rover) return
+    setSearchParams({ rover: newRover })
+  }
+
+  const handleDateModeChange = (mode) => {
+    if (mode === dateMode) return
+
+    // Carry the current day across using the manifest mapping
+    if (mode === 'earth_date') {
+      updateParams({ sol: null, earth_date: manifestEntry?.earth_date || manifest?.max_date })
+    } else {
+      updateParams({ earth_date: null, sol: manifestEntry?.sol ?? manifest?.max_sol })
+    }
+  }
+
+  const handleDaySubmit = (e) => {
+    e.preventDefault()
+    if (dateMode === 'sol' && solInput !== '') {
+      updateParams({ sol: solInput, earth_date: null })
+    } else if (dateMode === 'earth_date' && dateInput) {
+      updateParams({ earth_date: dateInput, sol: null })
+    }
+  }
+
+  const jumpToActiveSol = (direction) => {
+    const current = manifestEntry?.sol ?? Number(sol)
+    const target = direction < 0
+      ? [...activeSols].reverse().find(s => s < current)
+      : activeSols.find(s => s > current)
+
+    if (target !== undefined) {
+      updateParams({ sol: target, earth_date: null })
+    }
+  }
+
+  const handleCameraChange = (cameraName) => {
+    updateParams({ camera: cameraName === camera ? null : cameraName })
+  }
+
+  const handlePageChange = (newPage) => {
+    updateParams({ page: newPage > 1 ? newPage : null })
+  }
+
   return (
     <div className="space-y-8">
-      <div className="text-center">
-        <h1 className="text-4xl font-bold font-space gradient-text mb-4">
-          Mars Explorer
-        </h1>
-        <p className="text-xl text-gray-300">
-          Explore the Red Planet through NASA Mars rover cameras
-        </p>
-      </div>
-
-      <div className="card-mission p-8 text-center">
-        <div className="text-6xl mb-4">🔴</div>
-        <h2 className="text-2xl font-bold mb-4">Mars Rover Photos</h2>
-        <p className="text-gray-300 mb-6">
-          Browse photos from Curiosity, Perseverance, Opportunity, and Spirit rovers
-        </p>
-        <div className="text-sm text-gray-400">
-          Available rovers: {state.marsData.rovers.join(', ') || 'Loading...'}
+      {/* Header */}
+      <MissionControlPanel
+        title="MARS EXPLORER"
+        subtitle="Explore the Red Planet through NASA Mars rover cameras"
+        status={manifest?.status === 'active' ? 'operational' : 'offline'}
+        headerActions={
+          <div className="flex items-center space-x-2">
+            {state.marsData.rovers.map((roverName) => (
+              <MissionControlPanel.ControlButton
+                key={roverName}
+                active={roverName === rover}
+                variant={roverName === rover ? 'primary' : 'default'}
+                onClick={() => handleRoverChange(roverName)}
+                className="capitalize"
+              >
+                {roverName}
+              </MissionControlPanel.ControlButton>
+            ))}
+          </div>
+        }
+      >
+        {loadingManifest && !manifest ? (
+          <LoadingSpinner message="Loading rover manifest..." />
+        ) : manifest ? (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <MissionControlPanel.MetricCard
+              title="Mission Status"
+              value={manifest.status.toUpperCase()}
+              icon="🤖"
+              status={manifest.status === 'active' ? 'operational' : 'offline'}
+            />
+            <MissionControlPanel.MetricCard
+              title="Landing Date"
+              value={new Date(manifest.landing_date).toLocaleDateString()}
+              icon="🛬"
+              status="operational"
+            />
+            <MissionControlPanel.MetricCard
+              title="Latest Sol"
+              value={manifest.max_sol.toLocaleString()}
+              unit={new Date(manifest.max_date).toLocaleDateString()}
+              icon="☀️"
+              status="operational"
+            />
+            <MissionControlPanel.MetricCard
+              title="Total Photos"
+              value={manifest.total_photos.toLocaleString()}
+              icon="📸"
+              status="operational"
+            />
+          </div>
+        ) : (
+          <div className="text-center py-8 text-gray-400">
+            <div className="text-4xl mb-2">🔴</div>
+            <p>Rover manifest unavailable</p>
+          </div>
+        )}
+      </MissionControlPanel>
+
+      {/* Day and camera selection */}
+      <MissionControlPanel
+        title="OBSERVATION WINDOW"
+        subtitle="Select a Martian sol or Earth date"
+        status="operational"
+      >
+        <div className="space-y-6">
+          <form onSubmit={handleDaySubmit} className="flex flex-wrap items-end gap-4">
+            <div className="flex items-center space-x-2">
+              <MissionControlPanel.ControlButton
+                type="button"
+                active={dateMode === 'sol'}
+                variant={dateMode === 'sol' ? 'primary' : 'default'}
+                onClick={() => handleDateModeChange('sol')}
+              >
+                Sol
+              </MissionControlPanel.ControlButton>
+              <MissionControlPanel.ControlButton
+                type="button"
+                active={dateMode === 'earth_date'}
+                variant={dateMode === 'earth_date' ? 'primary' : 'default'}
+                onClick={() => handleDateModeChange('earth_date')}
+              >
+                Earth Date
+              </MissionControlPanel.ControlButton>
+            </div>
+
+            {dateMode === 'sol' ? (
+              <Input
+                type="number"
+                value={solInput}
+                onChange={(e) => setSolInput(e.target.value)}
+                min={0}
+                max={manifest?.max_sol}
+                className="w-32"
+                aria-label="Sol"
+              />
+            ) : (
+              <Input
+                type="date"
+                value={dateInput}
+                onChange={(e) => setDateInput(e.target.value)}
+                min={manifest?.landing_date}
+                max={manifest?.max_date}
+                className="w-44"
+                aria-label="Earth date"
+              />
+            )}
+
+            <Button type="submit" size="sm" disabled={!manifest}>
+              Load
+            </Button>
+
+            {dateMode === 'sol' && (
+              <div className="flex items-center space-x-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => jumpToActiveSol(-1)}
+                  disabled={!activeSols.length}
+                >
+                  ← Previous active sol
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => jumpToActiveSol(1)}
+                  disabled={!activeSols.length}
+                >
+                  Next active sol →
+                </Button>
+              </div>
+            )}
+          </form>
+
+          {manifestEntry ? (
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-400">
+              <span>
+                Sol {manifestEntry.sol} · {new Date(manifestEntry.earth_date).toLocaleDateString()}
+              </span>
+              <Badge variant="info" size="sm">
+                {manifestEntry.total_photos.toLocaleString()} photos
+              </Badge>
+            </div>
+          ) : manifest && (
+            <p className="text-sm text-gray-400">No photos recorded for this day</p>
+          )}
+
+          {roverCameras.length > 0 && (
+            <div className="space-y-2">
+              <h4 className="text-sm font-medium text-gray-400">Cameras:</h4>
+              <div className="flex flex-wrap gap-2">
+                <MissionControlPanel.ControlButton
+                  active={!camera}
+                  variant={!camera ? 'primary' : 'default'}
+                  onClick={() => handleCameraChange(null)}
+                  className="text-sm"
+                >
+                  All
+                </MissionControlPanel.ControlButton>
+                {roverCameras.map((cameraName) => {
+                  const usedThatDay = !manifestEntry || manifestEntry.cameras.includes(cameraName)
+                  return (
+                    <MissionControlPanel.ControlButton
+                      key={cameraName}
+                      active={camera === cameraName}
+                      variant={camera === cameraName ? 'primary' : 'default'}
+                      onClick={() => handleCameraChange(cameraName)}
+                      disabled={!usedThatDay}
+                      className="text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+                      title={usedThatDay ? cameraName : `${cameraName} took no photos this day`}
+                    >
+                      {cameraName}
+                    </MissionControlPanel.ControlButton>
+                  )
+                })}
+              </div>
+            </div>
+          )}
         </div>
-      </div>
+      </MissionControlPanel>
+
+      {/* Sol activity heatmap */}
+      <MissionControlPanel
+        title="SOL ACTIVITY"
+        subtitle="Days the rover was busy imaging"
+        status="operational"
+        headerActions={
+          <div className="flex items-center space-x-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => shiftActivityWindow(-1)}
+              disabled={!activity || activity.window.start_sol === 0 || loadingActivity}
+            >
+              ← Earlier
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => shiftActivityWindow(1)}
+              disabled={!activity || activity.window.end_sol >= (manifest?.max_sol ?? 0) || loadingActivity}
+            >
+              Later →
+            </Button>
+          </div>
+        }
+      >
+        {loadingActivity && !activity ? (
+          <LoadingSpinner message="Analysing mission manifest..." />
+        ) : (
+          <SolActivityHeatmap
+            activity={activity}
+            selectedSol={manifestEntry?.sol ?? null}
+          />
+        )}
+      </MissionControlPanel>
+
+      {/* Photo results */}
+      <MissionControlPanel
+        title="ROVER IMAGERY"
+        subtitle={camera ? `Filtered by ${camera}` : 'All cameras'}
+        status="operational"
+        headerActions={
+          <div className="flex items-center space-x-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => handlePageChange(page - 1)}
+              disabled={page <= 1 || loadingPhotos}
+            >
+              Previous
+            </Button>
+            <Badge variant="secondary" size="sm">
+              Page {page}{totalPages ? ` / ${totalPages}` : ''}
+            </Badge>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => handlePageChange(page + 1)}
+              disabled={!hasNextPage || loadingPhotos}
+            >
+              Next
+            </Button>
+          </div>
+        }
+      >
+        {loadingPhotos ? (
+          <LoadingSpinner message="Downlinking rover imagery..." />
+        ) : (
+          <ImageGallery
+            images={photos}
+            columns={4}
+            showMetadata={true}
+            onImageClick={(image, index) => setViewerIndex(index)}
+          />
+        )}
+      </MissionControlPanel>
+
+      <MarsPhotoViewer
+        photos={photos}
+        index={viewerIndex}
+        onIndexChange={setViewerIndex}
+        onClose={() => setViewerIndex(null)}
+      />
     </div>
   )
 }
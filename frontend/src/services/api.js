@@ -9,10 +9,26 @@ const api = axios.create({
   },
 })
 
+const REQUEST_ID_HEADER = 'X-Request-Id'
+
+// Correlation ID sent with each request; the backend logs it and echoes it back
+function createRequestId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+// The backend keeps our ID, but prefer what it echoed in case it replaced it
+function getRequestId(config, response) {
+  return response?.headers?.[REQUEST_ID_HEADER.toLowerCase()] || config?.headers?.[REQUEST_ID_HEADER]
+}
+
 // Request interceptor for logging and auth
 api.interceptors.request.use(
   (config) => {
-    console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`)
+    config.headers[REQUEST_ID_HEADER] = createRequestId()
+    console.log(`API Request: ${config.method?.toUpperCase()} ${config.url} [${config.headers[REQUEST_ID_HEADER]}]`)
     return config
   },
   (error) => {
@@ -24,26 +40,32 @@ api.interceptors.request.use(
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => {
-    console.log(`API Response: ${response.status} ${response.config.url}`)
+    console.log(`API Response: ${response.status} ${response.config.url} [${getRequestId(response.config, response)}]`)
     return response
   },
   (error) => {
+    const requestId = getRequestId(error.config, error.response)
+
     console.error('API Response Error:', {
       status: error.response?.status,
       message: error.response?.data?.message || error.message,
-      url: error.config?.url
+      url: error.config?.url,
+      requestId
     })
     
     // Handle specific error cases
+    let apiError = error
     if (error.response?.status === 429) {
-      throw new Error('Rate limit exceeded. Please try again later.')
+      apiError = new Error('Rate limit exceeded. Please try again later.')
     } else if (error.response?.status >= 500) {
-      throw new Error('Server error. Please try again later.')
+      apiError = new Error('Server error. Please try again later.')
     } else if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout. Please check your connection.')
+      apiError = new Error('Request timeout. Please check your connection.')
     }
     
-    throw error
+    // Keep the ID on the error so it can be quoted when reporting a problem
+    apiError.requestId = requestId
+    throw apiError
   }
 )
 
@@ -55,6 +77,17 @@ export const apiService = {
     return response.data
   },
 
+  // Server-Sent Events for live updates; the browser reconnects on its own
+  openEventStream() {
+    return new EventSource(`${api.defaults.baseURL}/stream`)
+  },
+
+  // Request metrics per API route and NASA endpoint
+  async getMetrics() {
+    const response = await api.get('/metrics')
+    return response.data
+  },
+
   // APOD (Astronomy Picture of the Day) endpoints
   apod: {
     async getToday() {
@@ -77,6 +110,46 @@ export const apiService = {
         params: { start_date: startDate, end_date: endDate } 
       })
       return response.data
+    },
+
+    // Searches the server's local index of APODs it has already fetched
+    async search({ q = '', startDate, endDate, mediaType, page = 1, limit = 12 } = {}) {
+      const response = await api.get('/apod/search', {
+        params: {
+          q,
+          start_date: startDate,
+          end_date: endDate,
+          media_type: mediaType,
+          page,
+          limit
+        }
+      })
+      return response.data
+    }
+  },
+
+  // Favourites and collections saved on the server under a profile name
+  collections: {
+    async get(profile) {
+      const response = await api.get(`/collections/${encodeURIComponent(profile)}`)
+      return response.data
+    },
+
+    // Creating a profile returns its owner token; overwriting one needs it
+    async save(profile, library, token = '') {
+      const response = await api.put(`/collections/${encodeURIComponent(profile)}`, library, {
+        headers: token ? { 'X-Profile-Token': token } : {}
+      })
+      return response.data
+    }
+  },
+
+  // Image proxy settings
+  proxy: {
+    // Hosts, schemes and ports the image proxy accepts
+    async getAllowlist() {
+      const response = await api.get('/proxy/allowlist')
+      return response.data
     }
   },
 
@@ -101,6 +174,15 @@ export const apiService = {
       const params = camera ? { camera } : {}
       const response = await api.get(`/mars/${rover}/latest`, { params })
       return response.data
+    },
+
+    async getRoverActivity(rover, startSol = null, endSol = null) {
+      const params = {}
+      if (startSol !== null) params.start_sol = startSol
+      if (endSol !== null) params.end_sol = endSol
+
+      const response = await api.get(`/mars/${rover}/activity`, { params })
+      return response.data
     }
   },
 
@@ -129,6 +211,24 @@ export const apiService = {
     async getHazardous() {
       const response = await api.get('/neows/hazardous')
       return response.data
+    },
+
+    // filters: hazardous, min_diameter, max_diameter, orbit_class, min_magnitude, max_magnitude.
+    // page and offset come from the previous response's next_page and next_offset
+    async browse(page = 1, size = 20, filters = {}, offset = 0) {
+      const params = { page, size }
+      if (offset) params.offset = offset
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) params[key] = value
+      })
+
+      const response = await api.get('/neows/browse', { params })
+      return response.data
+    },
+
+    async getOrbitClasses() {
+      const response = await api.get('/neows/browse/orbit-classes')
+      return response.data
     }
   },
 
@@ -161,6 +261,50 @@ export const apiService = {
       const response = await api.get('/epic/enhanced')
       return response.data
     }
+  },
+
+  // Close-approach watchlist and its alerts
+  watchlist: {
+    async list() {
+      const response = await api.get('/watchlist')
+      return response.data
+    },
+
+    async add(asteroidId, thresholdLd = null, label = null) {
+      const body = { asteroid_id: asteroidId }
+      if (thresholdLd !== null) body.threshold_ld = thresholdLd
+      if (label) body.label = label
+
+      const response = await api.post('/watchlist', body)
+      return response.data
+    },
+
+    // fields: threshold_ld, label, enabled
+    async update(id, fields) {
+      const response = await api.patch(`/watchlist/${id}`, fields)
+      return response.data
+    },
+
+    async remove(id) {
+      const response = await api.delete(`/watchlist/${id}`)
+      return response.data
+    },
+
+    async check(id = null) {
+      const response = await api.post(id ? `/watchlist/${id}/check` : '/watchlist/check')
+      return response.data
+    },
+
+    async getAlerts(unacknowledged = false) {
+      const params = unacknowledged ? { unacknowledged: 'true' } : {}
+      const response = await api.get('/watchlist/alerts', { params })
+      return response.data
+    },
+
+    async acknowledgeAlert(alertId) {
+      const response = await api.post(`/watchlist/alerts/${alertId}/acknowledge`)
+      return response.data
+    }
   }
 }
 
@@ -0,0 +1,73 @@
+// APOD date helpers for NASA Mission Control Dashboard
+
+// The first Astronomy Picture of the Day; NASA has nothing earlier
+export const APOD_FIRST_DATE = '1995-06-16'
+
+// APOD publishes at midnight US Eastern, so "today" is the date in New York
+export const apodToday = () => new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+
+const pad = (value) => String(value).padStart(2, '0')
+
+export const isoDate = (year, month, day) => `${year}-${pad(month + 1)}-${pad(day)}`
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+// First and last dates of a month (0-based) that can have an APOD
+export const monthRange = (year, month) => {
+  const first = isoDate(year, month, 1)
+  const last = isoDate(year, month, daysInMonth(year, month))
+  const today = apodToday()
+
+  return {
+    start: first < APOD_FIRST_DATE ? APOD_FIRST_DATE : first,
+    end: last > today ? today : last
+  }
+}
+
+// The apod.nasa.gov page for a date, e.g. 2025-07-09 -> ap250709.html
+export const apodPageUrl = (date) => `https://apod.nasa.gov/apod/ap${date.slice(2).replace(/-/g, '')}.html`
+
+// A URL that is safe to put in an href or src: http(s) only, so javascript: and data: URLs
+// never reach the page. Protocol-relative and relative links resolve against apod.nasa.gov
+export const webUrl = (url) => {
+  if (typeof url !== 'string' || url === '') return null
+
+  try {
+    const parsed = new URL(url, 'https://apod.nasa.gov/apod/')
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null
+  } catch (error) {
+    return null
+  }
+}
+
+const YOUTUBE_ID = /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|shorts\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{11})/i
+const VIMEO_ID = /vimeo\.com\/(?:video\/)?(\d+)/i
+const VIDEO_FILE = /\.(mp4|webm|ogv|mov|m4v)([?#]|$)/i
+
+// How to play a video URL: a no-cookie embed for YouTube and Vimeo, a file for <video>, or null
+export const videoSource = (url) => {
+  if (!url) return null
+
+  const youtube = url.match(YOUTUBE_ID)
+  if (youtube) {
+    return {
+      provider: 'YouTube',
+      embedUrl: `https://www.youtube-nocookie.com/embed/${youtube[1]}?autoplay=1&rel=0`
+    }
+  }
+
+  const vimeo = url.match(VIMEO_ID)
+  if (vimeo) {
+    return {
+      provider: 'Vimeo',
+      embedUrl: `https://player.vimeo.com/video/${vimeo[1]}?autoplay=1&dnt=1`
+    }
+  }
+
+  const src = VIDEO_FILE.test(url) && webUrl(url)
+  if (src) {
+    return { provider: 'file', src }
+  }
+
+  return null
+}
\ No newline at end of file
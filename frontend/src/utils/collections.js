@@ -0,0 +1,298 @@
+// Favourites and named collections for NASA Mission Control Dashboard
+//
+// A library holds saved images by key plus the lists that point at them.
+// Items keep the fields ImageGallery reads (url or img_src, title, dates),
+// so a saved APOD, Mars photo or EPIC frame renders like the original.
+// Every helper returns a new library; none mutate their input.
+
+export const LIBRARY_VERSION = 1
+export const LIBRARY_STORAGE_KEY = 'nasa-mission-control:library'
+export const PROFILE_TOKENS_STORAGE_KEY = 'nasa-mission-control:profile-tokens'
+
+export const emptyLibrary = () => ({
+  version: LIBRARY_VERSION,
+  items: {},
+  favourites: [],
+  collections: [],
+  updated_at: null
+})
+
+const MEDIA_TYPES = ['image', 'video', 'other']
+const MAX_TEXT_LENGTH = 10000
+
+// The fields each kind of saved image keeps; imported items are rebuilt from these and nothing else
+const ITEM_FIELDS = {
+  apod: { text: ['title', 'date', 'explanation', 'copyright'], urls: ['url', 'hdurl', 'thumbnail_url'] },
+  epic: { text: ['title', 'image', 'date'], urls: ['url', 'image_url', 'thumbnail_url'], required: 'url' },
+  mars: { text: ['title', 'earth_date'], urls: ['img_src'], required: 'img_src' }
+}
+
+// An https URL or undefined; http is upgraded (Mars rover photos still use it) and every other scheme dropped
+const httpsUrl = (value) => {
+  if (typeof value !== 'string') return undefined
+
+  let parsed
+  try {
+    parsed = new URL(value)
+  } catch (error) {
+    return undefined
+  }
+
+  if (parsed.protocol === 'http:') parsed.protocol = 'https:'
+  return parsed.protocol === 'https:' && !parsed.username && !parsed.password ? parsed.href : undefined
+}
+
+const text = (value) => (typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : undefined)
+
+// Rebuild an item from the fields its type may have, or null if it isn't a saved image
+const sanitizeItem = (key, item) => {
+  const fields = item && ITEM_FIELDS[item.type]
+  if (!fields || item.key !== key || !key.startsWith(`${item.type}:`)) return null
+
+  const clean = { key, type: item.type }
+  fields.text.forEach(field => { clean[field] = text(item[field]) })
+  fields.urls.forEach(field => { clean[field] = httpsUrl(item[field]) })
+  if (fields.required && !clean[fields.required]) return null
+
+  if (item.type === 'apod') {
+    clean.media_type = MEDIA_TYPES.includes(item.media_type) ? item.media_type : 'other'
+  }
+  if (item.type === 'mars') {
+    clean.id = typeof item.id === 'number' || typeof item.id === 'string' ? item.id : undefined
+    clean.sol = typeof item.sol === 'number' ? item.sol : undefined
+    clean.rover = { name: text(item.rover?.name) }
+    clean.camera = item.camera ? { name: text(item.camera.name), full_name: text(item.camera.full_name) } : undefined
+  }
+
+  return clean
+}
+
+const sanitizeItems = (items) => Object.fromEntries(
+  Object.entries(items)
+    .map(([key, item]) => [key, sanitizeItem(key, item)])
+    .filter(([, item]) => item)
+)
+
+// The fields worth saving from an APOD, Mars rover photo or EPIC frame
+const imageItem = (image) => {
+  if (!image) return null
+
+  if (image.img_src && image.rover) {
+    return {
+      key: `mars:${image.id}`,
+      type: 'mars',
+      id: image.id,
+      title: `${image.rover.name} · ${image.camera?.name} · Sol ${image.sol}`,
+      img_src: image.img_src,
+      sol: image.sol,
+      earth_date: image.earth_date,
+      rover: { name: image.rover.name },
+      camera: image.camera && { name: image.camera.name, full_name: image.camera.full_name }
+    }
+  }
+
+  if (image.image && image.image_url) {
+    return {
+      key: `epic:${image.image}`,
+      type: 'epic',
+      title: `Earth from Space · ${image.date}`,
+      image: image.image,
+      date: image.date,
+      url: image.image_url,
+      image_url: image.image_url,
+      thumbnail_url: image.thumbnail_url
+    }
+  }
+
+  // Some APODs are interactive pages with no url, only a media_type of "other"
+  if (image.date && (image.url || image.media_type)) {
+    return {
+      key: `apod:${image.date}`,
+      type: 'apod',
+      title: image.title,
+      date: image.date,
+      url: image.url,
+      hdurl: image.hdurl,
+      media_type: image.media_type,
+      thumbnail_url: image.thumbnail_url,
+      explanation: image.explanation,
+      copyright: image.copyright
+    }
+  }
+
+  return null
+}
+
+// Saved copy of an APOD, Mars rover photo or EPIC frame, or null if the image is none of those
+export const itemFromImage = (image) => {
+  const item = imageItem(image)
+  return item && sanitizeItem(item.key, item)
+}
+
+// Drop items no list points at any more
+const pruneItems = (library) => {
+  const used = new Set([
+    ...library.favourites,
+    ...library.collections.flatMap(collection => collection.items)
+  ])
+
+  return {
+    ...library,
+    items: Object.fromEntries(Object.entries(library.items).filter(([key]) => used.has(key))),
+    updated_at: new Date().toISOString()
+  }
+}
+
+export const isFavourite = (library, image) => {
+  const item = itemFromImage(image)
+  return Boolean(item && library.favourites.includes(item.key))
+}
+
+export const toggleFavourite = (library, image) => {
+  const item = itemFromImage(image)
+  if (!item) return library
+
+  if (library.favourites.includes(item.key)) {
+    return pruneItems({ ...library, favourites: library.favourites.filter(key => key !== item.key) })
+  }
+
+  return pruneItems({
+    ...library,
+    items: { ...library.items, [item.key]: item },
+    favourites: [item.key, ...library.favourites]
+  })
+}
+
+const newCollectionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+export const createCollection = (library, name) => ({
+  ...library,
+  collections: [
+    ...library.collections,
+    { id: newCollectionId(), name, items: [], created_at: new Date().toISOString() }
+  ],
+  updated_at: new Date().toISOString()
+})
+
+export const renameCollection = (library, id, name) => ({
+  ...library,
+  collections: library.collections.map(collection => collection.id === id ? { ...collection, name } : collection),
+  updated_at: new Date().toISOString()
+})
+
+export const deleteCollection = (library, id) => pruneItems({
+  ...library,
+  collections: library.collections.filter(collection => collection.id !== id)
+})
+
+export const addToCollection = (library, id, image) => {
+  const item = itemFromImage(image)
+  if (!item) return library
+
+  return pruneItems({
+    ...library,
+    items: { ...library.items, [item.key]: item },
+    collections: library.collections.map(collection =>
+      collection.id === id && !collection.items.includes(item.key)
+        ? { ...collection, items: [item.key, ...collection.items] }
+        : collection
+    )
+  })
+}
+
+export const removeFromCollection = (library, id, key) => pruneItems({
+  ...library,
+  collections: library.collections.map(collection =>
+    collection.id === id ? { ...collection, items: collection.items.filter(itemKey => itemKey !== key) } : collection
+  )
+})
+
+// Saved items for a list of keys, skipping any that went missing
+export const itemsFor = (library, keys) => keys.map(key => library.items[key]).filter(Boolean)
+
+// Check an imported or stored library and fill in anything missing; throws on the wrong shape
+export const parseLibrary = (data) => {
+  if (!data || typeof data !== 'object' || typeof data.items !== 'object' || data.items === null) {
+    throw new Error('Not a collections export: missing items')
+  }
+  if (!Array.isArray(data.favourites) || !Array.isArray(data.collections)) {
+    throw new Error('Not a collections export: missing favourites or collections')
+  }
+
+  const items = sanitizeItems(data.items)
+  const hasItem = (key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(items, key)
+  return {
+    ...emptyLibrary(),
+    items,
+    favourites: data.favourites.filter(hasItem),
+    collections: data.collections
+      .filter(collection => collection && typeof collection.name === 'string')
+      .map(collection => ({
+        id: String(collection.id || collection.name),
+        name: collection.name,
+        items: (Array.isArray(collection.items) ? collection.items : []).filter(hasItem),
+        created_at: typeof collection.created_at === 'string' ? collection.created_at : new Date().toISOString()
+      })),
+    updated_at: typeof data.updated_at === 'string' ? data.updated_at : null
+  }
+}
+
+// Combine an imported library into the current one; collections with the same name are merged
+export const mergeLibraries = (current, incoming) => {
+  const union = (a, b) => [...new Set([...a, ...b])]
+  const collections = [...current.collections]
+
+  incoming.collections.forEach(collection => {
+    const index = collections.findIndex(existing => existing.name === collection.name)
+    if (index === -1) {
+      const idTaken = collections.some(existing => existing.id === collection.id)
+      collections.push(idTaken ? { ...collection, id: newCollectionId() } : collection)
+    } else {
+      collections[index] = { ...collections[index], items: union(collections[index].items, collection.items) }
+    }
+  })
+
+  return pruneItems({
+    ...current,
+    items: { ...incoming.items, ...current.items },
+    favourites: union(current.favourites, incoming.favourites),
+    collections
+  })
+}
+
+export const loadStoredLibrary = () => {
+  try {
+    const stored = localStorage.getItem(LIBRARY_STORAGE_KEY)
+    return stored ? parseLibrary(JSON.parse(stored)) : emptyLibrary()
+  } catch (error) {
+    console.error('Could not read saved collections:', error)
+    return emptyLibrary()
+  }
+}
+
+export const storeLibrary = (library) => {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library))
+  } catch (error) {
+    console.error('Could not save collections:', error)
+  }
+}
+
+// Owner tokens for profiles this browser created on the server, by profile name
+const loadProfileTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_TOKENS_STORAGE_KEY)) || {}
+  } catch (error) {
+    return {}
+  }
+}
+
+export const loadProfileToken = (profile) => loadProfileTokens()[profile] || ''
+
+export const storeProfileToken = (profile, token) => {
+  try {
+    localStorage.setItem(PROFILE_TOKENS_STORAGE_KEY, JSON.stringify({ ...loadProfileTokens(), [profile]: token }))
+  } catch (error) {
+    console.error('Could not save profile token:', error)
+  }
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Image proxy allowlist for NASA Mission Control Dashboard
+//
+// Mirrors the backend's check so SmartImage only sends the proxy URLs it will
+// fetch. These defaults match the backend's; the server's configured list
+// (GET /api/proxy/allowlist) replaces them once loaded.
+
+let allowlist = {
+  hosts: [
+    'apod.nasa.gov',
+    'mars.nasa.gov',
+    'mars.jpl.nasa.gov',
+    'api.nasa.gov',
+    'epic.gsfc.nasa.gov',
+    'photojournal.jpl.nasa.gov'
+  ],
+  protocols: ['https:'],
+  ports: [443]
+}
+
+// Returns whether the list was valid and replaced the current one
+export const setImageAllowlist = (list) => {
+  if (list && Array.isArray(list.hosts) && Array.isArray(list.protocols) && Array.isArray(list.ports)) {
+    allowlist = list
+    return true
+  }
+  return false
+}
+
+// Exact host or any subdomain of it, so apod.nasa.gov.example.com does not match
+const isAllowedHost = (hostname) => {
+  const host = hostname.toLowerCase().replace(/\.$/, '')
+  return allowlist.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))
+}
+
+// The URL the proxy should fetch for an image, or null if the proxy would refuse it.
+// NASA still hands out some http:// links (e.g. Mars rover photos), so those are upgraded to https
+export const proxyableUrl = (url) => {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    return null
+  }
+
+  if (parsed.protocol === 'http:' && allowlist.protocols.includes('https:')) {
+    parsed.protocol = 'https:'
+  }
+  if (!allowlist.protocols.includes(parsed.protocol) || parsed.username || parsed.password) {
+    return null
+  }
+
+  const port = Number(parsed.port || (parsed.protocol === 'https:' ? 443 : 80))
+  if (!allowlist.ports.includes(port) || !isAllowedHost(parsed.hostname)) {
+    return null
+  }
+
+  return parsed.href
+}
\ No newline at end of file
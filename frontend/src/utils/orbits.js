@@ -0,0 +1,110 @@
+// Keplerian orbit propagation for NASA Mission Control Dashboard
+//
+// Two-body motion around the Sun in heliocentric ecliptic coordinates (AU).
+// Good enough to draw orbits and relative positions; it ignores planetary
+// perturbations, so it drifts from JPL ephemerides over decades.
+
+const DEG = Math.PI / 180
+const J2000 = 2451545.0
+const MS_PER_DAY = 86400000
+const UNIX_EPOCH_JD = 2440587.5
+
+// Earth's mean elements at J2000 (JPL approximate planetary positions)
+export const EARTH_ELEMENTS = {
+  a: 1.00000261,
+  e: 0.01671123,
+  i: -0.00001531 * DEG,
+  node: 0,
+  peri: 102.93768193 * DEG,
+  M0: (100.46457166 - 102.93768193) * DEG,
+  epoch: J2000,
+  n: 0.98560028 * DEG
+}
+
+export const dateToJulian = (date) => new Date(date).getTime() / MS_PER_DAY + UNIX_EPOCH_JD
+
+export const julianToDate = (jd) => new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY)
+
+// Wrap an angle to [-π, π)
+export const normalizeAngle = (angle) => {
+  const wrapped = (angle + Math.PI) % (2 * Math.PI)
+  return (wrapped < 0 ? wrapped + 2 * Math.PI : wrapped) - Math.PI
+}
+
+// Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly E
+export const solveKepler = (meanAnomaly, e, tolerance = 1e-12) => {
+  const M = normalizeAngle(meanAnomaly)
+  let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1)
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E))
+    E -= delta
+    if (Math.abs(delta) < tolerance) break
+  }
+
+  return E
+}
+
+// Elements (radians, AU, days) from a NeoWs orbital_data object
+export const elementsFromOrbitalData = (orbitalData) => {
+  const a = parseFloat(orbitalData.semi_major_axis)
+  const elements = {
+    a,
+    e: parseFloat(orbitalData.eccentricity),
+    i: parseFloat(orbitalData.inclination) * DEG,
+    node: parseFloat(orbitalData.ascending_node_longitude) * DEG,
+    peri: parseFloat(orbitalData.perihelion_argument) * DEG,
+    M0: parseFloat(orbitalData.mean_anomaly) * DEG,
+    epoch: parseFloat(orbitalData.epoch_osculation),
+    // Kepler's third law when NASA leaves mean motion out
+    n: orbitalData.mean_motion
+      ? parseFloat(orbitalData.mean_motion) * DEG
+      : EARTH_ELEMENTS.n / Math.pow(a, 1.5)
+  }
+
+  const valid = Object.values(elements).every(Number.isFinite) && elements.e < 1 && elements.a > 0
+  return valid ? elements : null
+}
+
+// Rotate a point in the orbital plane into ecliptic coordinates
+const toEcliptic = (elements, xOrbit, yOrbit) => {
+  const { i, node, peri } = elements
+  const cosNode = Math.cos(node)
+  const sinNode = Math.sin(node)
+  const cosPeri = Math.cos(peri)
+  const sinPeri = Math.sin(peri)
+  const cosI = Math.cos(i)
+  const sinI = Math.sin(i)
+
+  return {
+    x: (cosNode * cosPeri - sinNode * sinPeri * cosI) * xOrbit + (-cosNode * sinPeri - sinNode * cosPeri * cosI) * yOrbit,
+    y: (sinNode * cosPeri + cosNode * sinPeri * cosI) * xOrbit + (-sinNode * sinPeri + cosNode * cosPeri * cosI) * yOrbit,
+    z: (sinPeri * sinI) * xOrbit + (cosPeri * sinI) * yOrbit
+  }
+}
+
+// Position on the orbit for an eccentric anomaly
+const positionFromEccentricAnomaly = (elements, E) => {
+  const { a, e } = elements
+  const xOrbit = a * (Math.cos(E) - e)
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E)
+  return toEcliptic(elements, xOrbit, yOrbit)
+}
+
+// Heliocentric ecliptic position (AU) at a Julian date
+export const positionAt = (elements, jd) => {
+  const M = elements.M0 + elements.n * (jd - elements.epoch)
+  return positionFromEccentricAnomaly(elements, solveKepler(M, elements.e))
+}
+
+// Closed orbit outline, sampled evenly in eccentric anomaly
+export const orbitPath = (elements, steps = 180) =>
+  Array.from({ length: steps + 1 }, (_, step) =>
+    positionFromEccentricAnomaly(elements, (step / steps) * 2 * Math.PI)
+  )
+
+export const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z)
+
+export const aphelionDistance = (elements) => elements.a * (1 + elements.e)
+
+export const orbitalPeriodDays = (elements) => (2 * Math.PI) / elements.n
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { describe, expect, it } from 'vitest'
+import {
+  EARTH_ELEMENTS,
+  aphelionDistance,
+  dateToJulian,
+  distanceBetween,
+  elementsFromOrbitalData,
+  julianToDate,
+  normalizeAngle,
+  orbitPath,
+  orbitalPeriodDays,
+  positionAt,
+  solveKepler
+} from './orbits'
+
+const J2000 = 2451545.0
+const DEG = Math.PI / 180
+
+// Residual of Kepler's equation for a solved eccentric anomaly
+const keplerResidual = (M, e) => {
+  const E = solveKepler(M, e)
+  return Math.abs(E - e * Math.sin(E) - normalizeAngle(M))
+}
+
+// Orbital data as NeoWs returns it: every number is a string
+const erosOrbitalData = {
+  semi_major_axis: '1.458120998474684',
+  eccentricity: '.2228359407071628',
+  inclination: '10.82846651399785',
+  ascending_node_longitude: '304.2701025753316',
+  perihelion_argument: '178.9297536744151',
+  mean_anomaly: '310.5543277370992',
+  epoch_osculation: '2460600.5',
+  mean_motion: '.5597752949285997'
+}
+
+describe('normalizeAngle', () => {
+  it('wraps angles into [-π, π)', () => {
+    expect(normalizeAngle(0)).toBe(0)
+    expect(normalizeAngle(3 * Math.PI)).toBeCloseTo(-Math.PI, 12)
+    expect(normalizeAngle(-3 * Math.PI / 2)).toBeCloseTo(Math.PI / 2, 12)
+    expect(normalizeAngle(7 * Math.PI / 2)).toBeCloseTo(-Math.PI / 2, 12)
+  })
+})
+
+describe('solveKepler', () => {
+  it('returns the mean anomaly for a circular orbit', () => {
+    expect(solveKepler(1.234, 0)).toBeCloseTo(1.234, 12)
+    expect(solveKepler(0, 0)).toBe(0)
+  })
+
+  it('converges across the whole orbit for low and moderate eccentricity', () => {
+    for (const e of [0.001, 0.0167, 0.2, 0.5, 0.79]) {
+      for (let M = -Math.PI; M < Math.PI; M += 0.1) {
+        expect(keplerResidual(M, e)).toBeLessThan(1e-10)
+      }
+    }
+  })
+
+  it('converges for highly eccentric orbits, including near perihelion', () => {
+    for (const e of [0.8, 0.9, 0.95, 0.99, 0.999]) {
+      for (const M of [-3, -1, -0.01, 0.001, 0.01, 0.1, 1, 3, Math.PI - 1e-6]) {
+        expect(keplerResidual(M, e)).toBeLessThan(1e-10)
+      }
+    }
+  })
+
+  it('wraps mean anomalies outside one revolution', () => {
+    expect(solveKepler(1 + 4 * Math.PI, 0.5)).toBeCloseTo(solveKepler(1, 0.5), 12)
+  })
+})
+
+describe('positionAt', () => {
+  it('puts Earth near (-0.18, 0.97) AU at J2000', () => {
+    const earth = positionAt(EARTH_ELEMENTS, J2000)
+
+    expect(earth.x).toBeCloseTo(-0.18, 2)
+    expect(earth.y).toBeCloseTo(0.97, 2)
+    expect(Math.abs(earth.z)).toBeLessThan(1e-5)
+    expect(Math.hypot(earth.x, earth.y)).toBeCloseTo(0.983, 3)
+  })
+
+  it('returns Earth to the same place after one orbital period', () => {
+    const start = positionAt(EARTH_ELEMENTS, J2000)
+    const end = positionAt(EARTH_ELEMENTS, J2000 + orbitalPeriodDays(EARTH_ELEMENTS))
+
+    expect(distanceBetween(start, end)).toBeLessThan(1e-9)
+  })
+
+  it('stays between perihelion and aphelion distance', () => {
+    const elements = elementsFromOrbitalData(erosOrbitalData)
+    const perihelion = elements.a * (1 - elements.e)
+
+    for (let day = 0; day < 700; day += 25) {
+      const { x, y, z } = positionAt(elements, elements.epoch + day)
+      const radius = Math.hypot(x, y, z)
+      expect(radius).toBeGreaterThanOrEqual(perihelion - 1e-9)
+      expect(radius).toBeLessThanOrEqual(aphelionDistance(elements) + 1e-9)
+    }
+  })
+})
+
+describe('orbitalPeriodDays', () => {
+  it('is about 365.26 days for Earth', () => {
+    expect(orbitalPeriodDays(EARTH_ELEMENTS)).toBeCloseTo(365.26, 1)
+  })
+
+  it('is about 365.26 days for a = 1 AU by Kepler\'s third law', () => {
+    const elements = elementsFromOrbitalData({ ...erosOrbitalData, semi_major_axis: '1', mean_motion: undefined })
+    expect(orbitalPeriodDays(elements)).toBeCloseTo(365.26, 1)
+  })
+})
+
+describe('elementsFromOrbitalData', () => {
+  it('parses NeoWs strings into radians, AU and days', () => {
+    const elements = elementsFromOrbitalData(erosOrbitalData)
+
+    expect(elements.a).toBeCloseTo(1.458121, 6)
+    expect(elements.e).toBeCloseTo(0.222836, 6)
+    expect(elements.i).toBeCloseTo(10.82846651399785 * DEG, 12)
+    expect(elements.node).toBeCloseTo(304.2701025753316 * DEG, 12)
+    expect(elements.peri).toBeCloseTo(178.9297536744151 * DEG, 12)
+    expect(elements.M0).toBeCloseTo(310.5543277370992 * DEG, 12)
+    expect(elements.epoch).toBe(2460600.5)
+    expect(elements.n).toBeCloseTo(0.5597752949285997 * DEG, 12)
+    expect(orbitalPeriodDays(elements)).toBeCloseTo(643.1, 1)
+  })
+
+  it('derives mean motion from the semi-major axis when it is missing', () => {
+    const { mean_motion: _meanMotion, ...withoutMeanMotion } = erosOrbitalData
+    const elements = elementsFromOrbitalData(withoutMeanMotion)
+
+    expect(elements.n).toBeCloseTo(EARTH_ELEMENTS.n / Math.pow(1.458120998474684, 1.5), 12)
+  })
+
+  it('rejects open orbits and missing fields', () => {
+    expect(elementsFromOrbitalData({ ...erosOrbitalData, eccentricity: '1.2' })).toBeNull()
+    expect(elementsFromOrbitalData({ ...erosOrbitalData, semi_major_axis: '-2' })).toBeNull()
+    expect(elementsFromOrbitalData({ ...erosOrbitalData, inclination: undefined })).toBeNull()
+    expect(elementsFromOrbitalData({})).toBeNull()
+  })
+})
+
+describe('orbitPath', () => {
+  it('samples a closed outline of steps + 1 points', () => {
+    const path = orbitPath(EARTH_ELEMENTS, 90)
+
+    expect(path).toHaveLength(91)
+    expect(distanceBetween(path[0], path[90])).toBeLessThan(1e-12)
+  })
+})
+
+describe('Julian dates', () => {
+  it('converts J2000 both ways', () => {
+    expect(dateToJulian('2000-01-01T12:00:00Z')).toBe(J2000)
+    expect(julianToDate(J2000).toISOString()).toBe('2000-01-01T12:00:00.000Z')
+  })
+})
\ No newline at end of file